@@ -1,4 +1,4 @@
-import { RGPVScraper } from './lib/index.js';
+import { RGPVScraper, loadRollList, validateStudents, OUTCOMES } from './lib/index.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
@@ -8,7 +8,9 @@ const PREFIX = '0818IT23';  // Roll number prefix
 const START = '1001';       // Start roll number (last 4 digits)
 const END = '1078';         // End roll number (last 4 digits)
 const SEMESTER = '3';       // Semester to fetch
+const PROGRAM = 'be';       // Program key from lib/programs.js (be, btech, mtech, mca, mba, bpharm, diploma)
 const CONCURRENCY = 50;     // Increased concurrency - now safe with our OCR queue
+const INPUT_FILE = null;    // Optional roll list (.csv, .txt or .json) used instead of PREFIX/START/END
 
 /**
  * Simple batch processor with hardcoded values
@@ -17,7 +19,8 @@ async function main() {
   // Create a scraper instance with optimized settings
   const scraper = new RGPVScraper({ 
     debug: true,
-    maxRetries: 10
+    maxRetries: 10,
+    program: PROGRAM
   });
   
   try {
@@ -27,15 +30,26 @@ async function main() {
       fs.mkdirSync(resultsDir, { recursive: true });
     }
     
-    // Create roll number batch from range
+    // Create roll number batch from the roll list or the range
     const studentBatch = [];
-    for (let i = parseInt(START); i <= parseInt(END); i++) {
-      const rollNumber = `${PREFIX}${i.toString().padStart(4, '0')}`;
-      studentBatch.push({ rollNumber, semester: SEMESTER });
+    if (INPUT_FILE) {
+      const { students, errors } = validateStudents(loadRollList(INPUT_FILE, SEMESTER));
+      if (errors.length > 0) {
+        errors.forEach(error => console.error(`  - ${error}`));
+        throw new Error(`Found ${errors.length} invalid entries in ${INPUT_FILE}`);
+      }
+      studentBatch.push(...students);
+    } else {
+      for (let i = parseInt(START); i <= parseInt(END); i++) {
+        const rollNumber = `${PREFIX}${i.toString().padStart(4, '0')}`;
+        studentBatch.push({ rollNumber, semester: SEMESTER });
+      }
     }
     
     console.log(`Starting batch processing for ${studentBatch.length} students with concurrency ${CONCURRENCY}`);
-    console.log(`Roll number range: ${PREFIX}${START.padStart(4, '0')} to ${PREFIX}${END.padStart(4, '0')}`);
+    console.log(INPUT_FILE
+      ? `Roll numbers from: ${INPUT_FILE}`
+      : `Roll number range: ${PREFIX}${START.padStart(4, '0')} to ${PREFIX}${END.padStart(4, '0')}`);
     console.log(`System has ${os.cpus().length} CPU cores - using OCR queue with limited concurrency of 2`);
     
     const startTime = Date.now();
@@ -64,10 +78,10 @@ async function main() {
       
       topResults.forEach(result => {
         const rollNumber = result.rollNumber;
-        const status = result.success ? '✅' : '❌';
-        const sgpa = result.success ? result.data.results.sgpa : 'N/A';
-        const cgpa = result.success ? result.data.results.cgpa : 'N/A';
-        const name = result.success ? result.data.student.name.padEnd(25) : 'N/A'.padEnd(25);
+        const status = result.success ? '✅' : result.outcome === OUTCOMES.ROLL_NOT_FOUND ? '➖' : '❌';
+        const sgpa = result.success && result.data ? String(result.data.results.sgpa ?? 'N/A') : 'N/A';
+        const cgpa = result.success && result.data ? String(result.data.results.cgpa ?? 'N/A') : 'N/A';
+        const name = result.success && result.data ? result.data.student.name.padEnd(25) : 'N/A'.padEnd(25);
         
         console.log(`| ${rollNumber} | ${status}     | ${sgpa.padEnd(5)} | ${cgpa.padEnd(5)} | ${name} |`);
       });
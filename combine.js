@@ -1,6 +1,7 @@
 import { readdirSync, readFileSync } from 'fs';
 import pkg from 'exceljs';
 import path from 'path';
+import ResultCache from './lib/ResultCache.js';
 const { Workbook } = pkg;
 
 // Parse command line arguments
@@ -8,7 +9,8 @@ function parseArgs() {
     const args = process.argv.slice(2);
     const config = {
         inputFolder: './results',
-        outputFile: 'Results.xlsx'
+        outputFile: 'Results.xlsx',
+        semester: null
     };
     
     for (let i = 0; i < args.length; i++) {
@@ -18,6 +20,8 @@ function parseArgs() {
             config.inputFolder = args[++i];
         } else if ((arg === '--output' || arg === '-o') && i + 1 < args.length) {
             config.outputFile = args[++i];
+        } else if ((arg === '--semester' || arg === '-s') && i + 1 < args.length) {
+            config.semester = args[++i];
         } else if (arg === '--help' || arg === '-h') {
             printHelp();
             process.exit(0);
@@ -37,37 +41,66 @@ Usage: node combine.js [options]
 Options:
   -i, --input <path>     Input folder containing JSON result files (default: ./results)
   -o, --output <path>    Output Excel file path (default: Results.xlsx)
+  -s, --semester <n>     Only include results for this semester (default: all, one row
+                         per student and semester)
   -h, --help             Show this help message
   
 Examples:
   node combine.js
   node combine.js --input ./results/cs23 --output CS_Results.xlsx
   node combine.js -i ./results/it23 -o IT_Results.xlsx
+  node combine.js --semester 4 -o Sem4.xlsx
     `);
 }
 
-const readStudentData = (folderPath) => {
+const toStudentInfo = (data, semester) => {
+    const studentInfo = {
+        name: data.student.name,
+        rollNo: data.student.roll_no,
+        semester: String(semester || data.student.semester || ''),
+        cgpa: data.results.cgpa,
+        sgpa: data.results.sgpa,
+    };
+    // Marks scheme results have a percentage and division instead of grade points
+    if (data.scheme === 'marks') {
+        studentInfo.percentage = data.results.percentage;
+        studentInfo.division = data.results.division;
+    }
+    data.subjects.forEach(subject => {
+        if (subject.grade && typeof subject.grade === 'string') {
+            studentInfo[subject.subject] = subject.grade;
+        } else if (subject.total) {
+            studentInfo[subject.subject] = subject.total;
+        }
+    });
+    return studentInfo;
+};
+
+const readStudentData = (folderPath, semester) => {
+    // One row per roll number and semester, so a student's semesters don't overwrite each other
+    const students = new Map();
+    const addStudent = (studentInfo) => {
+        const key = `${studentInfo.rollNo}:${studentInfo.semester}`;
+        if (!students.has(key)) students.set(key, studentInfo);
+    };
+
+    // Current layout: <roll>/sem<N>.json, in the same format the scraper's cache writes
+    const cache = new ResultCache({ dir: folderPath });
+    cache.list({ semester }).forEach(entry => {
+        addStudent(toStudentInfo(entry.data, entry.key.semester));
+    });
+
+    // Older runs wrote one <roll>.json per student without the semester
     const files = readdirSync(folderPath);
-    const students = [];
     files.forEach(file => {
-        if (file.endsWith('.json')) {
+        if (!semester && file.endsWith('.json') && !file.startsWith('batch_') && !file.startsWith('range_')) {
             const filePath = `${folderPath}/${file}`;
             const data = JSON.parse(readFileSync(filePath, 'utf-8'));
-            const studentInfo = {
-                name: data.student.name,
-                rollNo: data.student.roll_no,
-                cgpa: data.results.cgpa,
-                sgpa: data.results.sgpa,
-            };
-            data.subjects.forEach(subject => {
-                if (typeof subject.grade === 'string') {
-                    studentInfo[subject.subject] = subject.grade;
-                }
-            });
-            students.push(studentInfo);
+            addStudent(toStudentInfo(data));
         }
     });
-    return students;
+    return [...students.values()].sort((a, b) =>
+        a.rollNo.localeCompare(b.rollNo) || Number(a.semester) - Number(b.semester));
 };
 
 
@@ -76,13 +109,15 @@ const createExcelFile = (students, outputPath) => {
     const worksheet = workbook.addWorksheet('Results');
     
     // const headers = ['Name', 'Roll No', 'CGPA'];
-    const headers = ['name', 'rollNo', 'cgpa', 'sgpa'];
-    const exampleStudent = students[0];
-    for (const key in exampleStudent) {
-        if (!headers.includes(key) && key !== 'name' && key !== 'rollNo' && key !== 'cgpa') {
-            headers.push(key);
+    const headers = ['name', 'rollNo', 'semester', 'cgpa', 'sgpa'];
+    // Semesters have different subjects, so collect the columns of every row
+    students.forEach(student => {
+        for (const key in student) {
+            if (!headers.includes(key)) {
+                headers.push(key);
+            }
         }
-    }
+    });
     worksheet.addRow(headers);
 
     students.forEach(student => {
@@ -117,13 +152,13 @@ const createExcelFile = (students, outputPath) => {
 const main = () => {
     // Get configuration from command line arguments
     const config = parseArgs();
-    const { inputFolder, outputFile } = config;
+    const { inputFolder, outputFile, semester } = config;
     
-    console.log(`Reading results from: ${inputFolder}`);
+    console.log(`Reading results from: ${inputFolder}${semester ? ` (semester ${semester})` : ''}`);
     console.log(`Writing Excel to: ${outputFile}`);
     
     try {
-        const students = readStudentData(inputFolder);
+        const students = readStudentData(inputFolder, semester);
         if (students.length === 0) {
             console.error(`No JSON files found in ${inputFolder}`);
             process.exit(1);
@@ -1,4 +1,25 @@
-import { RGPVScraper } from './lib/index.js';
+import {
+  RGPVScraper,
+  RollDiscovery,
+  ResultWatcher,
+  notify,
+  JobStore,
+  PROGRAMS,
+  USER_AGENT_PROFILES,
+  getProgram,
+  parseSemesterList,
+  parseRangeSpec,
+  loadRollList,
+  validateStudents,
+  parsePreprocessSteps,
+  createSolver,
+  TemplateSolver,
+  CaptchaDataset,
+  CaptchaBenchmark,
+  ResultArchive,
+  OUTCOMES,
+  countOutcomes
+} from './lib/index.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
@@ -9,6 +30,8 @@ const DEFAULT_CONFIG = {
   start: '1001',         // Start roll number (last 4 digits)
   end: '1234',           // End roll number (last 4 digits)
   semester: '3',         // Semester to fetch
+  program: 'be',         // Program key from lib/programs.js
+  scheme: 'grading',     // Result scheme: grading, marks or auto
   concurrency: 12,       // Default concurrency (now safe with OCR queue)
   ocrConcurrency: 2,     // Number of OCR workers
   debug: true,           // Debug mode
@@ -18,7 +41,7 @@ const DEFAULT_CONFIG = {
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
-  const config = { ...DEFAULT_CONFIG };
+  const config = { ...DEFAULT_CONFIG, ranges: [] };
   
   // Support for simple mode selection
   if (args.includes('--single')) {
@@ -31,6 +54,21 @@ function parseArgs() {
     config.mode = 'batch';
   }
   
+  // Portal discovery commands
+  if (args.includes('--list-programs')) {
+    config.mode = 'list-programs';
+  } else if (args.includes('--list-semesters')) {
+    config.mode = 'list-semesters';
+  } else if (args.includes('--discover')) {
+    config.mode = 'discover';
+  } else if (args.includes('--train-templates')) {
+    config.mode = 'train-templates';
+  } else if (args.includes('--benchmark')) {
+    config.mode = 'benchmark';
+  } else if (args.includes('--reparse')) {
+    config.mode = 'reparse';
+  }
+  
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     
@@ -68,6 +106,147 @@ function parseArgs() {
       }
     } else if (arg === '--semester' && i + 1 < args.length) {
       config.semester = args[++i];
+    } else if (arg === '--gap' && i + 1 < args.length) {
+      const value = parseInt(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.gap = value;
+      }
+    } else if (arg === '--lateral') {
+      config.lateral = true;
+    } else if (arg === '--output' && i + 1 < args.length) {
+      config.output = args[++i];
+    } else if (arg === '--input' && i + 1 < args.length) {
+      config.input = args[++i];
+    } else if (arg === '--range' && i + 1 < args.length) {
+      config.ranges.push(args[++i]);
+    } else if (arg === '--semesters' && i + 1 < args.length) {
+      const spec = args[++i];
+      try {
+        config.semesters = parseSemesterList(spec);
+      } catch (error) {
+        console.error(error.message);
+        console.error('Expected format: 1-6 or 1,3,5');
+        process.exit(1);
+      }
+    } else if (arg === '--program' && i + 1 < args.length) {
+      const program = args[++i].toLowerCase();
+      if (!PROGRAMS[program]) {
+        console.error(`Unknown program: ${program}`);
+        console.error(`Available programs: ${Object.keys(PROGRAMS).join(', ')}`);
+        process.exit(1);
+      }
+      config.program = program;
+    } else if (arg === '--scheme' && i + 1 < args.length) {
+      const scheme = args[++i].toLowerCase();
+      if (!['grading', 'marks', 'auto'].includes(scheme)) {
+        console.error(`Invalid scheme: ${scheme}`);
+        console.error('Expected one of: grading, marks, auto');
+        process.exit(1);
+      }
+      config.scheme = scheme;
+    } else if (arg === '--resume' && i + 1 < args.length) {
+      config.resume = args[++i];
+      config.mode = 'batch';
+    } else if (arg === '--base-url' && i + 1 < args.length) {
+      config.baseUrl = args[++i];
+    } else if (arg === '--user-agent' && i + 1 < args.length) {
+      config.userAgent = args[++i];
+    } else if (arg === '--timeout' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.timeout = value * 1000;
+      }
+    } else if (arg === '--proxy' && i + 1 < args.length) {
+      config.proxy = args[++i];
+    } else if (arg === '--rps' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value >= 0) {
+        config.rps = value;
+      }
+    } else if (arg === '--max-in-flight' && i + 1 < args.length) {
+      const value = parseInt(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.maxInFlight = value;
+      }
+    } else if (arg === '--probe-interval' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.probeInterval = value * 1000;
+      }
+    } else if (arg === '--watch') {
+      config.watch = true;
+    } else if (arg === '--sentinel' && i + 1 < args.length) {
+      config.sentinel = args[++i].toUpperCase();
+    } else if (arg === '--watch-interval' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.watchInterval = value * 60 * 1000;
+      }
+    } else if (arg === '--notify' && i + 1 < args.length) {
+      config.notify = args[++i];
+    } else if (arg === '--no-session-reuse') {
+      config.reuseSessions = false;
+    } else if (arg === '--solver' && i + 1 < args.length) {
+      config.solver = args[++i].toLowerCase();
+      try {
+        createSolver(config.solver);
+      } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+    } else if (arg === '--templates' && i + 1 < args.length) {
+      config.templates = args[++i];
+    } else if (arg === '--train-templates' && i + 1 < args.length) {
+      config.trainDir = args[++i];
+    } else if (arg === '--captcha-length' && i + 1 < args.length) {
+      const value = parseInt(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.captchaLength = value;
+      }
+    } else if (arg === '--accept-confidence' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value > 0 && value <= 1) {
+        config.acceptConfidence = value;
+      }
+    } else if (arg === '--ocr-timeout' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.ocrTimeout = value * 1000;
+      }
+    } else if (arg === '--ocr-recycle' && i + 1 < args.length) {
+      const value = parseInt(args[++i]);
+      if (!isNaN(value) && value >= 0) {
+        config.recycleAfter = value;
+      }
+    } else if (arg === '--record-captchas') {
+      config.recordCaptchas = true;
+    } else if (arg === '--dataset' && i + 1 < args.length) {
+      config.datasetDir = args[++i];
+    } else if (arg === '--archive') {
+      config.archive = true;
+    } else if (arg === '--archive-dir' && i + 1 < args.length) {
+      config.archiveDir = args[++i];
+    } else if (arg === '--min-confidence' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value >= 0 && value <= 1) {
+        config.minConfidence = value;
+      }
+    } else if (arg === '--preprocess' && i + 1 < args.length) {
+      try {
+        config.preprocess = parsePreprocessSteps(args[++i]);
+      } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+    } else if (arg === '--force-refresh') {
+      config.forceRefresh = true;
+    } else if (arg === '--cache-ttl' && i + 1 < args.length) {
+      const value = parseFloat(args[++i]);
+      if (!isNaN(value) && value > 0) {
+        config.cacheTtl = value * 60 * 60 * 1000;
+      }
+    } else if (arg === '--refresh') {
+      config.refresh = true;
     } else if (arg === '--debug') {
       config.debug = true;
     } else if (arg === '--no-debug') {
@@ -78,11 +257,40 @@ function parseArgs() {
     }
   }
   
+  // A semester list fetches one student's transcript
+  if (config.semesters && (config.mode === 'single' || config.mode === 'batch')) {
+    config.mode = 'transcript';
+  }
+  
   // In single mode, ensure start and end are the same
-  if (config.mode === 'single') {
+  if (config.mode === 'single' || config.mode === 'transcript') {
     config.end = config.start;
   }
   
+  // Roll lists and range specs replace --prefix/--start/--end; report bad entries before any network work
+  if (config.mode === 'batch' && (config.input || config.ranges.length > 0)) {
+    let entries = [];
+    try {
+      if (config.input) {
+        entries = entries.concat(loadRollList(config.input, config.semester));
+      }
+      for (const spec of config.ranges) {
+        entries = entries.concat(parseRangeSpec(spec, config.semester));
+      }
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    
+    const { students, errors } = validateStudents(entries);
+    if (errors.length > 0) {
+      console.error(`Found ${errors.length} invalid entries:`);
+      errors.forEach(error => console.error(`  - ${error}`));
+      process.exit(1);
+    }
+    config.students = students;
+  }
+  
   return config;
 }
 
@@ -96,6 +304,13 @@ Usage: node index.js [options]
 Modes:
   --single                    Process a single student (default when --rollno is used)
   --batch                     Process a batch of students (default)
+  --list-programs             List the programs offered on ProgramSelect.aspx
+  --list-semesters            List the semesters offered for --program
+  --discover                  Find the last valid roll number of --prefix and save a roll list
+  --train-templates <dir>     Train the template solver on labelled captchas (<answer>.png or <answer>_<n>.png)
+  --benchmark                 Replay the recorded captchas through --solver/--preprocess and report accuracy
+  --reparse                   Rebuild the cached results from the archived result pages with the current parser, offline
+  --watch                     Wait for --semester to be declared, then run the batch
 
 Options:
   --rollno <string>           Full roll number for single processing (e.g., 0818CS231001)
@@ -103,29 +318,113 @@ Options:
   --start <string>            Start roll number (default: ${DEFAULT_CONFIG.start})
   --end <string>              End roll number (default: ${DEFAULT_CONFIG.end})
   --semester <string>         Semester (default: ${DEFAULT_CONFIG.semester})
+  --input <file>              Roll list (.csv, .txt or .json) with roll number, semester and label per row
+  --range <spec>              Roll number range <prefix>:<start>-<end>[@<semester>], can be repeated
+  --gap <number>              Consecutive missing roll numbers that end a range in --discover (default: 5)
+  --lateral                   Also discover the lateral-entry series (<prefix>D001...)
+  --output <file>             Roll list written by --discover (default: roll-lists/<prefix>_sem<N>.txt)
+  --sentinel <rollno>         Roll number polled by --watch (default: first roll number of the batch)
+  --watch-interval <minutes>  Time between --watch polls (default: 5)
+  --notify <hook>             Webhook URL or shell command run when the result is declared and when the batch finishes
+  --semesters <list>          Fetch a transcript for one student, e.g. 1-6 or 1,3,5
+  --program <string>          Program: ${Object.keys(PROGRAMS).join(', ')} (default: ${DEFAULT_CONFIG.program})
+  --scheme <string>           Result scheme: grading, marks or auto (default: ${DEFAULT_CONFIG.scheme})
   --concurrency <number>      Number of parallel requests (default: ${DEFAULT_CONFIG.concurrency})
   --ocr-concurrency <number>  Number of OCR workers (default: ${DEFAULT_CONFIG.ocrConcurrency})
+  --ocr-timeout <seconds>     Time limit for one captcha, a worker that hangs longer is replaced (default: 30)
+  --ocr-recycle <number>      Replace each OCR worker with a fresh one after this many captchas, 0 for never (default: 200)
   --debug                     Enable debug mode (default: ${DEFAULT_CONFIG.debug})
   --no-debug                  Disable debug mode
+  --base-url <url>            Result portal root, e.g. the mock server (default: $RGPV_BASE_URL or https://result.rgpv.ac.in/Result/)
+  --user-agent <profile>      Browser profile: ${Object.keys(USER_AGENT_PROFILES).join(', ')} or a custom user agent string (default: chrome)
+  --timeout <seconds>         Timeout for each HTTP request (default: 30)
+  --proxy <url>               Send requests through an HTTP proxy (default: $RGPV_PROXY)
+  --rps <number>              Maximum portal requests per second, 0 for no limit (default: 5)
+  --max-in-flight <number>    Maximum concurrent portal requests, lowered automatically when the portal struggles (default: 8)
+  --probe-interval <seconds>  How often to check the portal while a batch is paused for an outage (default: 60)
+  --no-session-reuse          Start a new portal session for every roll number
+  --solver <list>             Captcha solver: tesseract, template, manual, or a fallback order like template,tesseract,manual (default: tesseract)
+  --templates <file>          Template file of the template solver (default: captcha/templates.json)
+  --min-confidence <0-1>      Confidence needed to stop at a solver in a fallback order (default: 0.6)
+  --captcha-length <number>   Number of characters in a captcha (default: anything from 4 to 6)
+  --accept-confidence <0-1>   Vote confidence at which a captcha answer is submitted without more samples (default: 0.9)
+  --record-captchas           Save every captcha with the solver's guess and the portal's verdict
+  --dataset <dir>             Captcha dataset used by --record-captchas and --benchmark (default: captcha/dataset)
+  --archive                   Keep every result page, compressed, so results can be rebuilt with --reparse
+  --archive-dir <dir>         Result page archive used by --archive and --reparse (default: archive)
+  --preprocess <steps>        Captcha cleanup before OCR: all, none or a list of grayscale,threshold,lines,morphology,segment,upscale (default: all but morphology)
+  --force-refresh             Fetch results again even if they are cached
+  --cache-ttl <hours>         Re-fetch cached results older than this (default: never)
+  --resume <jobId>            Resume an interrupted batch job
+  --refresh                   Ignore cached portal metadata when listing programs/semesters
   --help                      Show this help message
 
 Examples:
   node index.js --single --rollno 0818CS231001 --semester 3
   node index.js --batch --prefix 0818CS23 --start 1001 --end 1234 --semester 4
+  node index.js --watch --prefix 0818CS23 --start 1001 --end 1234 --semester 5 --notify "notify-send 'RGPV results are out'"
   node index.js --prefix 0818CS23 --start 1001 --end 1234
+  node index.js --program mtech --prefix 0818CS23 --start 1001 --end 1020 --semester 2
+  node index.js --list-semesters --program mca --refresh
+  node index.js --rollno 0818CS231001 --semesters 1-6
+  node index.js --input roll-list.csv
+  node index.js --discover --prefix 0818CS23 --semester 3 --lateral
+  node index.js --range 0818CS23:1001-1078 --range 0818CS23D:001-020 --semester 4
+  node index.js --resume job_20250406-101500_a1b2
+  node index.js --train-templates captcha/labelled --templates captcha/templates.json
+  node index.js --batch --prefix 0818CS23 --start 1001 --end 1050 --semester 4 --solver template,tesseract,manual
+  node index.js --benchmark --solver tesseract --preprocess grayscale,threshold
+  node index.js --reparse --archive-dir archive
   `);
 }
 
 // Read configuration
 const config = parseArgs();
-const { prefix, start, end, semester, concurrency, ocrConcurrency, debug, mode } = config;
+const { prefix, start, end, semester, program, scheme, concurrency, ocrConcurrency, debug, mode, refresh, resume, forceRefresh, cacheTtl, semesters, students, gap, lateral, output, baseUrl, userAgent, timeout, proxy, reuseSessions, preprocess, solver, templates, minConfidence, trainDir, captchaLength, acceptConfidence, ocrTimeout, recycleAfter, recordCaptchas, datasetDir, archive, archiveDir, rps, maxInFlight, probeInterval, watch, sentinel, watchInterval } = config;
 
 // Create a scraper instance that's globally accessible
 export const scraper = new RGPVScraper({ 
   debug: debug,
-  maxRetries: 3
+  maxRetries: 3,
+  program,
+  scheme,
+  forceRefresh,
+  cacheTtl,
+  baseUrl,
+  userAgent,
+  timeout,
+  proxy,
+  reuseSessions,
+  preprocess,
+  solver,
+  templates,
+  minConfidence,
+  captchaLength,
+  acceptConfidence,
+  ocrConcurrency,
+  ocrTimeout,
+  recycleAfter,
+  recordCaptchas,
+  datasetDir,
+  archive,
+  archiveDir,
+  rps,
+  maxInFlight,
+  probeInterval
 });
 
+/**
+ * Describe the outcomes of lookups that neither succeeded nor found the roll number missing
+ * @param {Object} outcomes - Counts from countOutcomes
+ * @returns {string} - e.g. "3 invalid-captcha, 1 network-error"
+ */
+function formatOutcomes(outcomes) {
+  return Object.entries(outcomes)
+    .filter(([outcome, count]) => count > 0 && outcome !== OUTCOMES.OK && outcome !== OUTCOMES.ROLL_NOT_FOUND)
+    .map(([outcome, count]) => `${count} ${outcome}`)
+    .join(', ');
+}
+
 /**
  * Print a periodic status report
  * @param {Array} results - Current results
@@ -136,10 +435,12 @@ function printStatusReport(results, startTime, totalCount) {
   const completedCount = results.length;
   if (completedCount === 0) return; // Skip if no results yet
   
-  const successCount = results.filter(r => r.success).length;
+  // Roll numbers that don't exist aren't failures
+  const outcomes = countOutcomes(results);
+  const foundCount = completedCount - outcomes[OUTCOMES.ROLL_NOT_FOUND];
   const currentTime = Date.now();
   const elapsedSeconds = (currentTime - startTime) / 1000;
-  const successRate = successCount / completedCount * 100;
+  const successRate = foundCount > 0 ? outcomes[OUTCOMES.OK] / foundCount * 100 : 100;
   const ocrStats = scraper.captchaSolver.getStats();
   
   // Calculate estimated time remaining
@@ -151,11 +452,174 @@ function printStatusReport(results, startTime, totalCount) {
   console.log('═════════════════════════════════════════');
   console.log(`⏱️  Elapsed time: ${elapsedSeconds.toFixed(1)}s`);
   console.log(`🔄 Progress: ${completedCount}/${totalCount} (${(completedCount/totalCount*100).toFixed(1)}%)`);
-  console.log(`✅ Success rate: ${successRate.toFixed(1)}%`);
+  console.log(`✅ Success rate: ${successRate.toFixed(1)}% (${outcomes[OUTCOMES.ROLL_NOT_FOUND]} not found)`);
+  if (foundCount > outcomes[OUTCOMES.OK]) {
+    console.log(`❌ Not fetched: ${formatOutcomes(outcomes)}`);
+  }
   console.log(`⚡ Processing speed: ${studentsPerSecond.toFixed(2)} students/sec`);
   console.log(`⏳ Estimated time remaining: ${estimatedRemainingTime.toFixed(0)}s`);
-  console.log(`🔍 OCR stats: ${ocrStats.successRate} success rate, avg ${ocrStats.averageTime}/captcha`);
+  console.log(`🔍 Captcha stats: ${ocrStats.successRate} accepted by the portal, ${ocrStats.attemptsPerSuccess} submissions and ${ocrStats.imagesPerSuccess} images per success, avg ${ocrStats.averageTime}/captcha`);
+  console.log('═════════════════════════════════════════');
+}
+
+/**
+ * Print the programs or semesters discovered on the portal
+ */
+async function listPortalMetadata() {
+  if (mode === 'list-programs') {
+    const programs = await scraper.formFetcher.discoverPrograms({ refresh });
+    
+    console.log('\nPrograms on ProgramSelect.aspx:');
+    console.log('-'.repeat(60));
+    console.log('| Value | Index | Key      | Label                       |');
+    console.log('-'.repeat(60));
+    programs.forEach(p => {
+      console.log(`| ${p.code.padEnd(5)} | ${String(p.radioIndex).padEnd(5)} | ${(p.key || '-').padEnd(8)} | ${p.label.padEnd(27)} |`);
+    });
+    console.log('-'.repeat(60));
+  } else {
+    const semesters = await scraper.formFetcher.discoverSemesters(program, { refresh });
+    
+    console.log(`\nSemesters offered for ${getProgram(program).name}:`);
+    semesters.forEach(s => console.log(`  ${s.value.padEnd(4)} ${s.label}`));
+  }
+}
+
+/**
+ * Train the template solver on a directory of labelled captchas and save the templates
+ */
+function trainTemplates() {
+  const trainer = new TemplateSolver({ templates, debug });
+  trainer.load();
+  
+  const { trained, skipped } = trainer.trainDirectory(trainDir);
+  trainer.save();
+  
+  const chars = Object.keys(trainer.templates).sort();
+  console.log(`Trained on ${trained} captchas (${skipped} skipped), templates for ${chars.length} characters saved to ${trainer.file}`);
+  console.log(`Characters: ${chars.join(' ')}`);
+}
+
+/**
+ * Replay the recorded captcha dataset through the configured solver and print the accuracy
+ */
+async function runBenchmark() {
+  const dataset = new CaptchaDataset({ dir: datasetDir, debug });
+  const benchmark = new CaptchaBenchmark(dataset, { solver, preprocess, templates, minConfidence, debug });
+  
+  const report = await benchmark.run({
+    onProgress: (done, total) => {
+      if (done % 50 === 0 || done === total) console.log(`Benchmarked ${done}/${total} captchas`);
+    }
+  });
+  if (report.total === 0) {
+    console.log(`No labelled captchas in ${dataset.dir}, record some with --record-captchas first`);
+    return;
+  }
+  
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  console.log('\n📊 CAPTCHA BENCHMARK 📊');
+  console.log('═════════════════════════════════════════');
+  console.log(`Solver: ${report.solver}`);
+  console.log(`Preprocessing: ${report.preprocess.join(', ') || 'none'}`);
+  console.log(`Exact matches: ${report.correct}/${report.total} (${percent(report.accuracy)})`);
+  console.log(`Characters: ${report.characters.correct}/${report.characters.total} (${percent(report.characters.accuracy)})`);
+  console.log(`Wrong length: ${report.lengthMismatches}, solver errors: ${report.errors}`);
+  console.log(`Latency: avg ${report.latency.average}ms, p50 ${report.latency.p50}ms, p95 ${report.latency.p95}ms, max ${report.latency.max}ms`);
+  
+  // Most frequent character confusions
+  const confusions = [];
+  for (const [expected, guesses] of Object.entries(report.confusion)) {
+    for (const [got, count] of Object.entries(guesses)) {
+      if (got !== expected) confusions.push({ expected, got, count });
+    }
+  }
+  confusions.sort((a, b) => b.count - a.count);
+  if (confusions.length > 0) {
+    console.log('Top confusions (expected → read):');
+    confusions.slice(0, 10).forEach(c => console.log(`  ${c.expected} → ${c.got}: ${c.count}`));
+  }
   console.log('═════════════════════════════════════════');
+  
+  // Keep the full report, including the confusion matrix and every mistake
+  const reportFile = path.join(dataset.dir, `benchmark_${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  console.log(`Full report saved to ${reportFile}`);
+}
+
+/**
+ * Parse the archived result pages again and rewrite the cached results, without contacting the portal
+ */
+function reparseArchive() {
+  const resultArchive = new ResultArchive({ dir: archiveDir, debug });
+  const report = resultArchive.reparse(scraper.cache, {
+    onProgress: (done, total) => {
+      if (done % 100 === 0 || done === total) console.log(`Reparsed ${done}/${total} result pages`);
+    }
+  });
+  if (report.total === 0) {
+    console.log(`No result pages in ${resultArchive.dir}, archive some with --archive first`);
+    return;
+  }
+  
+  console.log('\n📦 REPARSE 📦');
+  console.log('═════════════════════════════════════════');
+  console.log(`Result pages: ${report.total}`);
+  console.log(`✅ Saved to ${scraper.cache.dir}: ${report.saved}`);
+  console.log(`⏸️ Withheld (not cached): ${report.withheld}`);
+  console.log(`❌ Could not be parsed: ${report.failed}`);
+  report.failures.slice(0, 10).forEach(f => console.log(`  ${f.file}: ${f.errors.slice(0, 3).join('; ')}`));
+  if (report.failures.length > 10) {
+    console.log(`  ...and ${report.failures.length - 10} more`);
+  }
+  console.log('═════════════════════════════════════════');
+}
+
+/**
+ * Roll number polled in watch mode
+ * @returns {string} - The --sentinel roll number or the first roll number of the batch
+ */
+function watchSentinel() {
+  if (sentinel) return sentinel;
+  if (students && students.length > 0) return students[0].rollNumber;
+  return `${prefix}${start}`;
+}
+
+/**
+ * Poll the sentinel roll number until the semester's result is declared
+ */
+async function waitForDeclaration() {
+  const watcher = new ResultWatcher(scraper, {
+    sentinel: watchSentinel(),
+    semester,
+    program,
+    interval: watchInterval,
+    debug
+  });
+  const minutes = (watcher.interval / 60000).toFixed(1).replace(/\.0$/, '');
+  console.log(`👀 Watching ${watcher.sentinel} for semester ${semester} results, polling every ${minutes} min`);
+  
+  await watcher.watch(({ status, poll, at, error }) => {
+    const time = new Date(at).toLocaleTimeString();
+    if (status === 'declared') {
+      console.log(`🎉 [${time}] Poll ${poll}: semester ${semester} result is declared`);
+    } else if (status === 'not-declared') {
+      console.log(`⏳ [${time}] Poll ${poll}: not declared yet`);
+    } else if (status === 'not-found') {
+      console.log(`⚠️ [${time}] Poll ${poll}: ${watcher.sentinel} does not exist on the portal, pick another roll number with --sentinel`);
+    } else {
+      console.log(`❌ [${time}] Poll ${poll}: check failed (${error || 'unknown error'}), will try again`);
+    }
+  });
+  
+  await notify(config.notify, {
+    event: 'declared',
+    semester,
+    sentinel: watcher.sentinel,
+    program: getProgram(program).name,
+    polls: watcher.polls,
+    declaredAt: new Date().toISOString()
+  }, { debug });
 }
 
 /**
@@ -170,15 +634,87 @@ async function main() {
       fs.mkdirSync(resultsDir, { recursive: true });
     }
     
-    // Initialize worker pool with specified concurrency
+    // Discovery commands don't need OCR workers
+    if (mode === 'list-programs' || mode === 'list-semesters') {
+      await listPortalMetadata();
+      return;
+    }
+    
+    if (mode === 'train-templates') {
+      trainTemplates();
+      return;
+    }
+    
+    if (mode === 'benchmark') {
+      await runBenchmark();
+      return;
+    }
+    
+    if (mode === 'reparse') {
+      reparseArchive();
+      return;
+    }
+    
+    // Wait for the result to be declared before doing anything else
+    if (watch) {
+      await waitForDeclaration();
+    }
+    
+    // Initialize worker pool with specified concurrency, after watching so the
+    // workers don't sit idle while polling
     await scraper.captchaSolver.initWorkerPool(ocrConcurrency);
     
     const startTime = Date.now();
     let results = [];
     
     // Process based on selected mode
-    if (mode === 'single') {
-      console.log(`Starting single student processing for roll number ${prefix}${start}`);
+    if (mode === 'discover') {
+      console.log(`Discovering roll numbers for ${prefix} from ${start}${lateral ? ' (including lateral entry)' : ''}`);
+      
+      const discovery = new RollDiscovery(scraper, { gapTolerance: gap, debug });
+      const found = await discovery.discover(prefix, semester, { start, lateral });
+      const outputFile = output || path.join('roll-lists', `${prefix}_sem${semester}.txt`);
+      discovery.saveRollList(found, outputFile);
+      
+      console.log('\nDiscovery complete:');
+      console.log('═════════════════════════════════════════');
+      found.series.forEach(series => {
+        if (series.end === null) {
+          console.log(`❌ ${series.prefix}: no students found`);
+        } else {
+          console.log(`✅ ${series.prefix}: last roll number ${discovery.rollNumberFor(series, series.end)} (${series.rollNumbers.length} roll numbers, ${series.verified.length} verified${series.unknown.length ? `, ${series.unknown.length} inconclusive` : ''})`);
+        }
+      });
+      console.log(`🔍 Probes used: ${found.probes}`);
+      console.log(`📁 Roll list saved to ${outputFile}, run it with: node index.js --input ${outputFile}`);
+      console.log('═════════════════════════════════════════');
+    } else if (mode === 'transcript') {
+      const rollNumber = `${prefix}${start}`;
+      console.log(`Fetching transcript for ${rollNumber}, semesters ${semesters.join(', ')}`);
+      
+      const { transcript, results: semesterResults } = await scraper.getTranscript(rollNumber, semesters);
+      results = semesterResults;
+      
+      console.log('\nTranscript:');
+      console.log('═════════════════════════════════════════');
+      console.log(`🎓 Student: ${transcript.name || 'N/A'}`);
+      console.log(`📝 Roll Number: ${rollNumber}`);
+      console.log('-'.repeat(60));
+      console.log('| Sem | SGPA  | CGPA  | Credits | Backlogs                  |');
+      console.log('-'.repeat(60));
+      transcript.semesters.forEach(sem => {
+        const sgpa = sem.sgpa !== null ? sem.sgpa.toFixed(2) : 'N/A';
+        const cgpa = sem.runningCgpa !== null ? sem.runningCgpa.toFixed(2) : 'N/A';
+        console.log(`| ${sem.semester.padEnd(3)} | ${sgpa.padEnd(5)} | ${cgpa.padEnd(5)} | ${String(sem.cumulativeCredits).padEnd(7)} | ${(sem.backlogs.join(', ') || '-').padEnd(25)} |`);
+      });
+      console.log('-'.repeat(60));
+      if (transcript.missingSemesters.length > 0) {
+        console.log(`❌ Could not fetch semesters: ${transcript.missingSemesters.join(', ')}`);
+      }
+      console.log(`📈 CGPA: ${transcript.cgpa !== null ? transcript.cgpa : 'N/A'}, active backlogs: ${transcript.activeBacklogs}`);
+      console.log('═════════════════════════════════════════');
+    } else if (mode === 'single') {
+      console.log(`Starting single student processing for roll number ${prefix}${start} (${getProgram(program).name})`);
       console.log(`System has ${os.cpus().length} CPU cores - using OCR queue with concurrency ${ocrConcurrency}`);
       
       // Process single roll number
@@ -190,67 +726,78 @@ async function main() {
       // Print detailed result for single student
       console.log('\nResult:');
       console.log('═════════════════════════════════════════');
-      if (result.success) {
+      if (result.success && result.data) {
         console.log(`🎓 Student: ${result.data.student.name}`);
         console.log(`📝 Roll Number: ${rollNumber}`);
-        console.log(`📊 SGPA: ${result.data.results.sgpa}`);
-        console.log(`📈 CGPA: ${result.data.results.cgpa}`);
+        if (result.data.scheme === 'marks') {
+          console.log(`📊 Total: ${result.data.results.total_marks ?? 'N/A'}/${result.data.results.max_marks ?? 'N/A'}`);
+          console.log(`📈 Percentage: ${result.data.results.percentage ?? 'N/A'} (${result.data.results.division})`);
+        } else {
+          console.log(`📊 SGPA: ${result.data.results.sgpa ?? 'N/A'}`);
+          console.log(`📈 CGPA: ${result.data.results.cgpa ?? 'N/A'}`);
+        }
         console.log('🔹 Subjects:');
         if (result.data.subjects && Array.isArray(result.data.subjects)) {
           for (const subject of result.data.subjects) {
-            console.log(`   - ${subject.subject}: ${subject.grade}`);
+            console.log(`   - ${subject.subject}: ${subject.grade || subject.total}`);
           }
         } else {
           console.log('   - No subject data available');
         }
       } else {
         console.log(`❌ Failed to get result for ${rollNumber}`);
-        console.log(`Error: ${result.error}`);
+        console.log(`Error: ${result.error} (${result.outcome})`);
       }
       console.log('═════════════════════════════════════════');
     } else {
-      // Create roll number batch from range
       const studentBatch = [];
-      for (let i = parseInt(start); i <= parseInt(end); i++) {
-        const rollNumber = `${prefix}${i.toString().padStart(4, '0')}`;
-        studentBatch.push({ rollNumber, semester });
-      }
+      let totalCount;
       
-      console.log(`Starting batch processing for ${studentBatch.length} students with concurrency ${concurrency}`);
-      console.log(`Roll number range: ${prefix}${start.padStart(4, '0')} to ${prefix}${end.padStart(4, '0')}`);
+      if (resume) {
+        // The job file has the students, only the pending ones are processed
+        totalCount = JobStore.load(resume).getSummary().pending;
+        console.log(`Resuming job ${resume} with ${totalCount} students left, concurrency ${concurrency}`);
+      } else if (students) {
+        studentBatch.push(...students);
+        totalCount = studentBatch.length;
+        
+        console.log(`Starting batch processing for ${studentBatch.length} students with concurrency ${concurrency}`);
+        console.log(`Program: ${getProgram(program).name}`);
+        console.log(`Roll numbers from: ${[config.input, ...config.ranges].filter(Boolean).join(', ')}`);
+      } else {
+        // Create roll number batch from range
+        for (let i = parseInt(start); i <= parseInt(end); i++) {
+          const rollNumber = `${prefix}${i.toString().padStart(4, '0')}`;
+          studentBatch.push({ rollNumber, semester });
+        }
+        totalCount = studentBatch.length;
+        
+        console.log(`Starting batch processing for ${studentBatch.length} students with concurrency ${concurrency}`);
+        console.log(`Program: ${getProgram(program).name}`);
+        console.log(`Roll number range: ${prefix}${start.padStart(4, '0')} to ${prefix}${end.padStart(4, '0')}`);
+      }
       console.log(`System has ${os.cpus().length} CPU cores - using OCR queue with concurrency ${ocrConcurrency}`);
       
       // Set up periodic status reports every 30 seconds
       const statusReportInterval = setInterval(() => {
-        printStatusReport(results, startTime, studentBatch.length);
+        printStatusReport(results, startTime, totalCount);
       }, 30000);
       
-      // Set up periodic cleanup of temp files (every 2 minutes)
-      const cleanupInterval = setInterval(() => {
-        console.log('\n🧹 Performing periodic cleanup of temporary files...');
-        try {
-          // Only clean up files, don't terminate workers during processing
-          scraper.captchaSolver.cleanupTempFiles();
-        } catch (error) {
-          console.error('Error during periodic cleanup:', error);
-        }
-      }, 120000);
-      
       // Process the batch with higher concurrency (safe now with OCR queue)
-      const batchResults = await scraper.batchProcess(studentBatch, concurrency, 
+      const batchResults = await scraper.batchProcess(resume ? null : studentBatch, concurrency, 
         // Progress callback
         (result) => {
           results.push(result);
           // Trigger status report every 10 results
           if (results.length % 10 === 0) {
-            printStatusReport(results, startTime, studentBatch.length);
+            printStatusReport(results, startTime, totalCount);
           }
-        }
+        },
+        { resume }
       );
       
-      // Clear the intervals
+      // Clear the interval
       clearInterval(statusReportInterval);
-      clearInterval(cleanupInterval);
       
       results = batchResults;
     }
@@ -258,49 +805,24 @@ async function main() {
     const endTime = Date.now();
     const duration = (endTime - startTime) / 1000;
 
-    // Perform full cleanup of temporary files and directory
-    console.log('\n🧹 Performing final cleanup of all temporary files...');
-    try {
-      // First use the built-in cleanup method
-      await scraper.captchaSolver.cleanup();
-      
-      // Then ensure the temp directory is completely removed
-      const tempDir = path.join(process.cwd(), 'temp_captchas');
-      if (fs.existsSync(tempDir)) {
-        const files = fs.readdirSync(tempDir);
-        if (files.length > 0) {
-          console.log(`Found ${files.length} remaining files in temp directory. Removing all...`);
-          for (const file of files) {
-            try {
-              fs.unlinkSync(path.join(tempDir, file));
-            } catch (e) {
-              console.error(`Failed to delete file ${file}:`, e.message);
-            }
-          }
-        }
-        
-        // Try to remove the directory itself
-        try {
-          fs.rmdirSync(tempDir);
-          console.log(`Successfully removed temp_captchas directory`);
-        } catch (e) {
-          console.error(`Failed to remove temp_captchas directory:`, e.message);
-        }
-      }
-    } catch (error) {
-      console.error('Error during final cleanup:', error);
-    }
-
     // Print results summary for batch mode
     if (mode === 'batch') {
-      const successCount = results.filter(r => r.success).length;
-      const failCount = results.length - successCount;
+      const outcomes = countOutcomes(results);
+      const successCount = outcomes[OUTCOMES.OK];
+      const notFoundCount = outcomes[OUTCOMES.ROLL_NOT_FOUND];
+      const failCount = results.length - successCount - notFoundCount;
       
       console.log(`\nBatch processing complete in ${duration.toFixed(2)} seconds.`);
       console.log(`✅ Successful: ${successCount}/${results.length}`);
-      console.log(`❌ Failed: ${failCount}/${results.length}`);
+      console.log(`➖ Not found: ${notFoundCount}/${results.length}`);
+      console.log(`❌ Failed: ${failCount}/${results.length}${failCount > 0 ? ` (${formatOutcomes(outcomes)})` : ''}`);
       console.log(`⏱️ Average processing time: ${(duration / results.length).toFixed(2)} seconds per student`);
       
+      if (scraper.currentJob) {
+        const jobSummary = scraper.currentJob.getSummary();
+        console.log(`📁 Job ${scraper.currentJob.jobId}: ${jobSummary.done} done, ${jobSummary['not-found']} not found, ${jobSummary.failed} failed, ${jobSummary.pending} pending`);
+      }
+      
       // Print a table of the first 20 results
       const topResults = results.slice(0, 20);
       
@@ -312,16 +834,29 @@ async function main() {
         
         topResults.forEach(result => {
           const rollNumber = result.rollNumber;
-          const status = result.success ? '✅' : '❌';
-          const sgpa = result.success ? result.data.results.sgpa : 'N/A';
-          const cgpa = result.success ? result.data.results.cgpa : 'N/A';
-          const name = result.success ? result.data.student.name.padEnd(25) : 'N/A'.padEnd(25);
+          const status = result.success ? '✅' : result.outcome === OUTCOMES.ROLL_NOT_FOUND ? '➖' : '❌';
+          const sgpa = result.success && result.data ? String(result.data.results.sgpa ?? 'N/A') : 'N/A';
+          const cgpa = result.success && result.data ? String(result.data.results.cgpa ?? 'N/A') : 'N/A';
+          const name = result.success && result.data ? result.data.student.name.padEnd(25) : 'N/A'.padEnd(25);
           
           console.log(`| ${rollNumber} | ${status}     | ${sgpa.padEnd(5)} | ${cgpa.padEnd(5)} | ${name} |`);
         });
         
         console.log('-'.repeat(80));
       }
+      
+      if (watch) {
+        await notify(config.notify, {
+          event: 'batch-complete',
+          semester,
+          sentinel: watchSentinel(),
+          successful: successCount,
+          notFound: notFoundCount,
+          failed: failCount,
+          jobId: scraper.currentJob ? scraper.currentJob.jobId : null,
+          durationSeconds: Math.round(duration)
+        }, { debug });
+      }
     }
     
 
@@ -340,34 +875,19 @@ export async function cleanupResources() {
   console.log('Cleaning up resources...');
   try {
     await scraper.captchaSolver.cleanup();
-    console.log("✅ Cleaned up all OCR resources and temporary files");
+    scraper.httpClient.destroy();
+    console.log("✅ Cleaned up all OCR resources");
   } catch (error) {
     console.error("Error during cleanup:", error);
-    
-    // Last resort cleanup attempt for temp files
-    try {
-      const tempDir = path.join(process.cwd(), 'temp_captchas');
-      if (fs.existsSync(tempDir)) {
-        const files = fs.readdirSync(tempDir);
-        console.log(`Emergency cleanup: attempting to delete ${files.length} remaining temp files`);
-        
-        for (const file of files) {
-          try {
-            fs.unlinkSync(path.join(tempDir, file));
-          } catch (e) {
-            // Ignore individual file deletion errors in emergency cleanup
-          }
-        }
-      }
-    } catch (cleanupError) {
-      console.error("Error during emergency cleanup:", cleanupError);
-    }
   }
 }
 
 // Add graceful shutdown handlers
 process.on('SIGINT', async () => {
   console.log('\nReceived SIGINT. Shutting down gracefully...');
+  if (scraper.currentJob) {
+    console.log(`Progress is saved. Resume with: node index.js --resume ${scraper.currentJob.jobId}`);
+  }
   await cleanupResources();
   process.exit(0);
 });
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import CaptchaPreprocessor from './CaptchaPreprocessor.js';
+import { createSolver } from './solvers.js';
+
+/**
+ * Get a percentile of sorted numbers
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile from 0 to 100
+ * @returns {number} - The value, 0 for no values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Replays the labelled captchas of a CaptchaDataset through a solver
+ * configuration and measures how often it is right on the first try.
+ *
+ * Images are solved one at a time, through the same preprocessing and
+ * solver interface as live lookups, but without the majority vote.
+ */
+class CaptchaBenchmark {
+  /**
+   * @param {CaptchaDataset} dataset - Dataset to replay
+   * @param {Object} options - Solver configuration under test
+   * @param {string|Array|Object} options.solver - Solver backend or fallback order, see createSolver (default: 'tesseract')
+   * @param {string|Array<string>} options.preprocess - Preprocessing steps, see parsePreprocessSteps
+   * @param {string} options.templates - Template file of the template solver
+   * @param {number} options.minConfidence - Confidence needed to stop at a solver in a chain
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(dataset, options = {}) {
+    this.dataset = dataset;
+    this.debug = options.debug || false;
+    this.preprocessor = new CaptchaPreprocessor({ steps: options.preprocess });
+    this.solver = createSolver(options.solver, {
+      templates: options.templates,
+      minConfidence: options.minConfidence,
+      poolSize: 1
+    });
+  }
+
+  /**
+   * Solve every labelled image and compare with its label
+   * @param {Object} options - Run options
+   * @param {number} options.limit - Only replay this many images (default: all)
+   * @param {Function} options.onProgress - Called with `(done, total)` after every image
+   * @returns {Promise<Object>} - The report, see below
+   */
+  async run(options = {}) {
+    let entries = this.dataset.entries({ labelledOnly: true }).filter(entry => fs.existsSync(entry.path));
+    if (options.limit) {
+      entries = entries.slice(0, options.limit);
+    }
+
+    const report = {
+      solver: this.solver.name || 'custom',
+      preprocess: [...this.preprocessor.steps],
+      total: entries.length,
+      correct: 0,
+      accuracy: 0,
+      errors: 0,
+      lengthMismatches: 0,
+      characters: { total: 0, correct: 0, accuracy: 0 },
+      // expected character → { guessed character → count }, for images whose guess has the right length
+      confusion: {},
+      latency: { average: 0, p50: 0, p95: 0, max: 0 },
+      mistakes: []
+    };
+    if (entries.length === 0) {
+      return report;
+    }
+
+    if (typeof this.solver.init === 'function') {
+      await this.solver.init({ poolSize: 1 });
+    }
+
+    const latencies = [];
+    try {
+      for (const [index, entry] of entries.entries()) {
+        const started = Date.now();
+        let guess = '';
+        try {
+          const original = fs.readFileSync(entry.path);
+          const processed = this.preprocessor.process(original);
+          const result = await this.solver.solve(processed.buffer, { segments: processed.segments, original });
+          guess = (result.text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        } catch (error) {
+          report.errors++;
+          if (this.debug) console.log(`Solver failed on ${entry.file}: ${error.message}`);
+        }
+        latencies.push(Date.now() - started);
+
+        const label = entry.label.toUpperCase();
+        if (guess === label) {
+          report.correct++;
+        } else {
+          report.mistakes.push({ file: entry.file, label, guess });
+        }
+
+        if (guess.length === label.length) {
+          [...label].forEach((expected, i) => {
+            const got = guess[i];
+            report.characters.total++;
+            if (got === expected) report.characters.correct++;
+            report.confusion[expected] = report.confusion[expected] || {};
+            report.confusion[expected][got] = (report.confusion[expected][got] || 0) + 1;
+          });
+        } else {
+          report.lengthMismatches++;
+        }
+
+        if (typeof options.onProgress === 'function') {
+          options.onProgress(index + 1, entries.length);
+        }
+      }
+    } finally {
+      if (typeof this.solver.terminate === 'function') {
+        await this.solver.terminate();
+      }
+    }
+
+    latencies.sort((a, b) => a - b);
+    report.accuracy = report.correct / report.total;
+    report.characters.accuracy = report.characters.total > 0 ? report.characters.correct / report.characters.total : 0;
+    report.latency = {
+      average: Math.round(latencies.reduce((total, ms) => total + ms, 0) / latencies.length),
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      max: latencies[latencies.length - 1]
+    };
+    return report;
+  }
+}
+
+export default CaptchaBenchmark;
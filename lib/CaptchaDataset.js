@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const VERDICTS = {
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Labelled captchas collected from real lookups.
+ *
+ * Every captcha image downloaded for a submission is saved together with
+ * the solver's guess and the portal's verdict on the submitted answer.
+ * All images of one form show the same text, so an accepted answer labels
+ * every image of the vote, including the ones the solver got wrong.
+ *
+ * Layout:
+ * - `<label>_<id>.png`: images of accepted answers, named like the template
+ *   solver's training data so the directory can be trained on directly
+ * - `rejected/<id>.png`: images of answers the portal rejected, label unknown
+ * - `labels.jsonl`: one line per image with the guess, verdict and label
+ */
+class CaptchaDataset {
+  /**
+   * @param {Object} options - Dataset options
+   * @param {string} options.dir - Dataset directory (default: captcha/dataset)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'captcha', 'dataset');
+    this.indexFile = path.join(this.dir, 'labels.jsonl');
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * Save the images of a submitted captcha with the portal's verdict
+   * @param {Object} captchaResult - From CaptchaSolver.processCaptcha: `{ captchaText, attempts }`
+   * @param {string} verdict - VERDICTS.ACCEPTED or VERDICTS.REJECTED
+   * @param {Object} context - Extra fields stored with every entry, e.g. the roll number
+   * @returns {number} - Number of images saved
+   */
+  record(captchaResult, verdict, context = {}) {
+    if (!captchaResult || !Array.isArray(captchaResult.attempts) || captchaResult.attempts.length === 0) {
+      return 0;
+    }
+
+    const accepted = verdict === VERDICTS.ACCEPTED;
+    const label = accepted ? captchaResult.captchaText : null;
+    const at = new Date().toISOString();
+    const lines = [];
+
+    try {
+      const dir = accepted ? this.dir : path.join(this.dir, 'rejected');
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      for (const attempt of captchaResult.attempts) {
+        const id = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+        const file = accepted ? `${label}_${id}.png` : path.join('rejected', `${id}.png`);
+        fs.writeFileSync(path.join(this.dir, file), attempt.buffer);
+
+        lines.push(JSON.stringify({
+          file,
+          label,
+          guess: attempt.text,
+          confidence: attempt.confidence,
+          solver: attempt.solver,
+          latency: attempt.latency,
+          submitted: captchaResult.captchaText,
+          verdict,
+          ...context,
+          at
+        }));
+      }
+
+      fs.appendFileSync(this.indexFile, lines.join('\n') + '\n');
+    } catch (error) {
+      console.error('Error recording captcha dataset:', error.message);
+      return 0;
+    }
+
+    if (this.debug) console.log(`Recorded ${lines.length} captcha image(s) as ${verdict} (${captchaResult.captchaText})`);
+    return lines.length;
+  }
+
+  /**
+   * Read the dataset index
+   * @param {Object} options - Read options
+   * @param {boolean} options.labelledOnly - Only return entries with a known label (default: false)
+   * @returns {Array<Object>} - Index entries, each with the absolute `path` of its image
+   */
+  entries(options = {}) {
+    if (!fs.existsSync(this.indexFile)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.indexFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (options.labelledOnly && !entry.label) continue;
+        entries.push({ ...entry, path: path.join(this.dir, entry.file) });
+      } catch (error) {
+        if (this.debug) console.log(`Skipping malformed dataset line: ${line.slice(0, 80)}`);
+      }
+    }
+    return entries;
+  }
+}
+
+export default CaptchaDataset;
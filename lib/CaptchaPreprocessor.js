@@ -0,0 +1,472 @@
+import { decodePng, encodePng, isPng } from './png.js';
+
+/**
+ * Steps of the preprocessing pipeline, in the order they run
+ */
+export const PREPROCESS_STEPS = ['grayscale', 'threshold', 'lines', 'morphology', 'segment', 'upscale'];
+
+// Morphology is off by default: the portal font has thin strokes that opening can erase
+const DEFAULT_STEPS = ['grayscale', 'threshold', 'lines', 'segment', 'upscale'];
+
+// Pixels darker than this count as ink in the binary steps
+const INK_LEVEL = 128;
+
+/**
+ * Name the format of an image from its magic number
+ * @param {Buffer} buffer - The image
+ * @returns {string} - 'PNG', 'GIF', 'JPEG' or 'unknown'
+ */
+function imageFormat(buffer) {
+  if (isPng(buffer)) return 'PNG';
+  if (buffer.length >= 4 && buffer.toString('latin1', 0, 4) === 'GIF8') return 'GIF';
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'JPEG';
+  return 'unknown';
+}
+
+/**
+ * Parse a list of preprocessing steps, e.g. from the command line
+ * @param {string|Array<string>} spec - 'all', 'none', 'default' or a comma separated list of PREPROCESS_STEPS
+ * @returns {Array<string>} - The enabled steps in pipeline order
+ */
+export function parsePreprocessSteps(spec) {
+  if (spec === undefined || spec === null || spec === true || spec === 'default') return [...DEFAULT_STEPS];
+  if (spec === false || spec === 'none' || spec === '') return [];
+  if (spec === 'all') return [...PREPROCESS_STEPS];
+
+  const steps = Array.isArray(spec) ? spec : String(spec).split(',');
+  const wanted = steps.map(step => step.trim().toLowerCase()).filter(Boolean);
+  const unknown = wanted.filter(step => !PREPROCESS_STEPS.includes(step));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown preprocessing step(s): ${unknown.join(', ')} (expected ${PREPROCESS_STEPS.join(', ')})`);
+  }
+  return PREPROCESS_STEPS.filter(step => wanted.includes(step));
+}
+
+/**
+ * Cleans captcha images up before OCR.
+ *
+ * Runs entirely in JS on a single-channel image `{ width, height, data }`
+ * (0 = black, 255 = white): grayscale conversion with contrast stretching,
+ * thresholding, removal of thin noise lines, optional opening/closing,
+ * character segmentation and upscaling. Every step can be switched off so
+ * its effect on first-try accuracy can be measured on its own.
+ */
+class CaptchaPreprocessor {
+  /**
+   * @param {Object} options - Preprocessing options
+   * @param {string|Array<string>} options.steps - Steps to run, see parsePreprocessSteps (default: all but morphology)
+   * @param {string} options.grayscale - Channel mix: 'luminance', 'average' or 'min' (default: 'luminance')
+   * @param {string|number} options.threshold - 'otsu' or a fixed level from 0 to 255 (default: 'otsu')
+   * @param {number} options.lineThickness - Ink runs this thin in either direction are treated as noise lines (default: 1)
+   * @param {string} options.morphology - 'open' to drop specks or 'close' to fill gaps in strokes (default: 'open')
+   * @param {number} options.kernel - Size of the square morphology kernel (default: 3)
+   * @param {number} options.minCharArea - Smaller connected blobs are dropped as noise when segmenting (default: 20)
+   * @param {number} options.charSpacing - Gap between characters after segmentation in pixels (default: 6)
+   * @param {number} options.scale - Upscaling factor (default: 2)
+   * @param {number} options.padding - White border added when upscaling, in output pixels (default: 8)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.steps = parsePreprocessSteps(options.steps);
+    this.grayscaleMethod = options.grayscale || 'luminance';
+    this.thresholdLevel = options.threshold !== undefined ? options.threshold : 'otsu';
+    this.lineThickness = options.lineThickness || 1;
+    this.morphologyMode = options.morphology || 'open';
+    this.kernel = options.kernel || 3;
+    this.minCharArea = options.minCharArea || 20;
+    this.charSpacing = options.charSpacing !== undefined ? options.charSpacing : 6;
+    this.scale = options.scale || 2;
+    this.padding = options.padding !== undefined ? options.padding : 8;
+    this.debug = options.debug || false;
+    // Reasons for skipping that were already reported
+    this.warned = new Set();
+  }
+
+  /**
+   * Check whether a step is enabled
+   * @param {string} step - One of PREPROCESS_STEPS
+   * @returns {boolean}
+   */
+  has(step) {
+    return this.steps.includes(step);
+  }
+
+  /**
+   * Run the enabled steps on a captcha
+   * @param {Buffer} buffer - The captcha as downloaded
+   * @returns {Object} - `{ buffer, image, segments, steps, skipped }`; the original buffer is returned when nothing could be done
+   */
+  process(buffer) {
+    if (this.steps.length === 0) {
+      return { buffer, image: null, segments: [], steps: [], skipped: true };
+    }
+
+    const format = imageFormat(buffer);
+    if (format !== 'PNG') {
+      this.warnSkipped(`${format} captchas can't be preprocessed, only PNG`);
+      return { buffer, image: null, segments: [], steps: [], skipped: true };
+    }
+
+    let image;
+    try {
+      image = this.grayscale(decodePng(buffer));
+    } catch (error) {
+      if (this.debug) console.log(`Captcha preprocessing skipped: ${error.message}`);
+      this.warnSkipped(error.message);
+      return { buffer, image: null, segments: [], steps: [], skipped: true };
+    }
+
+    let segments = [];
+    if (this.has('threshold')) image = this.threshold(image);
+    if (this.has('lines')) image = this.removeLines(image);
+    if (this.has('morphology')) {
+      image = this.morphologyMode === 'close'
+        ? this.erode(this.dilate(image))
+        : this.dilate(this.erode(image));
+    }
+    if (this.has('segment')) {
+      segments = this.segmentCharacters(image);
+      image = this.layoutSegments(image, segments);
+    }
+    if (this.has('upscale')) image = this.upscale(image);
+
+    if (this.debug) {
+      console.log(`Captcha preprocessed (${this.steps.join(', ')}): ${image.width}x${image.height}, ${segments.length} segment(s)`);
+    }
+
+    return {
+      buffer: encodePng(image.width, image.height, image.data),
+      image,
+      segments,
+      steps: [...this.steps],
+      skipped: false
+    };
+  }
+
+  /**
+   * Report once, also outside debug mode, that captchas go to the solver unprocessed
+   * @param {string} reason - Why preprocessing was skipped
+   */
+  warnSkipped(reason) {
+    if (this.warned.has(reason)) return;
+    this.warned.add(reason);
+    console.log(`⚠️ Captcha preprocessing skipped, the solver gets the raw image: ${reason}`);
+  }
+
+  /**
+   * Reduce a decoded PNG to one channel; with the grayscale step the chosen
+   * channel mix is used and the contrast is stretched to the full range
+   * @param {Object} decoded - `{ width, height, rgb }` from decodePng
+   * @returns {Object} - Single-channel image
+   */
+  grayscale(decoded) {
+    const { width, height, rgb } = decoded;
+    const data = new Uint8Array(width * height);
+    const method = this.has('grayscale') ? this.grayscaleMethod : 'average';
+
+    for (let i = 0; i < data.length; i++) {
+      const r = rgb[i * 3];
+      const g = rgb[i * 3 + 1];
+      const b = rgb[i * 3 + 2];
+      if (method === 'min') {
+        data[i] = Math.min(r, g, b);
+      } else if (method === 'average') {
+        data[i] = Math.round((r + g + b) / 3);
+      } else {
+        data[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+      }
+    }
+
+    if (this.has('grayscale')) {
+      let low = 255;
+      let high = 0;
+      for (const value of data) {
+        if (value < low) low = value;
+        if (value > high) high = value;
+      }
+      if (high > low) {
+        for (let i = 0; i < data.length; i++) {
+          data[i] = Math.round((data[i] - low) * 255 / (high - low));
+        }
+      }
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Binarize to black ink on white, inverting light-on-dark captchas
+   * @param {Object} image - Single-channel image
+   * @returns {Object} - Binary image
+   */
+  threshold(image) {
+    const level = typeof this.thresholdLevel === 'number' ? this.thresholdLevel : otsuLevel(image.data);
+    const data = new Uint8Array(image.data.length);
+    let ink = 0;
+    for (let i = 0; i < data.length; i++) {
+      const dark = image.data[i] <= level;
+      data[i] = dark ? 0 : 255;
+      if (dark) ink++;
+    }
+
+    // Text covers much less than half of a captcha, so a mostly dark image has light text
+    if (ink > data.length / 2) {
+      for (let i = 0; i < data.length; i++) data[i] = 255 - data[i];
+    }
+
+    if (this.debug) console.log(`Captcha threshold level ${level}${ink > data.length / 2 ? ' (inverted)' : ''}`);
+    return { ...image, data };
+  }
+
+  /**
+   * Erase thin strokes such as the noise lines drawn across captchas.
+   * An ink pixel is erased when its horizontal or its vertical run of ink is
+   * at most `lineThickness`; character strokes are thicker in both directions.
+   * @param {Object} image - Single-channel image
+   * @returns {Object} - Image without the noise lines
+   */
+  removeLines(image) {
+    const { width, height } = image;
+    const data = Uint8Array.from(image.data);
+    const isInk = (x, y) => image.data[y * width + x] < INK_LEVEL;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!isInk(x, y)) continue;
+
+        let horizontal = 1;
+        for (let i = x - 1; i >= 0 && isInk(i, y); i--) horizontal++;
+        for (let i = x + 1; i < width && isInk(i, y); i++) horizontal++;
+        let vertical = 1;
+        for (let j = y - 1; j >= 0 && isInk(x, j); j--) vertical++;
+        for (let j = y + 1; j < height && isInk(x, j); j++) vertical++;
+
+        if (Math.min(horizontal, vertical) <= this.lineThickness) {
+          data[y * width + x] = 255;
+        }
+      }
+    }
+
+    return { ...image, data };
+  }
+
+  /**
+   * Grow the ink by the kernel size
+   * @param {Object} image - Single-channel image
+   * @returns {Object} - Dilated image
+   */
+  dilate(image) {
+    return this.morph(image, Math.min);
+  }
+
+  /**
+   * Shrink the ink by the kernel size
+   * @param {Object} image - Single-channel image
+   * @returns {Object} - Eroded image
+   */
+  erode(image) {
+    return this.morph(image, Math.max);
+  }
+
+  /**
+   * Apply a min or max filter over the square kernel
+   * @param {Object} image - Single-channel image
+   * @param {Function} pick - Math.min to grow ink (dark), Math.max to shrink it
+   * @returns {Object} - Filtered image
+   */
+  morph(image, pick) {
+    const { width, height } = image;
+    const radius = Math.floor(this.kernel / 2);
+    const data = new Uint8Array(image.data.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let value = image.data[y * width + x];
+        for (let dy = -radius; dy <= radius; dy++) {
+          for (let dx = -radius; dx <= radius; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            value = pick(value, image.data[ny * width + nx]);
+          }
+        }
+        data[y * width + x] = value;
+      }
+    }
+
+    return { ...image, data };
+  }
+
+  /**
+   * Find the characters as connected blobs of ink, left to right.
+   * Blobs smaller than `minCharArea` are noise; blobs that overlap
+   * horizontally (a character broken in two) are merged.
+   * @param {Object} image - Single-channel image
+   * @returns {Array<Object>} - `{ x, y, width, height, area, data }` per character, `data` being the cropped pixels
+   */
+  segmentCharacters(image) {
+    const { width, height } = image;
+    const labels = new Int32Array(width * height).fill(-1);
+    const blobs = [];
+
+    for (let start = 0; start < labels.length; start++) {
+      if (labels[start] !== -1 || image.data[start] >= INK_LEVEL) continue;
+
+      const blob = { left: width, top: height, right: 0, bottom: 0, area: 0 };
+      const stack = [start];
+      labels[start] = blobs.length;
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+        blob.left = Math.min(blob.left, x);
+        blob.right = Math.max(blob.right, x);
+        blob.top = Math.min(blob.top, y);
+        blob.bottom = Math.max(blob.bottom, y);
+        blob.area++;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const next = ny * width + nx;
+            if (labels[next] === -1 && image.data[next] < INK_LEVEL) {
+              labels[next] = blobs.length;
+              stack.push(next);
+            }
+          }
+        }
+      }
+      blobs.push(blob);
+    }
+
+    const merged = [];
+    blobs
+      .filter(blob => blob.area >= this.minCharArea)
+      .sort((a, b) => a.left - b.left)
+      .forEach(blob => {
+        const last = merged[merged.length - 1];
+        const overlap = last ? Math.min(last.right, blob.right) - Math.max(last.left, blob.left) : -1;
+        if (last && overlap >= Math.min(last.right - last.left, blob.right - blob.left) / 2) {
+          last.left = Math.min(last.left, blob.left);
+          last.right = Math.max(last.right, blob.right);
+          last.top = Math.min(last.top, blob.top);
+          last.bottom = Math.max(last.bottom, blob.bottom);
+          last.area += blob.area;
+        } else {
+          merged.push({ ...blob });
+        }
+      });
+
+    return merged.map(blob => {
+      const segment = {
+        x: blob.left,
+        y: blob.top,
+        width: blob.right - blob.left + 1,
+        height: blob.bottom - blob.top + 1,
+        area: blob.area
+      };
+      segment.data = new Uint8Array(segment.width * segment.height);
+      for (let y = 0; y < segment.height; y++) {
+        for (let x = 0; x < segment.width; x++) {
+          segment.data[y * segment.width + x] = image.data[(segment.y + y) * width + segment.x + x];
+        }
+      }
+      return segment;
+    });
+  }
+
+  /**
+   * Redraw the segments side by side with even spacing, dropping everything else
+   * @param {Object} image - Single-channel image the segments came from
+   * @param {Array<Object>} segments - From segmentCharacters
+   * @returns {Object} - The re-laid-out image, or the input if nothing was found
+   */
+  layoutSegments(image, segments) {
+    if (segments.length === 0) return image;
+
+    const top = Math.min(...segments.map(s => s.y));
+    const bottom = Math.max(...segments.map(s => s.y + s.height));
+    const gap = this.charSpacing;
+    const width = segments.reduce((total, s) => total + s.width, 0) + gap * (segments.length + 1);
+    const height = bottom - top + gap * 2;
+    const data = new Uint8Array(width * height).fill(255);
+
+    let offset = gap;
+    for (const segment of segments) {
+      for (let y = 0; y < segment.height; y++) {
+        for (let x = 0; x < segment.width; x++) {
+          data[(gap + segment.y - top + y) * width + offset + x] = segment.data[y * segment.width + x];
+        }
+      }
+      offset += segment.width + gap;
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Enlarge with nearest-neighbour sampling and add a white border
+   * @param {Object} image - Single-channel image
+   * @returns {Object} - Upscaled image
+   */
+  upscale(image) {
+    const { scale, padding } = this;
+    const width = image.width * scale + padding * 2;
+    const height = image.height * scale + padding * 2;
+    const data = new Uint8Array(width * height).fill(255);
+
+    for (let y = 0; y < image.height * scale; y++) {
+      for (let x = 0; x < image.width * scale; x++) {
+        data[(y + padding) * width + x + padding] = image.data[Math.floor(y / scale) * image.width + Math.floor(x / scale)];
+      }
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Set debug mode
+   * @param {boolean} debug Whether to enable debug mode
+   */
+  setDebug(debug) {
+    this.debug = debug;
+  }
+}
+
+/**
+ * Pick the threshold that best separates ink from background (Otsu's method)
+ * @param {Uint8Array} data - Single-channel pixels
+ * @returns {number} - Pixels at or below this level are ink
+ */
+function otsuLevel(data) {
+  const histogram = new Array(256).fill(0);
+  for (const value of data) histogram[value]++;
+
+  let sum = 0;
+  for (let level = 0; level < 256; level++) sum += level * histogram[level];
+
+  let darkSum = 0;
+  let darkCount = 0;
+  let best = 0;
+  let bestVariance = -1;
+  for (let level = 0; level < 256; level++) {
+    darkCount += histogram[level];
+    if (darkCount === 0) continue;
+    const lightCount = data.length - darkCount;
+    if (lightCount === 0) break;
+
+    darkSum += level * histogram[level];
+    const meanDark = darkSum / darkCount;
+    const meanLight = (sum - darkSum) / lightCount;
+    const variance = darkCount * lightCount * (meanDark - meanLight) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = level;
+    }
+  }
+  return best;
+}
+
+export default CaptchaPreprocessor;
@@ -1,298 +1,235 @@
-import fetch from 'node-fetch';
-import { createWorker } from 'tesseract.js';
 import fs from 'fs';
 import path from 'path';
 import pLimit from 'p-limit';
 import os from 'os';
 import crypto from 'crypto';
+import HttpClient from './HttpClient.js';
+import CaptchaPreprocessor from './CaptchaPreprocessor.js';
+import { createSolver } from './solvers.js';
+
+/**
+ * Characters the portal's captchas are made of
+ */
+export const CAPTCHA_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
 
 /**
  * Class responsible for solving CAPTCHA challenges
  */
 class CaptchaSolver {
-  constructor(debug = false) {
+  /**
+   * @param {boolean} debug - Enable debug mode
+   * @param {Object} options - Solver options
+   * @param {HttpClient} options.httpClient - Shared HTTP client (default: a new client for options.baseUrl)
+   * @param {string} options.baseUrl - Result portal root the captcha URLs are relative to
+   * @param {string|Array<string>} options.preprocess - Preprocessing steps run before OCR, see parsePreprocessSteps
+   * @param {string|Array|Object} options.solver - Solver backend or fallback order, see createSolver (default: 'tesseract')
+   * @param {string} options.templates - Template file of the template solver
+   * @param {number} options.minConfidence - Confidence needed to stop at a solver in a chain (default: 0.6)
+   * @param {number} options.targetAcceptance - Acceptance rate at which a confident answer skips the vote (default: 0.9)
+   * @param {number} options.minVerdicts - Portal verdicts needed before confident answers skip the vote (default: 20)
+   * @param {number} options.acceptConfidence - Vote confidence at which an answer is submitted without more samples (default: 0.9)
+   * @param {number} options.captchaLength - Number of characters in a captcha (default: anything from 4 to 6)
+   * @param {string} options.captchaAlphabet - Characters a captcha can contain (default: A-Z and 0-9)
+   * @param {number} options.ocrConcurrency - Captchas solved at the same time, and Tesseract workers (default: 2)
+   * @param {number} options.ocrTimeout - Time limit for solving one captcha in milliseconds (default: 30000)
+   * @param {number} options.recycleAfter - Captchas after which a Tesseract worker is replaced by a fresh one (default: 200)
+   */
+  constructor(debug = false, options = {}) {
     this.debug = debug;
-    // Create a dedicated OCR queue with limited concurrency
-    this.ocrQueue = pLimit(2); // Limit to 2 concurrent OCR operations
-    this.workerPool = [];
+    this.http = options.httpClient || new HttpClient({ baseUrl: options.baseUrl });
+    this.preprocessor = new CaptchaPreprocessor({ steps: options.preprocess, debug });
+    this.captchaAlphabet = (options.captchaAlphabet || CAPTCHA_ALPHABET).toUpperCase();
+    this.minLength = options.captchaLength || 4;
+    this.maxLength = options.captchaLength || 6;
+    this.acceptConfidence = options.acceptConfidence || 0.9;
+    this.ocrConcurrency = options.ocrConcurrency || 2;
+    this.solver = createSolver(options.solver, {
+      templates: options.templates,
+      minConfidence: options.minConfidence,
+      alphabet: this.captchaAlphabet,
+      poolSize: this.ocrConcurrency,
+      jobTimeout: options.ocrTimeout,
+      recycleAfter: options.recycleAfter,
+      debug
+    });
+    // Create a dedicated OCR queue, as wide as the worker pool
+    this.ocrQueue = pLimit(this.ocrConcurrency);
     this.isPoolInitialized = false;
     
-    // Add statistics tracking
+    // Add statistics tracking. successfulRequests only means the solver didn't
+    // throw; accepted/rejected are the portal's verdicts on submitted answers.
     this.stats = {
       totalRequests: 0,
       successfulRequests: 0,
       failedRequests: 0,
       averageTime: 0,
-      totalTime: 0
+      totalTime: 0,
+      submitted: 0,
+      accepted: 0,
+      rejected: 0,
+      imagesSubmitted: 0
     };
     
-    // Create temp directory for captcha images
-    this.tempDir = path.join(process.cwd(), 'temp_captchas');
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-    }
-    
-    // Track temp files for cleanup
-    this.tempFiles = [];
+    // Verdicts by the confidence of the submitted answer, in tenths
+    this.calibration = Array.from({ length: 10 }, () => ({ submitted: 0, accepted: 0 }));
+    // Acceptance rate an answer's confidence must predict before it is submitted without more votes
+    this.targetAcceptance = options.targetAcceptance || 0.9;
+    // Verdicts needed before the confidence threshold is trusted
+    this.minVerdicts = options.minVerdicts || 20;
   }
 
   /**
-   * Initialize worker pool for parallel OCR processing
+   * Initialize the solver backend, e.g. start the Tesseract worker pool
+   * @param {number} poolSize - Number of OCR workers (default: ocrConcurrency)
    * @returns {Promise<void>}
    */
-  async initWorkerPool(poolSize = 2) {
+  async initWorkerPool(poolSize = this.ocrConcurrency) {
     if (this.isPoolInitialized) return;
     
-    if (this.debug) console.log(`Initializing Tesseract worker pool with ${poolSize} workers...`);
-    
-    // Create and initialize workers
-    for (let i = 0; i < poolSize; i++) {
-      try {
-        if (this.debug) console.log(`Initializing worker ${i+1}/${poolSize}...`);
-        const worker = await createWorker();
-        
-        // Additional error handling for worker initialization
-        try {
-          await worker.loadLanguage('eng');
-          await worker.initialize('eng');
-          
-          // Set options for better accuracy with captchas
-          await worker.setParameters({
-            tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
-            preserve_interword_spaces: '0',
-            tessedit_pageseg_mode: '8', // Treat the image as a single word
-          });
-          
-          this.workerPool.push({ worker, busy: false });
-          if (this.debug) console.log(`Worker ${i+1} initialized successfully`);
-        } catch (initError) {
-          console.error(`Error initializing worker ${i+1}:`, initError);
-          // Try to terminate the worker if initialization failed
-          try {
-            await worker.terminate();
-          } catch (termError) {
-            // Ignore termination errors
-          }
-          
-          // Retry this worker
-          i--;
-          
-          // Wait a bit before retrying
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-      } catch (error) {
-        console.error(`Error creating worker ${i+1}:`, error);
-        // If we can't create even a single worker after multiple attempts, something is seriously wrong
-        if (this.workerPool.length === 0 && i >= 3) {
-          throw new Error('Failed to initialize any Tesseract workers after multiple attempts');
-        }
-      }
-    }
-    
-    if (this.workerPool.length === 0) {
-      throw new Error('Failed to initialize any Tesseract workers');
+    if (typeof this.solver.init === 'function') {
+      await this.solver.init({ poolSize });
     }
     
     this.isPoolInitialized = true;
-    if (this.debug) console.log(`Worker pool initialization complete with ${this.workerPool.length} workers`);
-  }
-
-  /**
-   * Get an available worker from the pool
-   * @returns {Promise<Object>} - An available worker
-   */
-  async getAvailableWorker() {
-    if (!this.isPoolInitialized) {
-      await this.initWorkerPool();
-    }
-    
-    // Find an available worker
-    const availableWorker = this.workerPool.find(w => !w.busy);
-    
-    if (availableWorker) {
-      availableWorker.busy = true;
-      return availableWorker;
-    }
-    
-    // If all workers are busy, wait for one to become available
-    return new Promise(resolve => {
-      const checkInterval = setInterval(() => {
-        const worker = this.workerPool.find(w => !w.busy);
-        if (worker) {
-          clearInterval(checkInterval);
-          worker.busy = true;
-          resolve(worker);
-        }
-      }, 100);
-    });
+    if (this.debug) console.log(`Captcha solver ready: ${this.solver.name || 'custom'}`);
   }
 
   /**
-   * Release a worker back to the pool
-   * @param {Object} workerObj - The worker object to release
-   */
-  releaseWorker(workerObj) {
-    const worker = this.workerPool.find(w => w.worker === workerObj.worker);
-    if (worker) {
-      worker.busy = false;
-    }
-  }
-
-  /**
-   * Download the CAPTCHA image
+   * Download the CAPTCHA image into memory
    * @param {string} captchaUrl - The URL of the CAPTCHA image
-   * @returns {Promise<Object>} - Object containing image buffer and file path
+   * @param {CookieJar} session - Cookies of the session the captcha belongs to
+   * @returns {Promise<Object>} - `{ buffer, name, path }`; `path` is only set when debug mode saved a copy to db/
    */
-  async downloadCaptcha(captchaUrl) {
-    const fullUrl = `https://result.rgpv.ac.in/Result/${captchaUrl}`;
+  async downloadCaptcha(captchaUrl, session = null) {
+    const fullUrl = this.http.url(captchaUrl);
     if (this.debug) console.log(`Downloading captcha from: ${fullUrl}`);
     
-    const response = await fetch(fullUrl);
-    const buffer = await response.arrayBuffer();
-    const imageBuffer = Buffer.from(buffer);
+    const response = await this.http.request(fullUrl, { kind: 'image', responseType: 'buffer', jar: session });
+    const imageBuffer = response.body;
     
     if (this.debug) console.log(`Captcha image downloaded (${imageBuffer.length} bytes)`);
     
-    // Generate a unique file name
+    // Unique name, used for debug copies
     const timestamp = new Date().getTime();
     const random = crypto.randomBytes(4).toString('hex');
-    const fileName = `captcha_${timestamp}_${random}.png`;
-    const filePath = path.join(this.tempDir, fileName);
+    const name = `captcha_${timestamp}_${random}`;
     
-    // Save image to temp file
-    fs.writeFileSync(filePath, imageBuffer);
-    this.tempFiles.push(filePath);
+    const filePath = this.saveDebugImage(`${name}.png`, imageBuffer);
+    return { buffer: imageBuffer, name, path: filePath };
+  }
+
+  /**
+   * Save a copy of a captcha image to db/ in debug mode
+   * @param {string} fileName - File name inside db/
+   * @param {Buffer} imageBuffer - The image
+   * @returns {string|null} - Where the image was saved, null outside debug mode
+   */
+  saveDebugImage(fileName, imageBuffer) {
+    if (!this.debug) return null;
     
-    // Save a copy for debugging if needed
-    if (this.debug) {
+    try {
       const debugDir = path.join(process.cwd(), 'db');
       if (!fs.existsSync(debugDir)) {
         fs.mkdirSync(debugDir, { recursive: true });
       }
-      fs.writeFileSync(path.join(debugDir, fileName), imageBuffer);
+      const filePath = path.join(debugDir, fileName);
+      fs.writeFileSync(filePath, imageBuffer);
       console.log(`Captcha image saved to db/${fileName}`);
+      return filePath;
+    } catch (error) {
+      console.error('Error saving debug captcha image:', error.message);
+      return null;
     }
-    
-    return { buffer: imageBuffer, path: filePath };
   }
 
   /**
-   * Validate image file
-   * @param {string} filePath - Path to the image file
-   * @returns {boolean} - Whether the image is valid
+   * Validate a downloaded image by its magic bytes
+   * @param {Buffer} imageBuffer - The image
+   * @returns {boolean} - Whether the buffer holds a PNG, JPEG or GIF image
    */
-  validateImageFile(filePath) {
-    try {
-      // Check if file exists
-      if (!fs.existsSync(filePath)) {
-        return false;
-      }
-      
-      // Check file size (must be at least 100 bytes)
-      const stats = fs.statSync(filePath);
-      if (stats.size < 100) {
-        return false;
-      }
-      
-      // Check file extension
-      const ext = path.extname(filePath).toLowerCase();
-      if (ext !== '.png' && ext !== '.jpg' && ext !== '.jpeg' && ext !== '.gif') {
-        return false;
-      }
-      
-      // Check file header magic number
-      const buffer = Buffer.alloc(8);
-      const fd = fs.openSync(filePath, 'r');
-      fs.readSync(fd, buffer, 0, 8, 0);
-      fs.closeSync(fd);
-      
-      // PNG magic number: 89 50 4E 47 0D 0A 1A 0A
-      const isPNG = buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47;
-      // JPEG magic number: FF D8
-      const isJPEG = buffer[0] === 0xFF && buffer[1] === 0xD8;
-      // GIF magic number: 47 49 46 38
-      const isGIF = buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x38;
-      
-      return isPNG || isJPEG || isGIF;
-    } catch (error) {
-      console.error('Error validating image file:', error);
+  validateImage(imageBuffer) {
+    // Anything this small is an error page fragment rather than a captcha
+    if (!Buffer.isBuffer(imageBuffer) || imageBuffer.length < 100) {
       return false;
     }
+    
+    // PNG magic number: 89 50 4E 47 0D 0A 1A 0A
+    const isPNG = imageBuffer[0] === 0x89 && imageBuffer[1] === 0x50 && imageBuffer[2] === 0x4E && imageBuffer[3] === 0x47;
+    // JPEG magic number: FF D8
+    const isJPEG = imageBuffer[0] === 0xFF && imageBuffer[1] === 0xD8;
+    // GIF magic number: 47 49 46 38
+    const isGIF = imageBuffer[0] === 0x47 && imageBuffer[1] === 0x49 && imageBuffer[2] === 0x46 && imageBuffer[3] === 0x38;
+    
+    return isPNG || isJPEG || isGIF;
+  }
+
+  /**
+   * Run the preprocessing pipeline on a downloaded captcha
+   * @param {Object} imageData - `{ buffer, name }` from downloadCaptcha
+   * @returns {Object} - `{ buffer, segments }` of the image to hand to the solver
+   */
+  preprocessCaptcha(imageData) {
+    const processed = this.preprocessor.process(imageData.buffer);
+    if (processed.skipped) {
+      return { buffer: imageData.buffer, segments: [] };
+    }
+    
+    // Keep the processed image next to the original for debugging
+    if (imageData.name) {
+      this.saveDebugImage(`${imageData.name}_pre.png`, processed.buffer);
+    }
+    
+    return { buffer: processed.buffer, segments: processed.segments };
   }
 
   /**
-   * Solve a single CAPTCHA image using Tesseract OCR
-   * @param {Object} imageData - Object containing image buffer and file path
-   * @returns {Promise<string>} - The solved CAPTCHA text
+   * Solve a single CAPTCHA image with the solver backend
+   * @param {Object} imageData - `{ buffer, name, path }` from downloadCaptcha
+   * @returns {Promise<Object>} - `{ text, confidence, solver }`, empty text if the captcha could not be solved
    */
   async solveCaptcha(imageData) {
-    if (!imageData || (!imageData.buffer && !imageData.path)) {
+    if (!imageData || !imageData.buffer) {
       console.error('Invalid image data provided');
-      return '';
+      return { text: '', confidence: 0, solver: this.solver.name };
     }
     
     // Queue this OCR operation to prevent concurrency issues
     return this.ocrQueue(async () => {
-      if (this.debug) console.log('Starting Tesseract OCR to solve captcha...');
+      if (this.debug) console.log(`Solving captcha with ${this.solver.name || 'custom'} solver...`);
       
-      // Get an available worker from the pool
-      const workerObj = await this.getAvailableWorker();
       const startTime = Date.now();
       this.stats.totalRequests++;
       
       try {
         // Validate image
-        if (!this.validateImageFile(imageData.path)) {
-          throw new Error('Invalid image file detected');
+        if (!this.validateImage(imageData.buffer)) {
+          throw new Error('Invalid captcha image detected');
         }
         
-        // Recognize text from file path instead of buffer to avoid format issues
-        if (this.debug) console.log(`Processing captcha from file: ${imageData.path}`);
-        
-        // Additional error handling for OCR recognition
-        let data;
-        try {
-          const result = await workerObj.worker.recognize(imageData.path);
-          data = result.data;
-        } catch (recognizeError) {
-          // Try one more time with a file-based approach
-          console.error('First OCR attempt failed, trying alternative approach:', recognizeError.message);
-          
-          // Try recognizing again with a short delay
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-          // Use different approach for the retry
-          if (imageData.buffer && imageData.buffer.length > 100) {
-            // Write to a new file with a different name
-            const retryFileName = `retry_${Date.now()}_${path.basename(imageData.path)}`;
-            const retryPath = path.join(this.tempDir, retryFileName);
-            fs.writeFileSync(retryPath, imageData.buffer);
-            this.tempFiles.push(retryPath);
-            
-            // Try the recognition again with the new file
-            const retryResult = await workerObj.worker.recognize(retryPath);
-            data = retryResult.data;
-          } else {
-            throw new Error('Cannot retry OCR - invalid buffer');
-          }
-        }
+        // Clean the image up before OCR; the original is used when preprocessing is off or fails
+        const processed = this.preprocessCaptcha(imageData);
         
-        if (this.debug) console.log('OCR result:', data.text);
+        const result = await this.solver.solve(processed.buffer, {
+          path: imageData.path,
+          segments: processed.segments,
+          original: imageData.buffer
+        });
         
         // Clean up the result - remove spaces and non-alphanumeric chars
-        const captchaText = data.text.replace(/[^A-Z0-9]/g, '').trim();
-        if (this.debug) console.log('Cleaned captcha text:', captchaText);
+        const text = (result.text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const confidence = result.confidence || 0;
+        if (this.debug) console.log(`Cleaned captcha text: ${text} (confidence ${confidence.toFixed(2)})`);
         
         // Update success stats
         this.stats.successfulRequests++;
         
-        return captchaText;
+        return { ...result, text, confidence, solver: result.solver || this.solver.name, latency: Date.now() - startTime };
       } catch (error) {
         console.error('Error in OCR processing:', error.message || String(error));
         // Update failure stats
         this.stats.failedRequests++;
-        // Return empty string on error, will be filtered out in solveMultipleCaptchas
-        return '';
+        // Return empty text on error, it gets no say in the vote
+        return { text: '', confidence: 0, solver: this.solver.name };
       } finally {
         // Update timing stats
         const processingTime = Date.now() - startTime;
@@ -303,29 +240,93 @@ class CaptchaSolver {
           console.log(`OCR processing took ${processingTime}ms (avg: ${this.stats.averageTime.toFixed(0)}ms)`);
           console.log(`OCR stats: ${this.stats.successfulRequests}/${this.stats.totalRequests} successful (${this.stats.failedRequests} failed)`);
         }
-        
-        // Release the worker back to the pool
-        this.releaseWorker(workerObj);
       }
     });
   }
 
   /**
-   * Solve multiple CAPTCHAs and return the most common result
+   * Combine several readings of the same captcha, character position by character position
+   *
+   * Readings of the most likely length vote at every position with their
+   * per-character confidence. A position's confidence grows with agreeing
+   * readings and shrinks with dissenting ones:
+   * `(1 - Π(1 - agreeing)) × Π(1 - dissenting)`. The answer is as confident
+   * as its weakest position.
+   *
+   * @param {Array<Object>} samples - Solver results `{ text, confidence, characters }`
+   * @returns {Object} - `{ text, confidence, positions }`, empty text if no reading fits the captcha format
+   */
+  voteOnSamples(samples) {
+    // Split every reading into characters of the captcha alphabet, with their confidences
+    const readings = samples.map(sample => {
+      const characters = Array.isArray(sample.characters) && sample.characters.length > 0
+        ? sample.characters
+        : [...sample.text].map(char => ({ char, confidence: sample.confidence }));
+      return characters
+        .map(c => ({ char: String(c.char).toUpperCase(), confidence: c.confidence || 0 }))
+        .filter(c => this.captchaAlphabet.includes(c.char));
+    }).filter(chars => chars.length >= this.minLength && chars.length <= this.maxLength);
+    
+    if (readings.length === 0) {
+      return { text: '', confidence: 0, positions: [] };
+    }
+    
+    // Go with the length backed by the most confidence
+    const lengthWeights = {};
+    readings.forEach(chars => {
+      const weight = chars.reduce((total, c) => total + c.confidence, 0) / chars.length;
+      lengthWeights[chars.length] = (lengthWeights[chars.length] || 0) + weight + 1e-6;
+    });
+    const length = Number(Object.entries(lengthWeights).sort((x, y) => y[1] - x[1])[0][0]);
+    const votes = readings.filter(chars => chars.length === length);
+    
+    const positions = [];
+    for (let i = 0; i < length; i++) {
+      const doubt = {};
+      votes.forEach(chars => {
+        const { char, confidence } = chars[i];
+        doubt[char] = (doubt[char] === undefined ? 1 : doubt[char]) * (1 - confidence);
+      });
+      
+      // Most supported character, i.e. the one with the least doubt left
+      const [char, charDoubt] = Object.entries(doubt).sort((x, y) => x[1] - y[1])[0];
+      const dissent = Object.entries(doubt).filter(([other]) => other !== char).reduce((total, [, d]) => total * d, 1);
+      positions.push({ char, confidence: (1 - charDoubt) * dissent, votes: votes.filter(chars => chars[i].char === char).length });
+    }
+    
+    return {
+      text: positions.map(p => p.char).join(''),
+      confidence: Math.min(...positions.map(p => p.confidence)),
+      positions
+    };
+  }
+
+  /**
+   * Confidence at which a voted answer is submitted without more samples
+   * @returns {number} - The learned threshold from portal verdicts if there is one, else acceptConfidence
+   */
+  submitThreshold() {
+    const learned = this.confidenceThreshold();
+    return learned !== null ? learned : this.acceptConfidence;
+  }
+
+  /**
+   * Solve samples of a CAPTCHA until the per-character vote is confident enough
    * @param {string} captchaUrl - The URL of the CAPTCHA image
-   * @param {number} count - Maximum number of CAPTCHA attempts
-   * @param {number} earlyMatchCount - Stop when any result appears this many times
-   * @returns {Promise<string>} - The most likely CAPTCHA solution
+   * @param {number} count - Maximum number of CAPTCHA samples
+   * @param {number} earlyMatchCount - Also stop when the same full reading appears this many times
+   * @param {CookieJar} session - Cookies of the session the captcha belongs to
+   * @returns {Promise<Object>} - `{ text, confidence, attempts }`: the voted CAPTCHA solution, its confidence and every image with its guess
    */
-  async solveMultipleCaptchas(captchaUrl, count = 7, earlyMatchCount = 3) {
-    if (this.debug) console.log(`Attempting to solve captchas (max ${count}, early stop at ${earlyMatchCount} matches)...`);
+  async solveMultipleCaptchas(captchaUrl, count = 7, earlyMatchCount = 3, session = null) {
+    const threshold = this.submitThreshold();
+    if (this.debug) console.log(`Attempting to solve captchas (max ${count}, submitting at confidence ${threshold})...`);
     
-    const results = [];
+    const attempts = [];
     const counts = {};
-    let mostCommonResult = '';
-    let maxCount = 0;
+    let vote = { text: '', confidence: 0, positions: [] };
     
-    // Download and solve multiple captchas
+    // Download and solve samples until the vote is clear
     for (let i = 0; i < count; i++) {
       try {
         if (this.debug) console.log(`Attempt ${i+1}/${count}`);
@@ -337,30 +338,39 @@ class CaptchaSolver {
         
         let imageData;
         try {
-          imageData = await this.downloadCaptcha(captchaUrl);
+          imageData = await this.downloadCaptcha(captchaUrl, session);
         } catch (error) {
           console.error(`Error downloading captcha in attempt ${i+1}:`, error.message);
           continue; // Skip this attempt and try again
         }
         
-        const result = await this.solveCaptcha(imageData);
-        if (result && result.length >= 4 && result.length <= 6) {
-          // Only accept results that are likely to be valid captchas (4-6 chars)
-          results.push(result);
-          
-          // Count occurrences and check for early match
-          counts[result] = (counts[result] || 0) + 1;
-          
-          if (counts[result] > maxCount) {
-            maxCount = counts[result];
-            mostCommonResult = result;
-            
-            // Early stopping if we have enough matches
-            if (maxCount >= earlyMatchCount) {
-              if (this.debug) console.log(`Early match found! '${mostCommonResult}' appeared ${maxCount} times after ${i+1} attempts`);
-              break;
-            }
-          }
+        const solution = await this.solveCaptcha(imageData);
+        attempts.push({
+          buffer: imageData.buffer,
+          text: solution.text,
+          confidence: solution.confidence,
+          characters: solution.characters,
+          solver: solution.solver,
+          latency: solution.latency
+        });
+        if (!solution.text) continue;
+        
+        vote = this.voteOnSamples(attempts.filter(a => a.text));
+        counts[solution.text] = (counts[solution.text] || 0) + 1;
+        if (this.debug) {
+          console.log(`Vote after ${attempts.length} sample(s): '${vote.text}' (${vote.positions.map(p => `${p.char}:${p.confidence.toFixed(2)}`).join(' ')})`);
+        }
+        
+        // Submit as soon as every position is clear; a typed answer always is
+        if (vote.text && (vote.confidence >= threshold || solution.confidence >= 1)) {
+          if (this.debug) console.log(`Confident answer '${vote.text}' after ${attempts.length} sample(s)`);
+          break;
+        }
+        
+        // Identical readings agree at every position anyway
+        if (counts[solution.text] >= earlyMatchCount && solution.text === vote.text) {
+          if (this.debug) console.log(`Early match found! '${vote.text}' appeared ${counts[solution.text]} times after ${i+1} attempts`);
+          break;
         }
       } catch (error) {
         console.error(`Error in attempt ${i+1}:`, error);
@@ -368,17 +378,17 @@ class CaptchaSolver {
     }
     
     if (this.debug) {
-      console.log('All captcha results:', results);
-      console.log(`Most common result: ${mostCommonResult} (appeared ${maxCount} times)`);
+      console.log('All captcha results:', attempts.map(a => a.text));
+      console.log(`Voted result: ${vote.text} (confidence ${vote.confidence.toFixed(2)})`);
     }
     
-    return mostCommonResult;
+    return { text: vote.text, confidence: vote.confidence, attempts };
   }
 
   /**
    * Process a CAPTCHA from the scraped data
    * @param {Object} formData - The form data including CAPTCHA image URL
-   * @returns {Promise<Object>} - The CAPTCHA solution and form data
+   * @returns {Promise<Object>} - The CAPTCHA solution, the images it was voted from and the form data
    */
   async processCaptcha(formData) {
     try {
@@ -392,7 +402,7 @@ class CaptchaSolver {
       }
       
       // Solve multiple captchas and get the most common result
-      const captchaText = await this.solveMultipleCaptchas(formData.captchaImage);
+      const { text: captchaText, confidence, attempts } = await this.solveMultipleCaptchas(formData.captchaImage, 7, 3, formData.session);
       
       if (!captchaText) {
         throw new Error("Failed to solve CAPTCHA");
@@ -400,6 +410,8 @@ class CaptchaSolver {
       
       return {
         captchaText,
+        confidence,
+        attempts,
         jsonData: formData
       };
     } catch (error) {
@@ -409,70 +421,77 @@ class CaptchaSolver {
   }
   
   /**
-   * Set debug mode
-   * @param {boolean} debug Whether to enable debug mode
+   * Record the portal's verdict on a submitted answer
+   * @param {Object} captchaResult - From processCaptcha
+   * @param {boolean} accepted - Whether the portal accepted the answer
    */
-  setDebug(debug) {
-    this.debug = debug;
+  reportVerdict(captchaResult, accepted) {
+    if (!captchaResult) return;
+    
+    this.stats.submitted++;
+    this.stats.imagesSubmitted += captchaResult.attempts ? captchaResult.attempts.length : 1;
+    if (accepted) {
+      this.stats.accepted++;
+    } else {
+      this.stats.rejected++;
+    }
+    
+    const bucket = this.calibration[Math.min(9, Math.floor((captchaResult.confidence || 0) * 10))];
+    bucket.submitted++;
+    if (accepted) bucket.accepted++;
+    
+    if (this.debug) {
+      console.log(`Captcha '${captchaResult.captchaText}' ${accepted ? 'accepted' : 'rejected'} by the portal (${this.stats.accepted}/${this.stats.submitted} accepted so far)`);
+    }
   }
   
   /**
-   * Clean up resources when done
+   * Lowest confidence whose answers the portal has accepted at least `targetAcceptance` of the time
+   * @returns {number|null} - The threshold, or null until there are enough verdicts
    */
-  async cleanup() {
-    if (this.debug) console.log('Cleaning up Tesseract workers and temporary files...');
+  confidenceThreshold() {
+    let submitted = 0;
+    let accepted = 0;
+    let threshold = null;
     
-    // Terminate all workers in the pool
-    for (const { worker } of this.workerPool) {
-      try {
-        await worker.terminate();
-      } catch (error) {
-        console.error('Error terminating worker:', error);
+    // Walk down from the most confident bucket, keeping the lowest edge that still meets the target
+    for (let i = this.calibration.length - 1; i >= 0; i--) {
+      submitted += this.calibration[i].submitted;
+      accepted += this.calibration[i].accepted;
+      if (submitted >= this.minVerdicts && accepted / submitted >= this.targetAcceptance) {
+        threshold = i / 10;
       }
     }
-    
-    this.workerPool = [];
-    this.isPoolInitialized = false;
-    
-    // Clean up temporary files
-    this.cleanupTempFiles();
-    
-    if (this.debug) console.log('All workers terminated and temp files cleaned up');
+    return threshold;
+  }
+  
+  /**
+   * Set debug mode
+   * @param {boolean} debug Whether to enable debug mode
+   */
+  setDebug(debug) {
+    this.debug = debug;
+    this.preprocessor.setDebug(debug);
+    this.solver.debug = debug;
   }
   
   /**
-   * Clean up temporary captcha image files
+   * Clean up resources when done
    */
-  cleanupTempFiles() {
-    if (this.debug) console.log(`Cleaning up ${this.tempFiles.length} temporary captcha files`);
+  async cleanup() {
+    if (this.debug) console.log('Cleaning up the captcha solver...');
     
-    let deletedCount = 0;
-    for (const filePath of this.tempFiles) {
+    // Terminate the backend, e.g. the Tesseract workers
+    if (typeof this.solver.terminate === 'function') {
       try {
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          deletedCount++;
-        }
+        await this.solver.terminate();
       } catch (error) {
-        console.error(`Error deleting temp file ${filePath}:`, error.message);
+        console.error('Error terminating captcha solver:', error);
       }
     }
+    this.isPoolInitialized = false;
     
-    // Clear the temp files array
-    this.tempFiles = [];
-    
-    if (this.debug) console.log(`Deleted ${deletedCount} temporary files`);
-    
-    // Try to remove the temp directory if empty
-    try {
-      const files = fs.readdirSync(this.tempDir);
-      if (files.length === 0) {
-        fs.rmdirSync(this.tempDir);
-        if (this.debug) console.log(`Removed empty temp directory: ${this.tempDir}`);
-      }
-    } catch (error) {
-      console.error(`Error removing temp directory: ${this.tempDir}:`, error.message);
-    }
+    if (this.debug) console.log('Captcha solver terminated');
   }
 
   /**
@@ -480,12 +499,27 @@ class CaptchaSolver {
    * @returns {Object} - Statistics about OCR operations
    */
   getStats() {
+    const { submitted, accepted } = this.stats;
+    const percent = (part, total) => total > 0 ? `${(part / total * 100).toFixed(1)}%` : 'n/a';
+    const perSuccess = count => accepted > 0 ? (count / accepted).toFixed(2) : 'n/a';
+    
     return {
       ...this.stats,
       averageTime: `${this.stats.averageTime.toFixed(0)}ms`,
-      successRate: `${((this.stats.successfulRequests / this.stats.totalRequests) * 100).toFixed(1)}%`,
-      workers: this.workerPool.length,
-      queueConcurrency: this.ocrQueue.concurrency
+      // Share of submitted answers the portal accepted
+      successRate: percent(accepted, submitted),
+      ocrCompletionRate: percent(this.stats.successfulRequests, this.stats.totalRequests),
+      attemptsPerSuccess: perSuccess(submitted),
+      imagesPerSuccess: perSuccess(this.stats.imagesSubmitted),
+      confidenceThreshold: this.confidenceThreshold(),
+      calibration: this.calibration.map((bucket, i) => ({
+        confidence: `${(i / 10).toFixed(1)}-${((i + 1) / 10).toFixed(1)}`,
+        ...bucket,
+        acceptedRate: percent(bucket.accepted, bucket.submitted)
+      })).filter(bucket => bucket.submitted > 0),
+      solver: this.solver.name || 'custom',
+      queueConcurrency: this.ocrQueue.concurrency,
+      pool: typeof this.solver.getStats === 'function' ? this.solver.getStats() : undefined
     };
   }
 }
@@ -0,0 +1,86 @@
+/**
+ * Tries captcha solvers in order until one is confident enough.
+ *
+ * Each backend is asked in turn; the first answer whose confidence reaches
+ * `minConfidence` wins. A backend that throws is skipped. If nobody is
+ * confident, the most confident answer seen is returned so the caller can
+ * still vote on it.
+ */
+class ChainSolver {
+  /**
+   * @param {Array<Object>} solvers - Solvers in fallback order
+   * @param {Object} options - Chain options
+   * @param {number} options.minConfidence - Confidence from 0 to 1 needed to stop at a solver (default: 0.6)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(solvers, options = {}) {
+    if (!Array.isArray(solvers) || solvers.length === 0) {
+      throw new Error('A solver chain needs at least one solver');
+    }
+
+    this.solvers = solvers;
+    this.name = solvers.map(solver => solver.name).join('>');
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.6;
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * Initialize every solver in the chain
+   * @param {Object} options - Passed on to each solver
+   * @returns {Promise<void>}
+   */
+  async init(options = {}) {
+    for (const solver of this.solvers) {
+      if (typeof solver.init === 'function') {
+        await solver.init(options);
+      }
+    }
+  }
+
+  /**
+   * Recognize a captcha with the first confident solver
+   * @param {Buffer} imageBuffer - The captcha image
+   * @param {Object} hints - Extra information passed on to each solver
+   * @returns {Promise<Object>} - `{ text, confidence, solver }` plus whatever the winning solver returned
+   */
+  async solve(imageBuffer, hints = {}) {
+    let best = null;
+    let lastError = null;
+
+    for (const solver of this.solvers) {
+      try {
+        const result = { ...(await solver.solve(imageBuffer, hints)), solver: solver.name };
+        if (result.text && result.confidence >= this.minConfidence) {
+          return result;
+        }
+        if (this.debug) {
+          console.log(`Solver ${solver.name} is not confident (${result.text || 'no text'}, ${result.confidence.toFixed(2)}), trying the next one`);
+        }
+        if (result.text && (!best || result.confidence > best.confidence)) {
+          best = result;
+        }
+      } catch (error) {
+        lastError = error;
+        if (this.debug) console.log(`Solver ${solver.name} failed: ${error.message}`);
+      }
+    }
+
+    if (best) return best;
+    if (lastError) throw lastError;
+    return { text: '', confidence: 0, solver: this.name };
+  }
+
+  /**
+   * Terminate every solver in the chain
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    for (const solver of this.solvers) {
+      if (typeof solver.terminate === 'function') {
+        await solver.terminate();
+      }
+    }
+  }
+}
+
+export default ChainSolver;
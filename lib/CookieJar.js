@@ -0,0 +1,145 @@
+// Cookie carrying the portal's ASP.NET session
+export const SESSION_COOKIE = 'ASP.NET_SessionId';
+
+// The portal drops sessions that have been idle this long
+export const DEFAULT_SESSION_TIMEOUT = 20 * 60 * 1000;
+
+/**
+ * Parse one Set-Cookie header
+ * @param {string} header - The header value
+ * @returns {Object|null} - `{ name, value, path, expires }` or null if malformed
+ */
+function parseSetCookie(header) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    path: '/',
+    expires: null
+  };
+
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'path':
+        cookie.path = value || '/';
+        break;
+      case 'expires': {
+        const time = Date.parse(value);
+        // Max-Age wins over Expires when both are present
+        if (!isNaN(time) && cookie.maxAge === undefined) cookie.expires = time;
+        break;
+      }
+      case 'max-age': {
+        const seconds = parseInt(value);
+        if (!isNaN(seconds)) {
+          cookie.maxAge = seconds;
+          cookie.expires = Date.now() + seconds * 1000;
+        }
+        break;
+      }
+    }
+  }
+
+  delete cookie.maxAge;
+  return cookie;
+}
+
+/**
+ * Cookies of one portal session
+ *
+ * A jar is created for every ProgramSelect handshake and travels with the
+ * form data through captcha download and submission, so concurrent lookups
+ * never share or overwrite each other's session. It also tracks when the
+ * session was last used, since the portal expires idle sessions server side.
+ */
+class CookieJar {
+  /**
+   * @param {Object} options - Jar options
+   * @param {number} options.sessionTimeout - Idle time after which the portal is assumed to have dropped the session (default: 20 minutes)
+   */
+  constructor(options = {}) {
+    this.cookies = new Map();
+    this.sessionTimeout = options.sessionTimeout || DEFAULT_SESSION_TIMEOUT;
+    this.createdAt = Date.now();
+    this.lastUsedAt = this.createdAt;
+  }
+
+  /**
+   * Store the cookies from a response
+   * @param {Array<string>|string} headers - Set-Cookie header values
+   */
+  setCookies(headers) {
+    for (const header of [].concat(headers || [])) {
+      const cookie = parseSetCookie(header);
+      if (!cookie) continue;
+
+      // An expiry in the past is how servers delete a cookie
+      if (cookie.expires !== null && cookie.expires <= Date.now()) {
+        this.cookies.delete(cookie.name);
+      } else {
+        this.cookies.set(cookie.name, cookie);
+      }
+    }
+  }
+
+  /**
+   * Build the Cookie header for a request
+   * @param {string} url - The request URL, used for path matching
+   * @returns {string} - The header value (empty if there are no cookies)
+   */
+  getCookieHeader(url) {
+    const pathname = url ? new URL(url).pathname : '/';
+    this.lastUsedAt = Date.now();
+
+    return [...this.cookies.values()]
+      .filter(cookie => {
+        if (cookie.expires !== null && cookie.expires <= Date.now()) {
+          this.cookies.delete(cookie.name);
+          return false;
+        }
+        return pathname.startsWith(cookie.path);
+      })
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Get a cookie value
+   * @param {string} name - Cookie name
+   * @returns {string} - The value or an empty string
+   */
+  get(name) {
+    const cookie = this.cookies.get(name);
+    return cookie ? cookie.value : '';
+  }
+
+  /**
+   * Get the ASP.NET session ID
+   * @returns {string} - The session ID or an empty string
+   */
+  getSessionId() {
+    return this.get(SESSION_COOKIE);
+  }
+
+  /**
+   * Check whether the portal has probably dropped this session
+   * @returns {boolean} - Whether the session has no ID or has been idle past the timeout
+   */
+  isExpired() {
+    return !this.getSessionId() || Date.now() - this.lastUsedAt > this.sessionTimeout;
+  }
+
+  /**
+   * Forget every cookie
+   */
+  clear() {
+    this.cookies.clear();
+  }
+}
+
+export default CookieJar;
@@ -1,57 +1,139 @@
-import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
 import fs from 'fs';
 import path from 'path';
+import { getProgram, matchProgram } from './programs.js';
+import HttpClient from './HttpClient.js';
+import CookieJar from './CookieJar.js';
+
+// Discovered portal metadata is cached here, per portal base URL, and considered fresh for a day
+const METADATA_CACHE_FILE = path.join(process.cwd(), 'cache', 'portal_metadata.json');
+const METADATA_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the radlstProgram radio list from ProgramSelect.aspx
+ * @param {Function} $ - Cheerio instance loaded with the page
+ * @returns {Array<Object>} - Programs with their radio value, index and label
+ */
+function parseProgramList($) {
+  const programs = [];
+  $('input[type="radio"][name="radlstProgram"]').each((i, radio) => {
+    const id = $(radio).attr('id') || '';
+    const label = $(`label[for="${id}"]`).text().trim() || $(radio).parent().text().trim();
+    const indexMatch = id.match(/_(\d+)$/);
+    
+    programs.push({
+      code: $(radio).attr('value') || '',
+      radioIndex: indexMatch ? parseInt(indexMatch[1]) : i,
+      label,
+      key: matchProgram(label)
+    });
+  });
+  return programs;
+}
+
+/**
+ * Parse the semester dropdown from a result page
+ * @param {Function} $ - Cheerio instance loaded with the page
+ * @returns {Array<Object>} - Semester options with value and label
+ */
+function parseSemesterOptions($) {
+  const semesters = [];
+  $('select[name$="drpSemester"] option').each((i, option) => {
+    const value = $(option).attr('value') || '';
+    // Skip the "Select" placeholder
+    if (value && value !== '0' && !/select/i.test(value)) {
+      semesters.push({ value, label: $(option).text().trim() });
+    }
+  });
+  return semesters;
+}
+
+/**
+ * Parse the result page form needed to submit a roll number
+ *
+ * Used both for the page reached through ProgramSelect.aspx and for the page
+ * the portal returns after a submission, which carries a fresh VIEWSTATE and
+ * captcha for the same session.
+ *
+ * @param {string} html - HTML of the result page
+ * @param {CookieJar} session - Cookies of the session the page belongs to
+ * @param {string} programKey - Program key from the registry
+ * @returns {Object|null} - The form data, or null if the page has no submittable form
+ */
+export function parseResultForm(html, session, programKey) {
+  const $result = cheerio.load(html);
+  
+  // Extract form inputs
+  const resultFormInputs = {};
+  $result('form input').each((i, input) => {
+    const name = $result(input).attr('name');
+    const value = $result(input).attr('value') || '';
+    
+    if (name) {
+      resultFormInputs[name] = value;
+    }
+  });
+  
+  // Look for captcha image
+  const captchaImg = $result('img[src*="CaptchaImage.axd"]');
+  const captchaImage = captchaImg.attr('src') || '';
+  
+  if (!resultFormInputs.__VIEWSTATE || !captchaImage) {
+    return null;
+  }
+  
+  return {
+    timestamp: new Date().toISOString(),
+    session,
+    program: programKey,
+    inputs: resultFormInputs,
+    captchaImage,
+    // Semesters offered by this program's result page
+    semesters: parseSemesterOptions($result),
+  };
+}
 
 /**
  * Class responsible for fetching the initial form data and session
  * from the RGPV website
  */
 class FormFetcher {
-  constructor(debug = false) {
+  /**
+   * @param {boolean} debug - Enable debug mode
+   * @param {Object} options - Fetcher options
+   * @param {HttpClient} options.httpClient - Shared HTTP client (default: a new client for options.baseUrl)
+   * @param {string} options.baseUrl - Result portal root (default: https://result.rgpv.ac.in/Result/)
+   * @param {number} options.sessionTimeout - Idle time after which a portal session is considered expired (default: 20 minutes)
+   * @param {string} options.metadataFile - Portal metadata cache file (default: ./cache/portal_metadata.json)
+   */
+  constructor(debug = false, options = {}) {
     this.debug = debug;
-    this.sessionId = '';
+    this.http = options.httpClient || new HttpClient({ baseUrl: options.baseUrl });
+    this.sessionTimeout = options.sessionTimeout;
+    this.metadataFile = options.metadataFile || METADATA_CACHE_FILE;
   }
 
   /**
    * Fetch initial data from RGPV website
+   *
+   * Every call starts a new portal session with its own cookie jar, returned
+   * as `session` in the form data.
+   *
+   * @param {string|Object} program - Program key from the registry (default: B.E.)
    * @returns {Promise<Object|null>} The scraped data or null if failed
    */
-  async fetchInitialData() {
+  async fetchInitialData(program) {
     try {
+      program = getProgram(program);
+      const session = new CookieJar({ sessionTimeout: this.sessionTimeout });
+      
       // Step 1: GET request to ProgramSelect.aspx
       if (this.debug) console.log('Step 1: Initial GET request to ProgramSelect.aspx');
       
-      const initialResponse = await fetch('https://result.rgpv.ac.in/Result/ProgramSelect.aspx', {
-        headers: {
-          'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'accept-language': 'en-US,en;q=0.9',
-          'cache-control': 'max-age=0',
-          'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"Windows"',
-          'sec-fetch-dest': 'document',
-          'sec-fetch-mode': 'navigate',
-          'sec-fetch-site': 'none',
-          'sec-fetch-user': '?1',
-          'upgrade-insecure-requests': '1',
-          'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36'
-        }
-      });
+      const initialResponse = await this.http.request('ProgramSelect.aspx', { jar: session });
+      if (this.debug) console.log(`Session ID: ${session.getSessionId() || 'none'}`);
       
-      // Check for cookies in response
-      const setCookie = initialResponse.headers.get('set-cookie');
-      const cookieHeader = setCookie ? setCookie : '';
-      if (this.debug) console.log(`Response cookies: ${cookieHeader}`);
-      
-      // Extract the ASP.NET_SessionId if present
-      this.sessionId = '';
-      if (cookieHeader && cookieHeader.includes('ASP.NET_SessionId=')) {
-        this.sessionId = cookieHeader.split('ASP.NET_SessionId=')[1].split(';')[0];
-        if (this.debug) console.log(`Extracted session ID: ${this.sessionId}`);
-      }
-      
-      const initialHtml = await initialResponse.text();
+      const initialHtml = initialResponse.body;
       if (this.debug) {
         const debugDir = path.join(process.cwd(), 'db');
         if (!fs.existsSync(debugDir)) {
@@ -63,6 +145,17 @@ class FormFetcher {
       
       const $ = cheerio.load(initialHtml);
       
+      // Prefer the live radio value over the registry in case the portal renumbered its programs
+      const liveProgram = parseProgramList($).find(p => p.key === program.key);
+      if (liveProgram) {
+        if (this.debug && liveProgram.code !== program.code) {
+          console.log(`Program ${program.name} is now radio value ${liveProgram.code} (registry has ${program.code})`);
+        }
+        program = { ...program, code: liveProgram.code, radioIndex: liveProgram.radioIndex };
+      } else if (this.debug) {
+        console.log(`Program ${program.name} not found in the live program list, using registry values`);
+      }
+      
       // Extract form inputs for the POST request
       const formInputs = {};
       $('form input').each((i, input) => {
@@ -91,128 +184,60 @@ class FormFetcher {
       
       // Prepare POST body exactly as seen in HAR file
       const postBody = new URLSearchParams();
-      postBody.append('__EVENTTARGET', 'radlstProgram$1');
+      postBody.append('__EVENTTARGET', `radlstProgram$${program.radioIndex}`);
       postBody.append('__EVENTARGUMENT', '');
       postBody.append('__LASTFOCUS', '');
       postBody.append('__VIEWSTATE', formInputs['__VIEWSTATE'] || '');
       postBody.append('__VIEWSTATEGENERATOR', formInputs['__VIEWSTATEGENERATOR'] || '');
       postBody.append('__EVENTVALIDATION', formInputs['__EVENTVALIDATION'] || '');
-      postBody.append('radlstProgram', '24'); // Value 24 for B.E. program
-      
-      // Create cookie header
-      const cookieStr = this.sessionId ? `ASP.NET_SessionId=${this.sessionId}` : '';
+      postBody.append('radlstProgram', program.code);
       
       // Send POST request
-      const postResponse = await fetch('https://result.rgpv.ac.in/Result/ProgramSelect.aspx', {
+      const postResponse = await this.http.request('ProgramSelect.aspx', {
         method: 'POST',
-        headers: {
-          'content-type': 'application/x-www-form-urlencoded',
-          'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-          'accept-language': 'en-US,en;q=0.9',
-          'cache-control': 'max-age=0',
-          'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
-          'sec-ch-ua-mobile': '?0',
-          'sec-ch-ua-platform': '"Windows"',
-          'sec-fetch-dest': 'document',
-          'sec-fetch-mode': 'navigate',
-          'sec-fetch-site': 'same-origin',
-          'sec-fetch-user': '?1',
-          'upgrade-insecure-requests': '1',
-          'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
-          ...(cookieStr ? { 'cookie': cookieStr } : {})
-        },
+        referer: initialResponse.url,
+        jar: session,
         redirect: 'manual', // Important! Don't automatically follow redirects
-        body: postBody.toString()
+        body: postBody
       });
       
       // Check response status and headers
       if (this.debug) console.log(`POST response status: ${postResponse.status}`);
       
-      // Check for updated cookies
-      const postCookie = postResponse.headers.get('set-cookie');
-      if (postCookie) {
-        if (this.debug) console.log(`New cookies from POST: ${postCookie}`);
-        if (postCookie.includes('ASP.NET_SessionId=')) {
-          this.sessionId = postCookie.split('ASP.NET_SessionId=')[1].split(';')[0];
-          if (this.debug) console.log(`Updated session ID: ${this.sessionId}`);
-        }
-      }
-      
       // Check for redirect location
       const location = postResponse.headers.get('location');
       if (this.debug) console.log(`Redirect location: ${location || 'No redirect'}`);
       
-      // If there's a redirect to BErslt.aspx, follow it
-      if (location && location.includes('BErslt.aspx')) {
-        if (this.debug) console.log('Following redirect to BErslt.aspx');
+      // If there's a redirect to the program's result page, follow it
+      if (location && location.includes(program.resultPage)) {
+        if (this.debug) console.log(`Following redirect to ${program.resultPage}`);
         
-        // Step 3: GET request to BErslt.aspx following the redirect
-        const resultUrl = new URL(location, 'https://result.rgpv.ac.in').href;
+        // Step 3: GET request to the result page following the redirect
+        const resultUrl = this.http.url(location);
         if (this.debug) console.log(`Making GET request to: ${resultUrl}`);
         
-        const resultResponse = await fetch(resultUrl, {
-          headers: {
-            'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-            'accept-language': 'en-US,en;q=0.9',
-            'cache-control': 'max-age=0',
-            'sec-ch-ua': '"Chromium";v="134", "Not:A-Brand";v="24", "Google Chrome";v="134"',
-            'sec-ch-ua-mobile': '?0',
-            'sec-ch-ua-platform': '"Windows"',
-            'sec-fetch-dest': 'document',
-            'sec-fetch-mode': 'navigate',
-            'sec-fetch-site': 'same-origin',
-            'sec-fetch-user': '?1',
-            'upgrade-insecure-requests': '1',
-            'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/134.0.0.0 Safari/537.36',
-            ...(this.sessionId ? { 'cookie': `ASP.NET_SessionId=${this.sessionId}` } : {})
-          }
+        const resultResponse = await this.http.request(resultUrl, {
+          referer: initialResponse.url,
+          jar: session
         });
         
-        // Check for final cookies
-        const finalCookie = resultResponse.headers.get('set-cookie');
-        if (finalCookie) {
-          if (this.debug) console.log(`New cookies from result page: ${finalCookie}`);
-          if (finalCookie.includes('ASP.NET_SessionId=')) {
-            this.sessionId = finalCookie.split('ASP.NET_SessionId=')[1].split(';')[0];
-            if (this.debug) console.log(`Final session ID: ${this.sessionId}`);
-          }
-        }
-        
-        const resultHtml = await resultResponse.text();
+        const resultHtml = resultResponse.body;
         if (this.debug) {
           fs.writeFileSync(path.join(process.cwd(), 'db', 'result_page.html'), resultHtml);
           console.log('Result page HTML saved to db/result_page.html');
         }
         
-        const $result = cheerio.load(resultHtml);
-        
-        // Extract form inputs
-        const resultFormInputs = {};
-        $result('form input').each((i, input) => {
-          const name = $result(input).attr('name');
-          const value = $result(input).attr('value') || '';
-          
-          if (name) {
-            resultFormInputs[name] = value;
-          }
-        });
-        
-        // Look for captcha image
-        const captchaImg = $result('img[src*="CaptchaImage.axd"]');
-        const captchaImage = captchaImg.attr('src') || '';
-        
-        // Create output data
-        const result = {
-          timestamp: new Date().toISOString(),
-          sessionId: this.sessionId,
-          inputs: resultFormInputs,
-          captchaImage,
-        };
+        const result = parseResultForm(resultHtml, session, program.key);
+        if (!result) {
+          console.error(`No result form with a captcha found on ${program.resultPage}`);
+          return null;
+        }
         
-        if (this.debug) console.log('Scraped form data:', { ...result, inputs: 'HIDDEN' });
+        if (this.debug) console.log('Scraped form data:', { ...result, session: session.getSessionId(), inputs: 'HIDDEN' });
         return result;
       } else {
-        console.error('No redirect to BErslt.aspx found');
+        console.error(`No redirect to ${program.resultPage} found for program ${program.name} (radio value ${program.code}). ` +
+          'The portal may have changed its program list, run "node index.js --list-programs --refresh" to check');
         return null;
       }
       
@@ -223,13 +248,99 @@ class FormFetcher {
   }
 
   /**
-   * Get the current session ID
-   * @returns {string} The current session ID
+   * Discover the programs currently listed on ProgramSelect.aspx
+   * @param {Object} options - Discovery options
+   * @param {boolean} options.refresh - Ignore the disk cache and query the portal
+   * @returns {Promise<Array<Object>>} - Programs with code, radio index, label and registry key
    */
-  getSessionId() {
-    return this.sessionId;
+  async discoverPrograms(options = {}) {
+    const cache = this.loadMetadataCache();
+    if (!options.refresh && cache.programs && Date.now() - cache.programs.fetchedAt < METADATA_TTL) {
+      if (this.debug) console.log('Using cached program list');
+      return cache.programs.items;
+    }
+    
+    if (this.debug) console.log('Fetching program list from ProgramSelect.aspx');
+    const response = await this.http.request('ProgramSelect.aspx');
+    const html = response.body;
+    const programs = parseProgramList(cheerio.load(html));
+    
+    if (programs.length === 0) {
+      throw new Error('No programs found on ProgramSelect.aspx');
+    }
+    
+    cache.programs = { fetchedAt: Date.now(), items: programs };
+    this.saveMetadataCache(cache);
+    return programs;
   }
-  
+
+  /**
+   * Discover the semesters offered on a program's result page
+   * @param {string|Object} program - Program key from the registry
+   * @param {Object} options - Discovery options
+   * @param {boolean} options.refresh - Ignore the disk cache and query the portal
+   * @returns {Promise<Array<Object>>} - Semester options with value and label
+   */
+  async discoverSemesters(program, options = {}) {
+    program = getProgram(program);
+    const cache = this.loadMetadataCache();
+    const cached = cache.semesters && cache.semesters[program.key];
+    if (!options.refresh && cached && Date.now() - cached.fetchedAt < METADATA_TTL) {
+      if (this.debug) console.log(`Using cached semester list for ${program.name}`);
+      return cached.items;
+    }
+    
+    const formData = await this.fetchInitialData(program);
+    if (!formData) {
+      throw new Error(`Could not open the result page for ${program.name}`);
+    }
+    
+    cache.semesters = { ...cache.semesters, [program.key]: { fetchedAt: Date.now(), items: formData.semesters } };
+    this.saveMetadataCache(cache);
+    return formData.semesters;
+  }
+
+  /**
+   * Read the metadata cache file with the entries of every portal
+   * @returns {Object} - Metadata keyed by portal base URL (empty if none)
+   */
+  readMetadataFile() {
+    try {
+      if (fs.existsSync(this.metadataFile)) {
+        return JSON.parse(fs.readFileSync(this.metadataFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error reading portal metadata cache:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Load discovered portal metadata from disk
+   * @returns {Object} - The cached metadata of this client's portal (empty if none)
+   */
+  loadMetadataCache() {
+    return this.readMetadataFile()[this.http.baseUrl] || {};
+  }
+
+  /**
+   * Save discovered portal metadata to disk, next to the metadata of other portals
+   * @param {Object} cache - The metadata to save
+   */
+  saveMetadataCache(cache) {
+    const cacheDir = path.dirname(this.metadataFile);
+    if (!fs.existsSync(cacheDir)) {
+      fs.mkdirSync(cacheDir, { recursive: true });
+    }
+    const portals = this.readMetadataFile();
+    // Files written before the cache was keyed by portal hold the metadata at the top level
+    delete portals.programs;
+    delete portals.semesters;
+    portals[this.http.baseUrl] = cache;
+    fs.writeFileSync(this.metadataFile, JSON.stringify(portals, null, 2));
+    if (this.debug) console.log(`Portal metadata for ${this.http.baseUrl} cached to ${this.metadataFile}`);
+  }
+
   /**
    * Set debug mode
    * @param {boolean} debug Whether to enable debug mode
@@ -0,0 +1,258 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const JOB_STATES = {
+  PENDING: 'pending',
+  IN_PROGRESS: 'in-progress',
+  DONE: 'done',
+  FAILED: 'failed',
+  NOT_FOUND: 'not-found'
+};
+
+// Shape of the IDs create() hands out, e.g. job_20250406-101500_a1b2
+const JOB_ID_PATTERN = /^job_\d{8}-\d{6}_[0-9a-f]{4}$/;
+
+/**
+ * Disk-backed job store for batch runs.
+ *
+ * Every job is an append-only JSON lines file in `jobs/<jobId>.jsonl`: a
+ * header line, one line per student and one line per state change.
+ * Replaying the file gives the current state, so a run can be resumed
+ * after Ctrl-C or a crash.
+ */
+class JobStore {
+  /**
+   * @param {string} jobId - The job identifier
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory holding the job files
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(jobId, options = {}) {
+    this.jobId = jobId;
+    this.debug = options.debug || false;
+    this.dir = options.dir || path.join(process.cwd(), 'jobs');
+    this.filePath = path.join(this.dir, `${jobId}.jsonl`);
+    this.createdAt = null;
+    this.entries = new Map();
+  }
+
+  /**
+   * Create a new job for a list of students
+   * @param {Array<Object>} students - Student objects with rollNumber and semester
+   * @param {Object} options - Store options (see constructor)
+   * @returns {JobStore} - The new job
+   */
+  static create(students, options = {}) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '').replace('T', '-');
+    const jobId = `job_${timestamp}_${crypto.randomBytes(2).toString('hex')}`;
+    const store = new JobStore(jobId, options);
+
+    if (!fs.existsSync(store.dir)) {
+      fs.mkdirSync(store.dir, { recursive: true });
+    }
+    if (fs.existsSync(store.filePath)) {
+      throw new Error(`Job ${jobId} already exists`);
+    }
+
+    store.createdAt = new Date().toISOString();
+    store.append({ type: 'job', jobId, createdAt: store.createdAt, total: students.length });
+
+    for (const student of students) {
+      const key = JobStore.keyFor(student);
+      if (store.entries.has(key)) continue;
+
+      store.entries.set(key, { student, state: JOB_STATES.PENDING, attempts: 0, lastError: null, retryable: false });
+      store.append({ type: 'student', key, student });
+    }
+
+    if (store.debug) console.log(`Created job ${jobId} with ${store.entries.size} students`);
+    return store;
+  }
+
+  /**
+   * Load an existing job from disk
+   * @param {string} jobId - The job identifier
+   * @param {Object} options - Store options (see constructor)
+   * @returns {JobStore} - The loaded job
+   */
+  static load(jobId, options = {}) {
+    // The ID becomes a file name, anything else could point outside the jobs directory
+    if (!JOB_ID_PATTERN.test(String(jobId))) {
+      throw new Error(`Invalid job ID "${jobId}", expected something like job_20250406-101500_a1b2`);
+    }
+
+    const store = new JobStore(jobId, options);
+    if (!fs.existsSync(store.filePath)) {
+      throw new Error(`Job ${jobId} not found in ${store.dir}`);
+    }
+
+    const lines = fs.readFileSync(store.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave a partially written last line behind
+        if (store.debug) console.log(`Skipping unreadable line in ${store.filePath}`);
+        continue;
+      }
+
+      if (record.type === 'job') {
+        store.createdAt = record.createdAt;
+      } else if (record.type === 'student') {
+        store.entries.set(record.key, { student: record.student, state: JOB_STATES.PENDING, attempts: 0, lastError: null, retryable: false });
+      } else if (record.type === 'update' && store.entries.has(record.key)) {
+        Object.assign(store.entries.get(record.key), {
+          state: record.state,
+          attempts: record.attempts,
+          lastError: record.lastError,
+          retryable: record.retryable === true
+        });
+      }
+    }
+
+    // Students that were in flight when the run stopped start over, and so do
+    // failures that could turn out differently, such as rejected captchas
+    for (const [key, entry] of store.entries) {
+      if (entry.state === JOB_STATES.IN_PROGRESS) {
+        store.update(key, { state: JOB_STATES.PENDING });
+      } else if (entry.state === JOB_STATES.FAILED && entry.retryable) {
+        store.update(key, { state: JOB_STATES.PENDING, attempts: 0 });
+      }
+    }
+
+    if (store.debug) console.log(`Loaded job ${jobId}: ${JSON.stringify(store.getSummary())}`);
+    return store;
+  }
+
+  /**
+   * Build the key identifying a student within a job
+   * @param {Object} student - Student object with rollNumber, semester and optionally program and scheme
+   * @returns {string} - The entry key, e.g. `0818CS231001:3:mtech:marks`
+   */
+  static keyFor(student) {
+    // The same roll number and semester can be looked up for other programs and schemes
+    const key = `${student.rollNumber}:${student.semester}`;
+    if (!student.program && !student.scheme) {
+      return key;
+    }
+    return `${key}:${student.program || ''}:${student.scheme || ''}`;
+  }
+
+  /**
+   * Append a record to the job file
+   * @param {Object} record - The record to write
+   */
+  append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Update an entry and persist the change
+   * @param {string} key - The entry key
+   * @param {Object} changes - State, attempts, lastError and/or retryable
+   */
+  update(key, changes) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      throw new Error(`Unknown job entry: ${key}`);
+    }
+
+    Object.assign(entry, changes);
+    this.append({
+      type: 'update',
+      key,
+      state: entry.state,
+      attempts: entry.attempts,
+      lastError: entry.lastError,
+      retryable: entry.retryable,
+      at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Take the next pending entry and mark it as in progress
+   * @returns {Object|null} - The entry key and student, or null if nothing is pending
+   */
+  next() {
+    for (const [key, entry] of this.entries) {
+      if (entry.state === JOB_STATES.PENDING) {
+        this.update(key, { state: JOB_STATES.IN_PROGRESS, attempts: entry.attempts + 1 });
+        return { key, student: entry.student, attempts: entry.attempts };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mark an entry as done
+   * @param {string} key - The entry key
+   */
+  markDone(key) {
+    this.update(key, { state: JOB_STATES.DONE, lastError: null });
+  }
+
+  /**
+   * Mark an entry as not found on the portal
+   * @param {string} key - The entry key
+   * @param {string} error - The error reported by the portal
+   */
+  markNotFound(key, error) {
+    this.update(key, { state: JOB_STATES.NOT_FOUND, lastError: error });
+  }
+
+  /**
+   * Mark an entry as failed, or put it back in the queue if attempts remain
+   * @param {string} key - The entry key
+   * @param {string} error - The last error
+   * @param {number} maxAttempts - Maximum number of attempts for the entry
+   * @param {boolean} retryable - Whether another attempt could succeed, a resumed job tries such entries again
+   * @returns {boolean} - Whether the entry was queued for another attempt
+   */
+  markFailed(key, error, maxAttempts = 1, retryable = false) {
+    const entry = this.entries.get(key);
+    const retry = entry.attempts < maxAttempts;
+    this.update(key, { state: retry ? JOB_STATES.PENDING : JOB_STATES.FAILED, lastError: error, retryable });
+    return retry;
+  }
+
+  /**
+   * Put an in-progress entry back in the queue without counting the attempt,
+   * e.g. when the portal went down while it was being processed
+   * @param {string} key - The entry key
+   * @param {string} error - Why the entry was put back
+   */
+  requeue(key, error) {
+    const entry = this.entries.get(key);
+    this.update(key, { state: JOB_STATES.PENDING, attempts: Math.max(0, entry.attempts - 1), lastError: error });
+  }
+
+  /**
+   * Get the number of entries in each state
+   * @returns {Object} - Counts keyed by state, plus the total
+   */
+  getSummary() {
+    const summary = { total: this.entries.size };
+    for (const state of Object.values(JOB_STATES)) {
+      summary[state] = 0;
+    }
+    for (const entry of this.entries.values()) {
+      summary[entry.state]++;
+    }
+    return summary;
+  }
+
+  /**
+   * Get all entries in a given state
+   * @param {string} state - One of JOB_STATES
+   * @returns {Array<Object>} - Matching entries
+   */
+  getEntries(state) {
+    return [...this.entries.values()].filter(entry => !state || entry.state === state);
+  }
+}
+
+export default JobStore;
@@ -0,0 +1,109 @@
+import readline from 'readline';
+import CaptchaPreprocessor from './CaptchaPreprocessor.js';
+
+/**
+ * Captcha solver that asks a person at the terminal.
+ *
+ * The captcha is drawn as text art (and its file path shown when known),
+ * and the typed answer is returned with full confidence. Prompts from
+ * concurrent lookups are asked one at a time.
+ */
+class ManualSolver {
+  /**
+   * @param {Object} options - Solver options
+   * @param {stream.Readable} options.input - Where answers are read from (default: process.stdin)
+   * @param {stream.Writable} options.output - Where captchas are drawn (default: process.stderr)
+   * @param {number} options.columns - Width of the drawing in characters (default: 72)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.name = 'manual';
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stderr;
+    this.columns = options.columns || 72;
+    this.debug = options.debug || false;
+    this.queue = Promise.resolve();
+    this.preprocessor = new CaptchaPreprocessor({ steps: ['grayscale', 'threshold'] });
+  }
+
+  /**
+   * Check that someone can answer
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.input === process.stdin && !process.stdin.isTTY) {
+      throw new Error('Manual captcha solving needs an interactive terminal');
+    }
+  }
+
+  /**
+   * Draw a captcha as text art
+   * @param {Buffer} imageBuffer - The captcha image
+   * @returns {string} - The drawing, or an empty string if the image can't be decoded
+   */
+  draw(imageBuffer) {
+    const { image } = this.preprocessor.process(imageBuffer);
+    if (!image) return '';
+
+    // Terminal cells are about twice as tall as wide
+    const step = Math.max(1, image.width / this.columns);
+    const lines = [];
+    for (let y = 0; y < image.height; y += step * 2) {
+      let line = '';
+      for (let x = 0; x < image.width; x += step) {
+        line += image.data[Math.floor(y) * image.width + Math.floor(x)] < 128 ? '#' : ' ';
+      }
+      lines.push(line.trimEnd());
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Ask for the answer to a captcha
+   * @param {Buffer} imageBuffer - The captcha image
+   * @param {Object} hints - Extra information from CaptchaSolver
+   * @param {Buffer} hints.original - The captcha as downloaded, drawn instead of the preprocessed image
+   * @param {string} hints.path - Where debug mode saved the captcha, shown to the user
+   * @returns {Promise<Object>} - `{ text, confidence }`; an empty answer has confidence 0
+   */
+  solve(imageBuffer, hints = {}) {
+    const ask = this.queue.then(() => this.prompt(hints.original || imageBuffer, hints.path));
+    // Keep the queue going even if a prompt fails
+    this.queue = ask.catch(() => {});
+    return ask;
+  }
+
+  /**
+   * Show one captcha and read the answer
+   * @param {Buffer} imageBuffer - The captcha image
+   * @param {string} filePath - Where the captcha is saved, if it was
+   * @returns {Promise<Object>} - `{ text, confidence }`
+   */
+  prompt(imageBuffer, filePath) {
+    const drawing = this.draw(imageBuffer);
+    if (drawing) this.output.write(`\n${drawing}\n`);
+    if (filePath) this.output.write(`Captcha image: ${filePath}\n`);
+
+    const rl = readline.createInterface({ input: this.input, output: this.output, terminal: false });
+    return new Promise((resolve, reject) => {
+      let answered = false;
+      rl.question('Enter captcha (empty to skip): ', answer => {
+        answered = true;
+        rl.close();
+        const text = answer.toUpperCase().replace(/[^A-Z0-9]/g, '');
+        resolve({ text, confidence: text ? 1 : 0 });
+      });
+      rl.on('close', () => {
+        if (!answered) reject(new Error('Input closed before the captcha was answered'));
+      });
+    });
+  }
+
+  /**
+   * Nothing to release
+   * @returns {Promise<void>}
+   */
+  async terminate() {}
+}
+
+export default ManualSolver;
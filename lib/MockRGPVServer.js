@@ -0,0 +1,581 @@
+import http from 'http';
+import crypto from 'crypto';
+import { URLSearchParams } from 'url';
+import { encodePng } from './png.js';
+import { PROGRAMS, SCHEMES } from './programs.js';
+
+// 5x7 bitmap font used to draw captcha images
+const FONT = {
+  '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  '3': ['####.', '....#', '....#', '.###.', '....#', '....#', '####.'],
+  '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  '6': ['.###.', '#....', '#....', '####.', '#...#', '#...#', '.###.'],
+  '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  '9': ['.###.', '#...#', '#...#', '.####', '....#', '....#', '.###.'],
+  A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+  C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+  D: ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+  E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+  F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+  G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+  H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  I: ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  J: ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+  K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+  L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+  M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+  N: ['#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#', '#...#'],
+  O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+  Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+  R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+  S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+  T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+  U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+  W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+  X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+  Y: ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+  Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+};
+
+const CAPTCHA_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GRADES = ['A+', 'A', 'B+', 'B', 'C+', 'C', 'D', 'F'];
+const GRADE_POINTS = { 'A+': 10, 'A': 9, 'B+': 8, 'B': 7, 'C+': 6, 'C': 5, 'D': 4, 'F': 0 };
+
+/**
+ * Build a deterministic set of sample students
+ * @returns {Object} - Students keyed by roll number
+ */
+function defaultStudents() {
+  const students = {};
+  const subjects = ['CS301', 'CS302', 'CS303', 'CS304', 'CS305'];
+  const addStudent = (rollNumber, index) => {
+    const semesters = {};
+    for (let semester = 1; semester <= 8; semester++) {
+      semesters[semester] = {
+        subjects: subjects.map((code, i) => {
+          const grade = GRADES[(index * 7 + semester * 3 + i * 5) % GRADES.length];
+          return { subject: `${code.replace('3', String(semester))}- [T]`, credits: 4, grade };
+        })
+      };
+    }
+    students[rollNumber] = { name: `STUDENT ${index}`, branch: 'COMPUTER SCIENCE & ENGINEERING', scheme: 'grading', semesters };
+  };
+
+  for (let serial = 1001; serial <= 1060; serial++) {
+    addStudent(`0818CS23${serial}`, serial - 1000);
+  }
+  for (let serial = 1; serial <= 5; serial++) {
+    addStudent(`0818CS23D${serial.toString().padStart(3, '0')}`, 100 + serial);
+  }
+
+  // An older batch that only has marks scheme results
+  students['0818CS161001'] = {
+    name: 'OLD STUDENT',
+    branch: 'COMPUTER SCIENCE & ENGINEERING',
+    scheme: 'marks',
+    semesters: {
+      8: {
+        subjects: [
+          { subject: 'CS801 Distributed Systems', theory: [100, 72], practical: [50, 41] },
+          { subject: 'CS802 Cloud Computing', theory: [100, 65], practical: [50, 38] }
+        ]
+      }
+    }
+  };
+
+  // A student whose semester 3 result is withheld
+  students['0818CS23W001'] = JSON.parse(JSON.stringify(students['0818CS231001']));
+  students['0818CS23W001'].name = 'WITHHELD STUDENT';
+  students['0818CS23W001'].semesters[3].withheld = true;
+  return students;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - The text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Local stand-in for result.rgpv.ac.in used for offline end-to-end testing.
+ *
+ * It emulates the ProgramSelect.aspx → <program>rslt.aspx redirect, ASP.NET
+ * session cookies, VIEWSTATE round trips and CaptchaImage.axd with answers
+ * known to the test, and can produce invalid-captcha, roll-not-found and
+ * maintenance pages.
+ */
+class MockRGPVServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Object} options.students - Students keyed by roll number (default: a generated sample class)
+   * @param {Array<string>} options.captchaAnswers - Captcha texts handed out in order (default: random)
+   * @param {number} options.sessionTimeout - Idle time in milliseconds after which a session expires (default: 20 minutes)
+   * @param {string} options.mode - 'normal', 'maintenance' or 'overloaded' (503 with Retry-After for every request)
+   * @param {Array<string>} options.undeclaredSemesters - Semesters whose results are not declared yet
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.students = options.students || defaultStudents();
+    this.captchaAnswers = options.captchaAnswers || null;
+    this.sessionTimeout = options.sessionTimeout || 20 * 60 * 1000;
+    this.mode = options.mode || 'normal';
+    this.undeclaredSemesters = new Set((options.undeclaredSemesters || []).map(String));
+    this.debug = options.debug || false;
+
+    this.sessions = new Map();
+    this.captchas = new Map();
+    this.captchaCount = 0;
+    this.requests = [];
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (default: a free port)
+   * @returns {Promise<string>} - Base URL to pass to the scraper, e.g. http://127.0.0.1:4321/Result/
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('Mock server error:', error);
+        res.writeHead(500, { 'content-type': 'text/plain' });
+        res.end('Internal Server Error');
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}/Result/`;
+    if (this.debug) console.log(`Mock RGPV server listening on ${this.baseUrl}`);
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections?.();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Switch between normal operation, the maintenance page and overload responses
+   * @param {string} mode - 'normal', 'maintenance' or 'overloaded'
+   */
+  setMode(mode) {
+    this.mode = mode;
+  }
+
+  /**
+   * Publish the results of a semester that was not declared yet
+   * @param {string} semester - The semester number
+   */
+  declare(semester) {
+    this.undeclaredSemesters.delete(String(semester));
+  }
+
+  /**
+   * Get the answer of the captcha currently shown to a session
+   * @param {string} sessionId - The ASP.NET session ID
+   * @returns {string|null} - The captcha text
+   */
+  getCaptchaAnswer(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && session.captchaGuid ? this.captchas.get(session.captchaGuid) : null;
+  }
+
+  /**
+   * Expire a session as the portal does after it has been idle
+   * @param {string} sessionId - The ASP.NET session ID
+   */
+  expireSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Count the requests received so far, optionally for one page
+   * @param {string} page - Page name such as 'ProgramSelect.aspx'
+   * @returns {number} - Number of requests
+   */
+  getRequestCount(page) {
+    return this.requests.filter(r => !page || r.page === page).length;
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const page = url.pathname.replace(/^\/Result\//, '');
+    const body = req.method === 'POST' ? await this.readBody(req) : null;
+    this.requests.push({ method: req.method, page, at: Date.now() });
+    if (this.debug) console.log(`Mock ${req.method} ${url.pathname}`);
+
+    if (this.mode === 'overloaded') {
+      res.writeHead(503, { 'content-type': 'text/html', 'retry-after': '1' });
+      return res.end('<html><body><h2>Service Unavailable</h2></body></html>');
+    }
+    if (this.mode === 'maintenance') {
+      return this.sendHtml(res, '<html><body><h1>Site Under Construction</h1><p>The site is under maintenance, please try again later.</p></body></html>');
+    }
+
+    const program = Object.entries(PROGRAMS).find(([, p]) => p.resultPage === page);
+
+    if (page === 'ProgramSelect.aspx') {
+      return req.method === 'POST' ? this.selectProgram(req, res, body) : this.programSelectPage(req, res);
+    } else if (page === 'CaptchaImage.axd') {
+      return this.captchaImage(res, url.searchParams.get('guid'));
+    } else if (program) {
+      return req.method === 'POST' ? this.submitResult(req, res, program[0], body) : this.resultPage(req, res, program[0]);
+    }
+
+    res.writeHead(404, { 'content-type': 'text/html' });
+    res.end('<html><body>The resource cannot be found.</body></html>');
+  }
+
+  /**
+   * Read a form-encoded request body
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Promise<URLSearchParams>} - Parsed body
+   */
+  async readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    return new URLSearchParams(Buffer.concat(chunks).toString());
+  }
+
+  /**
+   * Find the live session of a request
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Object|null} - The session or null if missing or expired
+   */
+  getSession(req) {
+    const match = (req.headers.cookie || '').match(/ASP\.NET_SessionId=([^;]+)/);
+    const session = match ? this.sessions.get(match[1]) : null;
+    if (!session) return null;
+
+    if (Date.now() - session.lastSeen > this.sessionTimeout) {
+      this.sessions.delete(session.id);
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  /**
+   * Create a session and its cookie
+   * @param {http.ServerResponse} res - The response to set the cookie on
+   * @returns {Object} - The new session
+   */
+  createSession(res) {
+    const session = { id: crypto.randomBytes(12).toString('hex'), lastSeen: Date.now(), program: null, viewState: null, captchaGuid: null };
+    this.sessions.set(session.id, session);
+    res.setHeader('set-cookie', [
+      `ASP.NET_SessionId=${session.id}; path=/; HttpOnly; SameSite=Lax`,
+      `ResultTheme=default; path=/`
+    ]);
+    return session;
+  }
+
+  /**
+   * Generate hidden ASP.NET state fields for a session
+   * @param {Object} session - The session
+   * @returns {string} - Hidden input HTML
+   */
+  stateFields(session) {
+    session.viewState = crypto.randomBytes(24).toString('base64');
+    return `
+      <input type="hidden" name="__EVENTTARGET" id="__EVENTTARGET" value="" />
+      <input type="hidden" name="__EVENTARGUMENT" id="__EVENTARGUMENT" value="" />
+      <input type="hidden" name="__LASTFOCUS" id="__LASTFOCUS" value="" />
+      <input type="hidden" name="__VIEWSTATE" id="__VIEWSTATE" value="${session.viewState}" />
+      <input type="hidden" name="__VIEWSTATEGENERATOR" id="__VIEWSTATEGENERATOR" value="A1B2C3D4" />
+      <input type="hidden" name="__EVENTVALIDATION" id="__EVENTVALIDATION" value="${crypto.randomBytes(16).toString('base64')}" />`;
+  }
+
+  /**
+   * GET ProgramSelect.aspx
+   */
+  programSelectPage(req, res) {
+    const session = this.getSession(req) || this.createSession(res);
+    const radios = Object.values(PROGRAMS)
+      .sort((a, b) => a.radioIndex - b.radioIndex)
+      .map(p => `<td><input id="radlstProgram_${p.radioIndex}" type="radio" name="radlstProgram" value="${p.code}" onclick="javascript:setTimeout('__doPostBack(\\'radlstProgram$${p.radioIndex}\\',\\'\\')', 0)" /><label for="radlstProgram_${p.radioIndex}">${escapeHtml(p.name)}</label></td>`)
+      .join('\n');
+
+    this.sendHtml(res, `<html><head><title>RGPV Result</title></head><body>
+      <form method="post" action="./ProgramSelect.aspx" id="form1">${this.stateFields(session)}
+        <table id="radlstProgram"><tr>${radios}</tr></table>
+      </form></body></html>`);
+  }
+
+  /**
+   * POST ProgramSelect.aspx
+   */
+  selectProgram(req, res, body) {
+    const session = this.getSession(req);
+    const entry = Object.entries(PROGRAMS).find(([, p]) => p.code === body.get('radlstProgram'));
+
+    if (!session || !entry || body.get('__VIEWSTATE') !== session.viewState) {
+      return this.programSelectPage(req, res);
+    }
+
+    session.program = entry[0];
+    res.writeHead(302, { location: `/Result/${entry[1].resultPage}` });
+    res.end();
+  }
+
+  /**
+   * Render a result page form, optionally with a message or result above it
+   * @param {Object} session - The session
+   * @param {string} programKey - Program key
+   * @param {string} content - Extra HTML shown above the form
+   * @returns {string} - Page HTML
+   */
+  resultForm(session, programKey, content = '') {
+    const guid = crypto.randomBytes(8).toString('hex');
+    this.captchas.set(guid, this.nextCaptchaText());
+    session.captchaGuid = guid;
+
+    const semesterOptions = ['<option value="0">Select</option>']
+      .concat([1, 2, 3, 4, 5, 6, 7, 8].map(s => `<option value="${s}">${s}</option>`))
+      .join('');
+
+    return `<html><head><title>${escapeHtml(PROGRAMS[programKey].name)} Result</title></head><body>
+      <form method="post" action="./${PROGRAMS[programKey].resultPage}" id="aspnetForm">${this.stateFields(session)}
+        ${content}
+        <input name="ctl00$ContentPlaceHolder1$txtrollno" type="text" id="ctl00_ContentPlaceHolder1_txtrollno" />
+        <select name="ctl00$ContentPlaceHolder1$drpSemester" id="ctl00_ContentPlaceHolder1_drpSemester">${semesterOptions}</select>
+        <input id="ctl00_ContentPlaceHolder1_rbtnlstSType_0" type="radio" name="ctl00$ContentPlaceHolder1$rbtnlstSType" value="G" checked="checked" /><label>Grading</label>
+        <input id="ctl00_ContentPlaceHolder1_rbtnlstSType_1" type="radio" name="ctl00$ContentPlaceHolder1$rbtnlstSType" value="N" /><label>Non Grading</label>
+        <img src="CaptchaImage.axd?guid=${guid}" alt="Captcha" />
+        <input name="ctl00$ContentPlaceHolder1$TextBox1" type="text" id="ctl00_ContentPlaceHolder1_TextBox1" />
+        <input type="submit" name="ctl00$ContentPlaceHolder1$btnviewresult" value="View Result" />
+      </form></body></html>`;
+  }
+
+  /**
+   * GET <program>rslt.aspx
+   */
+  resultPage(req, res, programKey) {
+    const session = this.getSession(req);
+    if (!session || session.program !== programKey) {
+      return this.redirectToProgramSelect(res);
+    }
+    this.sendHtml(res, this.resultForm(session, programKey));
+  }
+
+  /**
+   * POST <program>rslt.aspx
+   */
+  submitResult(req, res, programKey, body) {
+    const session = this.getSession(req);
+    if (!session || session.program !== programKey) {
+      return this.redirectToProgramSelect(res);
+    }
+
+    const answer = session.captchaGuid ? this.captchas.get(session.captchaGuid) : null;
+    const captcha = (body.get('ctl00$ContentPlaceHolder1$TextBox1') || '').toUpperCase();
+    const rollNumber = (body.get('ctl00$ContentPlaceHolder1$txtrollno') || '').toUpperCase();
+    const semester = body.get('ctl00$ContentPlaceHolder1$drpSemester');
+    const schemeType = body.get('ctl00$ContentPlaceHolder1$rbtnlstSType') || SCHEMES.grading;
+
+    if (body.get('__VIEWSTATE') !== session.viewState) {
+      // A stale VIEWSTATE is treated like an expired session
+      return this.redirectToProgramSelect(res);
+    }
+    if (!answer || captcha !== answer) {
+      return this.sendHtml(res, this.resultForm(session, programKey, `<script>alert('Invalid Captcha Code');</script>`));
+    }
+
+    if (this.undeclaredSemesters.has(semester)) {
+      return this.sendHtml(res, this.resultForm(session, programKey, `<script>alert('Result for this semester is not declared yet');</script>`));
+    }
+
+    const student = this.students[rollNumber];
+    const scheme = schemeType === SCHEMES.marks ? 'marks' : 'grading';
+    const semesterResult = student && student.scheme === scheme ? student.semesters[semester] : null;
+    if (!semesterResult) {
+      return this.sendHtml(res, this.resultForm(session, programKey, `<script>alert('Roll No does not exist');</script>`));
+    }
+
+    const resultHtml = scheme === 'marks'
+      ? this.marksResultHtml(rollNumber, semester, student, semesterResult, programKey)
+      : this.gradingResultHtml(rollNumber, semester, student, semesterResult, programKey);
+    this.sendHtml(res, this.resultForm(session, programKey, resultHtml));
+  }
+
+  /**
+   * Render a grading scheme result
+   * @returns {string} - Result HTML
+   */
+  gradingResultHtml(rollNumber, semester, student, semesterResult, programKey) {
+    let points = 0;
+    let credits = 0;
+    const rows = semesterResult.subjects.map(s => {
+      points += GRADE_POINTS[s.grade] * s.credits;
+      credits += s.credits;
+      const earned = s.grade === 'F' ? 0 : s.credits;
+      return `<table class="gridtable"><tr><th>Subject</th><th>Total Credit</th><th>Earned Credit</th><th>Grade</th></tr>
+        <tr><td>${escapeHtml(s.subject)}</td><td>${s.credits}</td><td>${earned}</td><td>${s.grade}</td></tr></table>`;
+    }).join('\n');
+    const failed = semesterResult.subjects.filter(s => s.grade === 'F').map(s => s.subject.split('-')[0]);
+    const sgpa = (points / credits).toFixed(2);
+
+    return `<div class="resultheader">RAJIV GANDHI PROUDYOGIKI VISHWAVIDYALAYA, BHOPAL</div>
+      <span id="ctl00_ContentPlaceHolder1_lblSession">${escapeHtml(semesterResult.session || 'DEC-2024')}</span>
+      <table class="gridtable">
+        <tr><td>Name</td><td><span id="ctl00_ContentPlaceHolder1_lblNameGrading">${escapeHtml(student.name)}</span></td>
+            <td>Roll No.</td><td><span id="ctl00_ContentPlaceHolder1_lblRollNoGrading">${rollNumber}</span></td></tr>
+        <tr><td>Course</td><td><span id="ctl00_ContentPlaceHolder1_lblProgramGrading">${escapeHtml(PROGRAMS[programKey].name)}</span></td>
+            <td>Branch</td><td><span id="ctl00_ContentPlaceHolder1_lblBranchGrading">${escapeHtml(student.branch)}</span></td></tr>
+        <tr><td>Semester</td><td><span id="ctl00_ContentPlaceHolder1_lblSemesterGrading">${semester}</span></td>
+            <td>Status</td><td><span id="ctl00_ContentPlaceHolder1_lblStatusGrading">Regular</span></td></tr>
+      </table>
+      ${rows}
+      <table class="gridtable"><tr><td>Result Des.</td><td><span id="ctl00_ContentPlaceHolder1_lblResultNewGrading">${semesterResult.withheld ? 'RESULT WITHHELD' : failed.length ? `FAIL IN ${failed.join(',')}` : 'PASS'}</span></td>
+        <td>SGPA</td><td><span id="ctl00_ContentPlaceHolder1_lblSGPA">${sgpa}</span></td>
+        <td>CGPA</td><td><span id="ctl00_ContentPlaceHolder1_lblcgpa">${semesterResult.cgpa || sgpa}</span></td></tr></table>
+      <table class="gridtable"><tr><td>Revaluation Date</td><td><span id="ctl00_ContentPlaceHolder1_Label4NewGrading">01-01-2025</span></td>
+        <td><span id="ctl00_ContentPlaceHolder1_Label5NewGrading">07-01-2025</span></td></tr></table>
+      <table class="gridtable"><tr><td>Grade: A+ = 10, A = 9, B+ = 8, B = 7, C+ = 6, C = 5, D = 4, F = 0</td></tr></table>`;
+  }
+
+  /**
+   * Render a marks scheme result
+   * @returns {string} - Result HTML
+   */
+  marksResultHtml(rollNumber, semester, student, semesterResult, programKey) {
+    let total = 0;
+    let max = 0;
+    const rows = semesterResult.subjects.map(s => {
+      const subjectTotal = s.theory[1] + s.practical[1];
+      total += subjectTotal;
+      max += s.theory[0] + s.practical[0];
+      return `<tr><td>${escapeHtml(s.subject)}</td><td>${s.theory[0]}</td><td>${s.theory[1]}</td><td>${s.practical[0]}</td><td>${s.practical[1]}</td><td>${subjectTotal}</td></tr>`;
+    }).join('\n');
+    const percentage = (total / max * 100).toFixed(2);
+
+    return `<div class="resultheader">RAJIV GANDHI PROUDYOGIKI VISHWAVIDYALAYA, BHOPAL</div>
+      <span id="ctl00_ContentPlaceHolder1_lblSession">${escapeHtml(semesterResult.session || 'MAY-2020')}</span>
+      <table class="gridtable">
+        <tr><td>Name</td><td><span id="ctl00_ContentPlaceHolder1_lblName">${escapeHtml(student.name)}</span></td>
+            <td>Roll No.</td><td><span id="ctl00_ContentPlaceHolder1_lblRollNo">${rollNumber}</span></td></tr>
+        <tr><td>Course</td><td><span id="ctl00_ContentPlaceHolder1_lblProgram">${escapeHtml(PROGRAMS[programKey].name)}</span></td>
+            <td>Branch</td><td><span id="ctl00_ContentPlaceHolder1_lblBranch">${escapeHtml(student.branch)}</span></td></tr>
+        <tr><td>Semester</td><td><span id="ctl00_ContentPlaceHolder1_lblSemester">${semester}</span></td>
+            <td>Status</td><td><span id="ctl00_ContentPlaceHolder1_lblStatus">Ex</span></td></tr>
+      </table>
+      <table class="gridtable"><tr><th>Subject</th><th>Theory Max</th><th>Theory Obtained</th><th>Practical Max</th><th>Practical Obtained</th><th>Total Marks</th></tr>
+        ${rows}</table>
+      <span id="ctl00_ContentPlaceHolder1_lblResultNew">PASS</span>
+      <span id="ctl00_ContentPlaceHolder1_lblTotalMarks">${total}</span>
+      <span id="ctl00_ContentPlaceHolder1_lblMaxMarks">${max}</span>
+      <span id="ctl00_ContentPlaceHolder1_lblPercentage">${percentage}</span>
+      <span id="ctl00_ContentPlaceHolder1_lblDivision">${percentage >= 60 ? 'FIRST' : 'SECOND'}</span>`;
+  }
+
+  /**
+   * GET CaptchaImage.axd
+   */
+  captchaImage(res, guid) {
+    const text = this.captchas.get(guid);
+    if (!text) {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      return res.end('Captcha not found');
+    }
+
+    const png = this.renderCaptcha(text);
+    res.writeHead(200, { 'content-type': 'image/png', 'content-length': png.length, 'cache-control': 'no-cache' });
+    res.end(png);
+  }
+
+  /**
+   * Pick the text of the next captcha
+   * @returns {string} - Captcha text
+   */
+  nextCaptchaText() {
+    const index = this.captchaCount++;
+    if (this.captchaAnswers && this.captchaAnswers.length > 0) {
+      return this.captchaAnswers[index % this.captchaAnswers.length];
+    }
+
+    let text = '';
+    for (let i = 0; i < 5; i++) {
+      text += CAPTCHA_ALPHABET[crypto.randomInt(CAPTCHA_ALPHABET.length)];
+    }
+    return text;
+  }
+
+  /**
+   * Draw captcha text as a PNG with the 5x7 font and a noise line
+   * @param {string} text - Captcha text
+   * @returns {Buffer} - PNG image
+   */
+  renderCaptcha(text) {
+    const scale = 4;
+    const padding = 10;
+    const width = padding * 2 + text.length * 6 * scale;
+    const height = padding * 2 + 7 * scale;
+    const pixels = new Uint8Array(width * height).fill(255);
+
+    [...text].forEach((char, index) => {
+      const glyph = FONT[char] || FONT['0'];
+      glyph.forEach((row, y) => {
+        [...row].forEach((cell, x) => {
+          if (cell !== '#') return;
+          for (let dy = 0; dy < scale; dy++) {
+            for (let dx = 0; dx < scale; dx++) {
+              const px = padding + (index * 6 + x) * scale + dx;
+              const py = padding + y * scale + dy;
+              pixels[py * width + px] = 0;
+            }
+          }
+        });
+      });
+    });
+
+    // A thin diagonal noise line like the portal's captchas
+    for (let x = 0; x < width; x++) {
+      const y = Math.floor(padding / 2 + (height - padding) * x / width);
+      pixels[y * width + x] = 96;
+    }
+
+    return encodePng(width, height, pixels);
+  }
+
+  /**
+   * Redirect to ProgramSelect.aspx, as the portal does when a session is gone
+   */
+  redirectToProgramSelect(res) {
+    res.writeHead(302, { location: '/Result/ProgramSelect.aspx' });
+    res.end();
+  }
+
+  /**
+   * Send an HTML response
+   */
+  sendHtml(res, html) {
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(html);
+  }
+}
+
+export default MockRGPVServer;
@@ -1,9 +1,21 @@
 import FormFetcher from './FormFetcher.js';
 import CaptchaSolver from './CaptchaSolver.js';
+import CaptchaDataset, { VERDICTS } from './CaptchaDataset.js';
 import ResultSubmitter from './ResultSubmitter.js';
-import pLimit from 'p-limit';
+import HttpClient from './HttpClient.js';
+import SessionPool from './SessionPool.js';
+import SiteHealth from './SiteHealth.js';
+import JobStore from './JobStore.js';
+import ResultCache from './ResultCache.js';
+import ResultArchive from './ResultArchive.js';
+import { buildTranscript } from './transcript.js';
 import fs from 'fs';
 import path from 'path';
+import { getProgram, checkScheme, DEFAULT_PROGRAM } from './programs.js';
+import { OUTCOMES, isRetryable } from './outcomes.js';
+
+// Answers the portal only gives once it has accepted the captcha
+const CAPTCHA_ACCEPTED_OUTCOMES = [OUTCOMES.OK, OUTCOMES.ROLL_NOT_FOUND, OUTCOMES.RESULT_NOT_DECLARED, OUTCOMES.RESULT_WITHHELD];
 
 /**
  * Main RGPV Result Scraper class that coordinates the entire process
@@ -14,36 +26,90 @@ class RGPVScraper {
    * @param {Object} options - Configuration options
    * @param {boolean} options.debug - Enable debug mode
    * @param {number} options.maxRetries - Maximum retry attempts
+   * @param {string} options.program - Default program key from the registry (e.g. 'be', 'mtech')
+   * @param {string} options.scheme - Default result scheme: 'grading', 'marks' or 'auto'
+   * @param {number} options.cacheTtl - Maximum age of cached results in milliseconds (default: never expire)
+   * @param {boolean} options.forceRefresh - Ignore cached results and fetch again
+   * @param {string} options.baseUrl - Result portal root (default: https://result.rgpv.ac.in/Result/ or $RGPV_BASE_URL)
+   * @param {string} options.userAgent - Browser profile name or custom user agent string (default: chrome)
+   * @param {number} options.timeout - HTTP request timeout in milliseconds (default: 30000)
+   * @param {string} options.proxy - HTTP proxy URL (default: $RGPV_PROXY)
+   * @param {number} options.sessionTimeout - Idle time in milliseconds after which a portal session is re-established (default: 20 minutes)
+   * @param {number} options.rps - Portal requests per second across all lookups, 0 for no limit (default: 5)
+   * @param {number} options.maxInFlight - Maximum concurrent portal requests (default: 8)
+   * @param {number} options.probeInterval - Time between portal probes during an outage, in milliseconds (default: 60000)
+   * @param {number} options.failureThreshold - Consecutive connection failures that count as an outage (default: 5)
+   * @param {boolean} options.reuseSessions - Submit the next roll number from the page of the previous one instead of a new session (default: true)
+   * @param {string|Array<string>} options.preprocess - Captcha preprocessing steps, 'all' or 'none' (default: all but morphology)
+   * @param {string|Array|Object} options.solver - Captcha solver backend, a solver object or a fallback order like 'template,tesseract' (default: 'tesseract')
+   * @param {string} options.templates - Template file of the template solver (default: captcha/templates.json)
+   * @param {number} options.minConfidence - Confidence needed to stop at a solver in a fallback order (default: 0.6)
+   * @param {number} options.captchaLength - Number of characters in a captcha (default: anything from 4 to 6)
+   * @param {number} options.acceptConfidence - Vote confidence at which a captcha answer is submitted without more samples (default: 0.9)
+   * @param {number} options.ocrConcurrency - Captchas solved at the same time, and Tesseract workers (default: 2)
+   * @param {number} options.ocrTimeout - Time limit for solving one captcha in milliseconds (default: 30000)
+   * @param {number} options.recycleAfter - Captchas after which a Tesseract worker is replaced by a fresh one (default: 200)
+   * @param {boolean} options.recordCaptchas - Save every captcha with the solver's guess and the portal's verdict (default: false)
+   * @param {string} options.datasetDir - Directory the captchas are saved to (default: captcha/dataset)
+   * @param {boolean} options.archive - Keep every result page, compressed, for re-parsing (default: false)
+   * @param {string} options.archiveDir - Directory result pages are archived to (default: archive)
+   * @param {string} options.cacheDir - Directory results are cached in (default: results)
    */
   constructor(options = {}) {
     this.debug = options.debug || false;
     this.maxRetries = options.maxRetries || 3;
+    this.program = getProgram(options.program || DEFAULT_PROGRAM).key;
+    this.scheme = checkScheme(options.scheme || 'grading');
     
-    // Initialize components
-    this.formFetcher = new FormFetcher(this.debug);
-    this.captchaSolver = new CaptchaSolver(this.debug);
-    this.resultSubmitter = new ResultSubmitter(this.debug);
+    // Initialize components, all sharing one HTTP client
+    this.httpClient = new HttpClient({
+      baseUrl: options.baseUrl,
+      userAgent: options.userAgent,
+      timeout: options.timeout,
+      proxy: options.proxy,
+      rps: options.rps,
+      maxInFlight: options.maxInFlight,
+      debug: this.debug
+    });
+    const componentOptions = { httpClient: this.httpClient };
+    this.formFetcher = new FormFetcher(this.debug, { ...componentOptions, sessionTimeout: options.sessionTimeout });
+    this.captchaSolver = new CaptchaSolver(this.debug, {
+      ...componentOptions,
+      preprocess: options.preprocess,
+      solver: options.solver,
+      templates: options.templates,
+      minConfidence: options.minConfidence,
+      captchaLength: options.captchaLength,
+      acceptConfidence: options.acceptConfidence,
+      ocrConcurrency: options.ocrConcurrency,
+      ocrTimeout: options.ocrTimeout,
+      recycleAfter: options.recycleAfter
+    });
+    this.resultSubmitter = new ResultSubmitter(this.debug, componentOptions);
     
-    // Initialize blacklist from existing results
-    this.blacklist = [];
-    this.loadBlacklist();
-  }
-  
-  /**
-   * Load blacklist from existing results
-   */
-  loadBlacklist() {
-    const resultsDir = path.join(process.cwd(), 'results');
-    if (fs.existsSync(resultsDir)) {
-      fs.readdirSync(resultsDir).forEach(file => {
-        if (file.endsWith('.json') && !file.startsWith('batch_') && !file.startsWith('range_')) {
-          this.blacklist.push(file.split('.')[0]);
-        }
-      });
-    }
-    if (this.debug && this.blacklist.length > 0) {
-      console.log(`Loaded blacklist with ${this.blacklist.length} already processed roll numbers`);
-    }
+    // Labelled captchas for training and benchmarking
+    this.captchaDataset = options.recordCaptchas ? new CaptchaDataset({ dir: options.datasetDir, debug: this.debug }) : null;
+    
+    // Raw result pages, so results can be parsed again without the portal
+    this.archive = options.archive ? new ResultArchive({ dir: options.archiveDir, debug: this.debug }) : null;
+    
+    // Cache of already fetched results
+    this.cache = new ResultCache({ dir: options.cacheDir, ttl: options.cacheTtl, debug: this.debug });
+    this.forceRefresh = options.forceRefresh || false;
+    
+    // Outage detection, batches pause while the portal is down
+    this.siteHealth = new SiteHealth(this.httpClient, {
+      probeInterval: options.probeInterval,
+      failureThreshold: options.failureThreshold,
+      debug: this.debug
+    });
+    
+    // Idle sessions shared by all lookups
+    this.reuseSessions = options.reuseSessions !== false;
+    this.sessionPool = new SessionPool({ debug: this.debug });
+    
+    // Job of the batch currently being processed
+    this.currentJob = null;
   }
 
   /**
@@ -52,9 +118,15 @@ class RGPVScraper {
    */
   setDebug(debug) {
     this.debug = debug;
+    this.httpClient.setDebug(debug);
     this.formFetcher.setDebug(debug);
     this.captchaSolver.setDebug(debug);
     this.resultSubmitter.setDebug(debug);
+    this.cache.debug = debug;
+    this.sessionPool.debug = debug;
+    this.siteHealth.debug = debug;
+    if (this.captchaDataset) this.captchaDataset.debug = debug;
+    if (this.archive) this.archive.debug = debug;
   }
 
   /**
@@ -65,31 +137,81 @@ class RGPVScraper {
     this.maxRetries = maxRetries;
   }
 
+  /**
+   * Set the default program used when a request doesn't specify one
+   * @param {string} program - Program key from the registry
+   */
+  setProgram(program) {
+    this.program = getProgram(program).key;
+  }
+
+  /**
+   * Set the default result scheme
+   * @param {string} scheme - 'grading', 'marks' or 'auto' (grading first, then marks)
+   */
+  setScheme(scheme) {
+    this.scheme = checkScheme(scheme);
+  }
+
   /**
    * Get a student's result
    * @param {string} rollNumber - The student's roll number
    * @param {string} semester - The semester number
-   * @returns {Promise<Object>} - The result data or error information
+   * @param {Object} options - Per-request options
+   * @param {string} options.program - Program key (defaults to the scraper's program)
+   * @param {string} options.scheme - Result scheme (defaults to the scraper's scheme)
+   * @param {string} options.session - Only accept a cached result from this exam session
+   * @param {boolean} options.forceRefresh - Skip the cache and fetch again
+   * @param {Object} options.formData - Form from an earlier postback (`nextForm`) to reuse its session.
+   *   When given, even as null, the caller chains sessions itself and the session pool is left alone.
+   * @returns {Promise<Object>} - `{ success, outcome, retryable, data, error, errors, ... }`; outcome is one of OUTCOMES
    */
-  async getResult(rollNumber, semester) {
+  async getResult(rollNumber, semester, options = {}) {
+    const program = getProgram(options.program || this.program).key;
+    const requestedScheme = checkScheme(options.scheme || this.scheme);
+    // In auto mode start with grading and fall back to marks if the roll number isn't found
+    let scheme = requestedScheme === 'auto' ? 'grading' : requestedScheme;
+    
     // Check if result already exists
-    if (this.blacklist.includes(rollNumber)) {
-      if (this.debug) console.log(`Skipping ${rollNumber} - result already exists`);
+    const forceRefresh = options.forceRefresh !== undefined ? options.forceRefresh : this.forceRefresh;
+    const cached = forceRefresh ? null : this.cache.getEntry(rollNumber, semester, { scheme: requestedScheme, session: options.session });
+    if (cached) {
+      if (this.debug) console.log(`Skipping ${rollNumber} semester ${semester} - result already exists`);
       return {
         success: true,
+        outcome: OUTCOMES.OK,
+        retryable: false,
         rollNumber,
         semester,
-        data: JSON.parse(fs.readFileSync(path.join(process.cwd(), 'results', `${rollNumber}.json`), 'utf8')),
+        program,
+        scheme: cached.key.scheme,
+        data: cached.data,
+        // Nothing was submitted, so an unused session form is still valid
+        nextForm: options.formData || null,
         message: 'Result loaded from cache'
       };
     }
     
-    if (this.debug) console.log(`Starting RGPV result scraping for roll number: ${rollNumber}, semester: ${semester}`);
+    if (this.debug) console.log(`Starting RGPV result scraping for roll number: ${rollNumber}, semester: ${semester}, program: ${program}`);
     
     let success = false;
     let resultData = null;
+    let outcome = null;
     let errors = [];
     let siteErrors = [];
+    // A form from an earlier postback, used instead of a fresh handshake. Callers chaining
+    // their own sessions pass it in, everyone else shares the scraper's session pool.
+    const usePool = options.formData === undefined && this.reuseSessions;
+    let formData = usePool ? this.sessionPool.acquire(program) : options.formData;
+    if (formData && formData.program !== program) {
+      formData = null;
+    }
+    if (formData && formData.session.isExpired()) {
+      if (this.debug) console.log("Session form has been idle too long, starting a new session");
+      formData = null;
+    }
+    // Expired sessions are re-established without using up an attempt, up to this many times
+    let sessionRenewals = 2;
     
     // Try multiple times if needed
     for (let attempt = 1; attempt <= this.maxRetries && !success; attempt++) {
@@ -97,12 +219,20 @@ class RGPVScraper {
       
       try {
         // Step 1: Fetch initial data and get form with captcha
-        if (this.debug) console.log("\n======== STEP 1: FETCHING INITIAL DATA ========");
-        const scrapedData = await this.formFetcher.fetchInitialData();
+        let scrapedData;
+        if (formData) {
+          if (this.debug) console.log("\n======== STEP 1: REUSING SESSION FORM ========");
+          scrapedData = formData;
+          formData = null;
+        } else {
+          if (this.debug) console.log("\n======== STEP 1: FETCHING INITIAL DATA ========");
+          scrapedData = await this.formFetcher.fetchInitialData(program);
+        }
         
         if (!scrapedData) {
           const error = "Failed to fetch initial data";
-          errors.push({ attempt, step: 1, error });
+          outcome = OUTCOMES.NETWORK_ERROR;
+          errors.push({ attempt, step: 1, outcome, error });
           if (this.debug) console.error(error + ". Retrying...");
           continue;
         }
@@ -113,53 +243,101 @@ class RGPVScraper {
         
         if (!captchaResult) {
           const error = "Failed to solve CAPTCHA";
-          errors.push({ attempt, step: 2, error });
+          outcome = OUTCOMES.INVALID_CAPTCHA;
+          errors.push({ attempt, step: 2, outcome, error });
           if (this.debug) console.error(error + ". Retrying...");
           continue;
         }
         
         // Step 3: Submit the form with the solved captcha
         if (this.debug) console.log("\n======== STEP 3: SUBMITTING FORM ========");
-        const submissionResult = await this.resultSubmitter.submitFormWithCaptcha(rollNumber, semester, captchaResult);
+        const submissionResult = await this.resultSubmitter.submitFormWithCaptcha(rollNumber, semester, captchaResult, scheme);
+        formData = submissionResult?.nextForm || null;
+        this.reportCaptchaVerdict(captchaResult, submissionResult, rollNumber);
         
-        // Check for different return types
-        if (!submissionResult || submissionResult.success === false) {
-          const error = submissionResult?.error || "Failed to submit form or invalid response";
-          errors.push({ attempt, step: 3, error });
-          
-          // If it's a site maintenance issue, no need to retry
-          if (submissionResult?.error?.includes("maintenance")) {
-            siteErrors.push({ attempt, error: submissionResult.error });
-            if (this.debug) console.log("Site is under maintenance, stopping attempts.");
-            break;
-          }
-          
-          if (this.debug) console.log(`Attempt ${attempt} failed: ${error}, ${attempt < this.maxRetries ? "trying again..." : "all attempts exhausted."}`);
-          continue;
-        } else if (submissionResult.success) {
+        outcome = submissionResult.outcome;
+        
+        // Keep the page as served, so a parser fix doesn't need another scrape
+        if (this.archive && submissionResult.html) {
+          const pageScheme = submissionResult.data ? submissionResult.data.scheme : scheme;
+          this.archive.save(rollNumber, semester, submissionResult.html, { scheme: pageScheme, program, outcome });
+        }
+        
+        if (outcome === OUTCOMES.OK) {
           success = true;
           resultData = submissionResult.data;
           
-          // Add to blacklist once successful
-          if (!this.blacklist.includes(rollNumber)) {
-            this.blacklist.push(rollNumber);
-          }
+          // Cache the result once successful
+          this.cache.set(rollNumber, semester, resultData, { program });
           
           if (this.debug) console.log("SUCCESS: Successfully fetched and saved the result!");
+          continue;
         }
+        
+        const error = submissionResult.error;
+        errors.push({ attempt, step: 3, outcome, error });
+        // A withheld result still names the student
+        if (submissionResult.data) {
+          resultData = submissionResult.data;
+        }
+        
+        // Wait for the portal to come back instead of retrying now
+        if (outcome === OUTCOMES.MAINTENANCE) {
+          siteErrors.push({ attempt, error });
+          if (this.debug) console.log("Site is under maintenance, stopping attempts.");
+          break;
+        }
+        
+        // The portal dropped the session, start a new one and try again
+        if (outcome === OUTCOMES.SESSION_EXPIRED && sessionRenewals > 0) {
+          sessionRenewals--;
+          attempt--;
+          if (this.debug) console.log("Session expired, re-establishing it.");
+          continue;
+        }
+        
+        // Older batches only have marks scheme results
+        if (requestedScheme === 'auto' && scheme === 'grading' && outcome === OUTCOMES.ROLL_NOT_FOUND) {
+          scheme = 'marks';
+          attempt--;
+          if (this.debug) console.log("No grading result found, trying the marks scheme.");
+          continue;
+        }
+        
+        // Not found, not declared, withheld and unparseable results won't change on another attempt
+        if (!submissionResult.retryable) {
+          if (this.debug) console.log(`${error} (${outcome}), stopping attempts.`);
+          break;
+        }
+        
+        if (this.debug) console.log(`Attempt ${attempt} failed: ${error}, ${attempt < this.maxRetries ? "trying again..." : "all attempts exhausted."}`);
       } catch (error) {
         const errorMsg = error.message || String(error);
-        errors.push({ attempt, error: errorMsg });
+        outcome = OUTCOMES.NETWORK_ERROR;
+        errors.push({ attempt, outcome, error: errorMsg });
         if (this.debug) console.error(`Error in attempt ${attempt}:`, error);
       }
     }
     
+    // Park the session for the next lookup
+    if (usePool && formData) {
+      this.sessionPool.release(formData);
+      formData = null;
+    }
+    
     // Return the final result
+    outcome = success ? OUTCOMES.OK : outcome || OUTCOMES.NETWORK_ERROR;
     return {
       success,
+      outcome,
+      retryable: isRetryable(outcome),
       rollNumber,
       semester,
+      program,
+      scheme,
       data: resultData,
+      nextForm: formData,
+      error: errors.length > 0 && !success ? errors[errors.length - 1].error : undefined,
       attempts: errors.length,
       errors: errors.length > 0 ? errors : undefined,
       siteErrors: siteErrors.length > 0 ? siteErrors : undefined
@@ -167,115 +345,232 @@ class RGPVScraper {
   }
   
   /**
-   * Batch process multiple roll numbers
-   * @param {Array<Object>} students - Array of student objects with rollNumber and semester
-   * @param {number} concurrency - Number of concurrent requests
-   * @param {Function} progressCallback - Optional callback function called after each result
-   * @returns {Promise<Array<Object>>} - Array of results
+   * Pass the portal's verdict on a submitted captcha to the solver's stats and the dataset
+   * @param {Object} captchaResult - From CaptchaSolver.processCaptcha
+   * @param {Object} submissionResult - From ResultSubmitter.submitFormWithCaptcha
+   * @param {string} rollNumber - The student's roll number
    */
-  async batchProcess(students, concurrency = 1, progressCallback = null) {
-    if (!Array.isArray(students) || students.length === 0) {
-      throw new Error("No students provided for batch processing");
+  reportCaptchaVerdict(captchaResult, submissionResult, rollNumber) {
+    if (!submissionResult) return;
+    
+    // The portal checks the captcha before looking the roll number up, so any
+    // answer about the student means the captcha was right. Session and
+    // maintenance errors say nothing about it.
+    let verdict = null;
+    if (submissionResult.outcome === OUTCOMES.INVALID_CAPTCHA) {
+      verdict = VERDICTS.REJECTED;
+    } else if (CAPTCHA_ACCEPTED_OUTCOMES.includes(submissionResult.outcome)) {
+      verdict = VERDICTS.ACCEPTED;
+    }
+    
+    if (!verdict) return;
+    
+    this.captchaSolver.reportVerdict(captchaResult, verdict === VERDICTS.ACCEPTED);
+    if (this.captchaDataset) {
+      this.captchaDataset.record(captchaResult, verdict, { rollNumber });
+    }
+  }
+  
+  /**
+   * Get a student's results for several semesters as one transcript
+   *
+   * The semesters are fetched one after another so that each submission can
+   * reuse the form from the previous postback instead of a new session.
+   *
+   * @param {string} rollNumber - The student's roll number
+   * @param {Array<string>} semesters - Semester numbers in order (e.g. ['1', '2', '3'])
+   * @param {Object} options - Per-request options passed to getResult
+   * @returns {Promise<Object>} - The merged transcript along with the raw per-semester results
+   */
+  async getTranscript(rollNumber, semesters, options = {}) {
+    if (!Array.isArray(semesters) || semesters.length === 0) {
+      throw new Error("No semesters provided for the transcript");
+    }
+    
+    const results = [];
+    let formData = null;
+    
+    for (const semester of semesters) {
+      if (this.debug) console.log(`\n======== TRANSCRIPT: SEMESTER ${semester} ========`);
+      const result = await this.getResult(rollNumber, String(semester), { ...options, formData });
+      formData = result.nextForm || null;
+      results.push(result);
     }
     
-    // Filter out students that are in the blacklist if requested
-    const filteredStudents = students.filter(student => 
-      !this.blacklist.includes(student.rollNumber) || student.forceReprocess === true
-    );
+    const transcript = buildTranscript(rollNumber, results);
     
-    if (filteredStudents.length < students.length && this.debug) {
-      console.log(`Filtered out ${students.length - filteredStudents.length} students that were already processed`);
+    // Save next to the per-semester results
+    const transcriptPath = path.join(this.cache.dir, rollNumber, 'transcript.json');
+    if (!fs.existsSync(path.dirname(transcriptPath))) {
+      fs.mkdirSync(path.dirname(transcriptPath), { recursive: true });
+    }
+    fs.writeFileSync(transcriptPath, JSON.stringify(transcript, null, 2));
+    if (this.debug) console.log(`Transcript saved to ${transcriptPath}`);
+    
+    return { transcript, results };
+  }
+  
+  /**
+   * Batch process multiple roll numbers
+   *
+   * Progress is tracked in a disk-backed job (see JobStore) so that an
+   * interrupted run can be picked up again with `options.resume`.
+   *
+   * @param {Array<Object>|null} students - Array of student objects with rollNumber, semester and optional program (ignored when resuming)
+   * @param {number} concurrency - Number of concurrent requests
+   * @param {Function} progressCallback - Optional callback function called after each result
+   * @param {Object} options - Batch options
+   * @param {string} options.resume - ID of a previous job to resume
+   * @returns {Promise<Array<Object>>} - Array of results processed in this run
+   */
+  async batchProcess(students, concurrency = 1, progressCallback = null, options = {}) {
+    let job;
+    if (options.resume) {
+      job = JobStore.load(options.resume, { debug: this.debug });
+      console.log(`Resuming job ${job.jobId}: ${job.getSummary().pending} students left`);
+    } else {
+      if (!Array.isArray(students) || students.length === 0) {
+        throw new Error("No students provided for batch processing");
+      }
+      
+      // Filter out students whose result for the requested semester is already cached
+      const filteredStudents = students.filter(student => 
+        this.forceRefresh || student.forceReprocess === true ||
+        !this.cache.has(student.rollNumber, student.semester, { scheme: student.scheme || this.scheme })
+      );
+      
+      if (filteredStudents.length < students.length && this.debug) {
+        console.log(`Filtered out ${students.length - filteredStudents.length} students that were already processed`);
+      }
+      
+      if (filteredStudents.length === 0) {
+        console.log("All students have already been processed");
+        return [];
+      }
+      
+      job = JobStore.create(filteredStudents, { debug: this.debug });
+      console.log(`Created job ${job.jobId} (resume with --resume ${job.jobId})`);
     }
+    this.currentJob = job;
     
-    if (filteredStudents.length === 0) {
-      console.log("All students have already been processed");
+    const totalCount = job.getSummary().pending;
+    if (totalCount === 0) {
+      console.log(`Job ${job.jobId} has no pending students`);
       return [];
     }
     
-    if (this.debug) console.log(`Starting batch processing for ${filteredStudents.length} students with concurrency ${concurrency}`);
+    if (this.debug) console.log(`Starting batch processing for ${totalCount} students with concurrency ${concurrency}`);
     
     // Initialize the Tesseract worker pool before starting parallel processing
-    await this.captchaSolver.initWorkerPool(2);
+    await this.captchaSolver.initWorkerPool();
     
-    // Create a concurrency limit
-    const limit = pLimit(concurrency);
     const results = [];
     let completedCount = 0;
-    const totalCount = filteredStudents.length;
     
-    // Initialize retries tracking
-    const retries = {};
+    // Report a finished student
+    const report = (result) => {
+      completedCount++;
+      results.push(result);
+      
+      if (this.debug) {
+        // Roll numbers that don't exist aren't failures
+        const found = results.filter(r => r.outcome !== OUTCOMES.ROLL_NOT_FOUND).length;
+        const successRate = found > 0 ? Math.round((results.filter(r => r.success).length / found) * 100) : 100;
+        if (result.success) {
+          console.log(`✅ Success: ${result.rollNumber} (${completedCount}/${totalCount}, success rate: ${successRate}%)`);
+        } else if (result.outcome === OUTCOMES.ROLL_NOT_FOUND) {
+          console.log(`➖ Not found: ${result.rollNumber} (${completedCount}/${totalCount}, success rate: ${successRate}%)`);
+        } else {
+          console.log(`❌ Failed (${result.outcome}): ${result.rollNumber} (${completedCount}/${totalCount}, success rate: ${successRate}%)`);
+        }
+      }
+      
+      // Call progress callback if provided
+      if (typeof progressCallback === 'function') {
+        progressCallback(result);
+      }
+    };
     
-    try {
-      // Create an array of promises for each student
-      const promises = filteredStudents.map((student, index) => {
-        return limit(async () => {
-          if (this.debug) console.log(`Processing student ${index + 1}/${totalCount}: ${student.rollNumber}`);
+    // Each worker keeps taking pending students from the job until none are left,
+    // so students put back for a retry are picked up by the same run.
+    // While the portal is down every worker waits before taking the next student.
+    const worker = async () => {
+      while (true) {
+        await this.siteHealth.waitUntilUp();
+        const item = job.next();
+        if (!item) break;
+        
+        const { key, student, attempts } = item;
+        if (this.debug) console.log(`Processing student ${student.rollNumber} (attempt ${attempts}/${this.maxRetries})`);
+        
+        try {
+          const result = await this.getResult(student.rollNumber, student.semester, {
+            program: student.program,
+            scheme: student.scheme,
+            forceRefresh: student.forceReprocess === true ? true : undefined
+          });
           
-          // Initialize retry counter if not exists
-          if (!retries[student.rollNumber]) {
-            retries[student.rollNumber] = 0;
+          // The portal went down during this lookup, try the student again once it is back
+          if (result.outcome === OUTCOMES.MAINTENANCE || (result.retryable && !this.siteHealth.isUp())) {
+            job.requeue(key, result.error || 'Portal is down');
+            if (this.debug) console.log(`Portal is down, putting ${student.rollNumber} back in the queue`);
+            continue;
           }
           
-          try {
-            const result = await this.getResult(student.rollNumber, student.semester);
-            completedCount++;
-            
-            if (this.debug) {
-              const successRate = Math.round((results.filter(r => r.success).length / completedCount) * 100);
-              if (result.success) {
-                console.log(`✅ Success: ${student.rollNumber} (${completedCount}/${totalCount}, success rate: ${successRate}%)`);
-              } else {
-                console.log(`❌ Failed: ${student.rollNumber} (${completedCount}/${totalCount}, success rate: ${successRate}%)`);
-              }
-            }
-            
-            results.push(result);
-            
-            // Call progress callback if provided
-            if (typeof progressCallback === 'function') {
-              progressCallback(result);
-            }
-            
-            // Save progress periodically
-            if (completedCount % 5 === 0 || completedCount === totalCount) {
-              // this.saveBatchResults(results, `progress_batch_${new Date().toISOString().replace(/:/g, '-')}`);
-            }
-            
-            return result;
-          } catch (error) {
-            console.error(`Error processing student ${student.rollNumber}:`, error);
-            completedCount++;
-            
-            // Increment retry counter but limit to maxRetries
-            retries[student.rollNumber]++;
-            
-            // Check if we should retry
-            if (retries[student.rollNumber] < this.maxRetries) {
-              console.log(`Retrying ${student.rollNumber} (attempt ${retries[student.rollNumber] + 1}/${this.maxRetries})`);
-              filteredStudents.push(student); // Add back to the queue for retry
-            } else {
-              // Max retries reached, add to results with failure
-              const failedResult = {
-                success: false,
-                rollNumber: student.rollNumber,
-                semester: student.semester,
-                error: error.message || String(error)
-              };
-              results.push(failedResult);
-              
-              // Call progress callback if provided
-              if (typeof progressCallback === 'function') {
-                progressCallback(failedResult);
-              }
+          if (result.success) {
+            job.markDone(key);
+          } else if (result.outcome === OUTCOMES.ROLL_NOT_FOUND) {
+            job.markNotFound(key, result.error);
+          } else {
+            // Captcha, session and network failures may go through later. getResult already
+            // spent maxRetries attempts, so the student only gets one more round at the end of the queue
+            const error = `${result.error || 'Unknown error'} (${result.outcome})`;
+            if (job.markFailed(key, error, result.retryable ? 2 : 1, result.retryable)) {
+              if (this.debug) console.log(`Retrying ${student.rollNumber} once more later: ${error}`);
+              continue;
             }
           }
-        });
-      });
-      
-      // Execute all promises
-      await Promise.all(promises);
+          
+          report(student.label ? { ...result, label: student.label } : result);
+        } catch (error) {
+          console.error(`Error processing student ${student.rollNumber}:`, error);
+          const errorMsg = error.message || String(error);
+          
+          // Put the student back in the queue until maxRetries is reached
+          if (job.markFailed(key, errorMsg, this.maxRetries)) {
+            console.log(`Retrying ${student.rollNumber} (attempt ${attempts + 1}/${this.maxRetries})`);
+            continue;
+          }
+          
+          // Max retries reached, add to results with failure
+          report({
+            success: false,
+            outcome: OUTCOMES.NETWORK_ERROR,
+            retryable: true,
+            rollNumber: student.rollNumber,
+            semester: student.semester,
+            program: student.program || this.program,
+            label: student.label,
+            error: errorMsg
+          });
+        }
+      }
+    };
+    
+    try {
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, () => worker()));
       
+      if (this.debug) {
+        console.log(`Job ${job.jobId} finished: ${JSON.stringify(job.getSummary())}`);
+        console.log(`Session pool: ${this.sessionPool.stats.reused} lookups reused a session, ${this.sessionPool.size()} sessions idle`);
+        if (this.siteHealth.outages.length > 0) {
+          console.log(`Portal outages during the job: ${this.siteHealth.outages.map(o => `${o.state} ${o.start} → ${o.end}`).join(', ')}`);
+        }
+        const captchaStats = this.captchaSolver.getStats();
+        console.log(`Captchas: ${captchaStats.successRate} accepted by the portal, ${captchaStats.attemptsPerSuccess} submissions and ${captchaStats.imagesPerSuccess} images per success, confidence threshold ${captchaStats.confidenceThreshold ?? 'not learned yet'}`);
+        const limiter = this.httpClient.rateLimiter;
+        console.log(`Rate limiter: ${limiter.stats.requests} requests, ${limiter.stats.errors} errors, ${limiter.stats.throttled} pauses, in-flight limit ${limiter.limit}/${limiter.maxInFlight}`);
+      }
       return results;
     } catch (error) {
       console.error('Error in batch processing:', error);
@@ -0,0 +1,189 @@
+/**
+ * Global throttle for portal traffic.
+ *
+ * Combines a token bucket (requests per second) with a cap on requests in
+ * flight. The cap adapts: it is halved when the recent error rate or
+ * latency climbs and grows back by one after a run of healthy responses.
+ * When the portal pushes back (429/503) every caller is paused for a
+ * backoff period, not just the request that got the error.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.rps - Requests per second, 0 for no limit (default: 5)
+   * @param {number} options.burst - Tokens that can build up while idle (default: rps, at least 1)
+   * @param {number} options.maxInFlight - Upper bound for concurrent requests (default: 8)
+   * @param {boolean} options.adaptive - Adjust the in-flight limit to error rate and latency (default: true)
+   * @param {number} options.errorRateThreshold - Error rate that halves the in-flight limit (default: 0.2)
+   * @param {number} options.latencyThreshold - Average latency in milliseconds that halves the in-flight limit (default: 5000)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.rps = options.rps !== undefined ? options.rps : 5;
+    this.burst = options.burst || Math.max(1, this.rps);
+    this.maxInFlight = options.maxInFlight || 8;
+    this.adaptive = options.adaptive !== false;
+    this.errorRateThreshold = options.errorRateThreshold || 0.2;
+    this.latencyThreshold = options.latencyThreshold || 5000;
+    this.debug = options.debug || false;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.limit = this.maxInFlight;
+    this.inFlight = 0;
+    this.queue = [];
+    this.timer = null;
+    this.pausedUntil = 0;
+
+    // Recent outcomes used to adapt the in-flight limit
+    this.window = [];
+    this.windowSize = 20;
+    this.healthyStreak = 0;
+    this.lastDecrease = 0;
+
+    this.stats = { requests: 0, errors: 0, throttled: 0, decreases: 0 };
+  }
+
+  /**
+   * Wait for a slot
+   * @returns {Promise<Function>} - Call the returned function with `{ ok, latency }` when the request is done
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Run a function inside a slot
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} - What the function returned
+   */
+  async schedule(fn) {
+    const release = await this.acquire();
+    const started = Date.now();
+    try {
+      const result = await fn();
+      release({ ok: true, latency: Date.now() - started });
+      return result;
+    } catch (error) {
+      release({ ok: false, latency: Date.now() - started });
+      throw error;
+    }
+  }
+
+  /**
+   * Pause every caller, e.g. after the portal answered 429 or 503
+   * @param {number} delay - Pause in milliseconds
+   */
+  pause(delay) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+    this.stats.throttled++;
+    if (this.debug) console.log(`Rate limiter: pausing all requests for ${delay}ms`);
+  }
+
+  /**
+   * Hand out slots to queued callers while tokens and in-flight capacity allow
+   */
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      if (this.pausedUntil > now) {
+        this.wake(this.pausedUntil - now);
+        return;
+      }
+      if (this.inFlight >= this.limit) {
+        // A release will drain again
+        return;
+      }
+
+      if (this.rps > 0) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.rps / 1000);
+        this.lastRefill = now;
+        if (this.tokens < 1) {
+          this.wake(Math.ceil((1 - this.tokens) * 1000 / this.rps));
+          return;
+        }
+        this.tokens -= 1;
+      }
+
+      this.inFlight++;
+      this.stats.requests++;
+      const resolve = this.queue.shift();
+      let released = false;
+      resolve((outcome = { ok: true, latency: 0 }) => {
+        if (released) return;
+        released = true;
+        this.inFlight--;
+        this.record(outcome);
+        this.drain();
+      });
+    }
+  }
+
+  /**
+   * Drain again after a delay
+   * @param {number} delay - Delay in milliseconds
+   */
+  wake(delay) {
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, delay);
+  }
+
+  /**
+   * Record a finished request and adapt the in-flight limit
+   * @param {Object} outcome - `{ ok, latency }`
+   */
+  record(outcome) {
+    if (!outcome.ok) this.stats.errors++;
+    if (!this.adaptive) return;
+
+    this.window.push(outcome);
+    if (this.window.length > this.windowSize) {
+      this.window.shift();
+    }
+
+    const errorRate = this.window.filter(o => !o.ok).length / this.window.length;
+    const averageLatency = this.window.reduce((total, o) => total + o.latency, 0) / this.window.length;
+    const unhealthy = this.window.length >= 5 && (errorRate > this.errorRateThreshold || averageLatency > this.latencyThreshold);
+
+    // Multiplicative decrease, at most once per second so one burst of errors doesn't collapse the limit
+    if (unhealthy && Date.now() - this.lastDecrease > 1000) {
+      this.limit = Math.max(1, Math.floor(this.limit / 2));
+      this.lastDecrease = Date.now();
+      this.healthyStreak = 0;
+      this.window = [];
+      this.stats.decreases++;
+      if (this.debug) {
+        console.log(`Rate limiter: error rate ${Math.round(errorRate * 100)}%, latency ${Math.round(averageLatency)}ms, lowering in-flight limit to ${this.limit}`);
+      }
+      return;
+    }
+
+    // Additive increase after a run of healthy responses
+    if (outcome.ok && !unhealthy && ++this.healthyStreak >= this.limit && this.limit < this.maxInFlight) {
+      this.limit++;
+      this.healthyStreak = 0;
+      if (this.debug) console.log(`Rate limiter: raising in-flight limit to ${this.limit}`);
+    }
+  }
+
+  /**
+   * Compute an exponential backoff delay with jitter (between half and all of the exponential delay)
+   * @param {number} attempt - Retry number, starting at 1
+   * @param {number} base - Delay of the first retry in milliseconds (default: 500)
+   * @param {number} max - Upper bound in milliseconds (default: 30000)
+   * @returns {number} - The delay in milliseconds
+   */
+  static backoff(attempt, base = 500, max = 30000) {
+    const ceiling = Math.min(max, base * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+}
+
+export default RateLimiter;
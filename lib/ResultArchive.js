@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { parseResultPage } from './resultParser.js';
+import { validateResult } from './resultSchema.js';
+
+/**
+ * Raw result pages as the portal served them, kept so results can be
+ * parsed again with a fixed parser instead of scraped again.
+ *
+ * Layout:
+ * - `<roll>/sem<N>_<timestamp>.html.gz` for grading results and
+ *   `<roll>/sem<N>.<scheme>_<timestamp>.html.gz` for other schemes, gzipped
+ * - `index.jsonl`: one line per page with the roll number, semester,
+ *   scheme, program, outcome and fetch time
+ */
+class ResultArchive {
+  /**
+   * @param {Object} options - Archive options
+   * @param {string} options.dir - Archive directory (default: ./archive)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'archive');
+    this.indexFile = path.join(this.dir, 'index.jsonl');
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * Store a result page
+   * @param {string} rollNumber - The student's roll number
+   * @param {string} semester - The semester number
+   * @param {string} html - The page as served
+   * @param {Object} meta - `{ scheme, program, outcome }` of the lookup
+   * @returns {string|null} - Path of the page relative to the archive, null if it couldn't be saved
+   */
+  save(rollNumber, semester, html, meta = {}) {
+    const scheme = meta.scheme || 'grading';
+    const fetchedAt = new Date().toISOString();
+    const suffix = scheme === 'grading' ? '' : `.${scheme}`;
+    const file = path.join(rollNumber, `sem${semester}${suffix}_${fetchedAt.replace(/[:.]/g, '-')}.html.gz`);
+
+    try {
+      const dir = path.join(this.dir, rollNumber);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(path.join(this.dir, file), zlib.gzipSync(html));
+      fs.appendFileSync(this.indexFile, JSON.stringify({
+        file,
+        rollNumber,
+        semester: String(semester),
+        scheme,
+        program: meta.program,
+        outcome: meta.outcome,
+        fetchedAt
+      }) + '\n');
+    } catch (error) {
+      console.error(`Error archiving result page of ${rollNumber}:`, error.message);
+      return null;
+    }
+
+    if (this.debug) console.log(`Result page archived to ${path.join(this.dir, file)}`);
+    return file;
+  }
+
+  /**
+   * Read the archive index
+   * @returns {Array<Object>} - Index entries, each with the absolute `path` of its page
+   */
+  entries() {
+    if (!fs.existsSync(this.indexFile)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.indexFile, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        entries.push({ ...entry, path: path.join(this.dir, entry.file) });
+      } catch (error) {
+        if (this.debug) console.log(`Skipping malformed archive line: ${line.slice(0, 80)}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Get the newest page of every roll number, semester and scheme
+   * @returns {Array<Object>} - Index entries, oldest first
+   */
+  latest() {
+    const latest = new Map();
+    for (const entry of this.entries()) {
+      const key = `${entry.rollNumber}:${entry.semester}:${entry.scheme}`;
+      const current = latest.get(key);
+      if (!current || entry.fetchedAt >= current.fetchedAt) {
+        latest.set(key, entry);
+      }
+    }
+    return [...latest.values()].sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt));
+  }
+
+  /**
+   * Read an archived page
+   * @param {Object} entry - Index entry
+   * @returns {string} - The page HTML
+   */
+  read(entry) {
+    return zlib.gunzipSync(fs.readFileSync(entry.path)).toString('utf8');
+  }
+
+  /**
+   * Parse the newest page of every result again with the current parser and
+   * rewrite the cached results, without contacting the portal
+   * @param {ResultCache} cache - Cache the results are written to
+   * @param {Object} options - Reparse options
+   * @param {Function} options.onProgress - Called with `(done, total)` after every page
+   * @returns {Object} - `{ total, saved, withheld, failed, failures }`; failures list the file and its errors
+   */
+  reparse(cache, options = {}) {
+    const pages = this.latest();
+    const report = { total: pages.length, saved: 0, withheld: 0, failed: 0, failures: [] };
+
+    pages.forEach((entry, index) => {
+      try {
+        const data = parseResultPage(this.read(entry));
+        const errors = validateResult(data);
+        if (errors.length > 0) {
+          report.failed++;
+          report.failures.push({ file: entry.file, errors });
+        } else if (data.results.withheld) {
+          // Withheld results aren't cached by lookups either
+          report.withheld++;
+        } else {
+          cache.set(entry.rollNumber, entry.semester, data, { program: entry.program }, { fetchedAt: entry.fetchedAt });
+          report.saved++;
+        }
+      } catch (error) {
+        report.failed++;
+        report.failures.push({ file: entry.file, errors: [error.message] });
+      }
+
+      if (typeof options.onProgress === 'function') {
+        options.onProgress(index + 1, pages.length);
+      }
+    });
+
+    return report;
+  }
+}
+
+export default ResultArchive;
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * On-disk cache of parsed results, keyed by roll number, semester,
+ * scheme and exam session.
+ *
+ * Layout: `results/<roll>/sem<N>.json` for grading results and
+ * `results/<roll>/sem<N>.<scheme>.json` for other schemes hold the latest
+ * session. When a newer session (a revaluation or supplementary exam)
+ * arrives, the previous one moves to `sem<N>[.<scheme>]@<session>.json`.
+ * Each file is an envelope `{ key, fetchedAt, data }` where `key` records
+ * what was requested and the exam session the portal returned.
+ */
+class ResultCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.dir - Results directory (default: ./results)
+   * @param {number} options.ttl - Maximum age of a cached result in milliseconds (default: never expires)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'results');
+    this.ttl = options.ttl || 0;
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * Get the file path for a cache entry
+   * @param {string} rollNumber - The student's roll number
+   * @param {string} semester - The semester number
+   * @param {string} scheme - The result scheme
+   * @param {string} session - Exam session of an earlier result (default: the latest session)
+   * @returns {string} - Path of the cache file
+   */
+  pathFor(rollNumber, semester, scheme = 'grading', session = null) {
+    const suffix = scheme === 'grading' ? '' : `.${scheme}`;
+    const sessionSuffix = session ? `@${session.replace(/[^\w-]/g, '_')}` : '';
+    return path.join(this.dir, rollNumber, `sem${semester}${suffix}${sessionSuffix}.json`);
+  }
+
+  /**
+   * Read a cache file
+   * @param {string} filePath - Path of the cache file
+   * @returns {Object|null} - The cache envelope or null if it is missing or unreadable
+   */
+  readEntry(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Error reading cached result ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read a cache entry
+   * @param {string} rollNumber - The student's roll number
+   * @param {string} semester - The semester number
+   * @param {Object} options - Lookup options
+   * @param {string} options.scheme - 'grading', 'marks' or 'auto' (either scheme)
+   * @param {string} options.session - Only match results of this exam session
+   * @param {number} options.ttl - Override the cache TTL for this lookup
+   * @returns {Object|null} - The cache envelope or null on a miss
+   */
+  getEntry(rollNumber, semester, options = {}) {
+    const schemes = !options.scheme || options.scheme === 'auto' ? ['grading', 'marks'] : [options.scheme];
+    const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+
+    for (const scheme of schemes) {
+      let filePath = this.pathFor(rollNumber, semester, scheme);
+      let entry = this.readEntry(filePath);
+
+      // An earlier session is kept next to the latest one
+      if (entry && options.session && entry.key.session && entry.key.session !== options.session) {
+        const sessionPath = this.pathFor(rollNumber, semester, scheme, options.session);
+        const sessionEntry = this.readEntry(sessionPath);
+        if (sessionEntry) {
+          filePath = sessionPath;
+          entry = sessionEntry;
+        }
+      }
+      if (!entry) continue;
+
+      if (ttl && Date.now() - new Date(entry.fetchedAt).getTime() > ttl) {
+        if (this.debug) console.log(`Cached result ${filePath} has expired`);
+        continue;
+      }
+      if (options.session && entry.key.session !== options.session) {
+        if (this.debug) console.log(`Cached result ${filePath} is for session ${entry.key.session}, not ${options.session}`);
+        continue;
+      }
+
+      return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a cached result
+   * @param {string} rollNumber - The student's roll number
+   * @param {string} semester - The semester number
+   * @param {Object} options - Lookup options (see getEntry)
+   * @returns {Object|null} - The result data or null on a miss
+   */
+  get(rollNumber, semester, options = {}) {
+    const entry = this.getEntry(rollNumber, semester, options);
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Check whether a result is cached
+   * @param {string} rollNumber - The student's roll number
+   * @param {string} semester - The semester number
+   * @param {Object} options - Lookup options (see getEntry)
+   * @returns {boolean} - Whether a matching entry exists
+   */
+  has(rollNumber, semester, options = {}) {
+    return this.getEntry(rollNumber, semester, options) !== null;
+  }
+
+  /**
+   * Store a result. The latest session of a result stays at the plain path;
+   * a different session that is older is stored under its session name.
+   * @param {string} rollNumber - The student's roll number
+   * @param {string} semester - The semester number
+   * @param {Object} data - The extracted result data
+   * @param {Object} key - Extra key fields (program)
+   * @param {Object} options - Write options
+   * @param {string} options.fetchedAt - When the result was fetched, for results parsed again from the archive (default: now)
+   * @returns {string} - Path of the written file
+   */
+  set(rollNumber, semester, data, key = {}, options = {}) {
+    const scheme = data.scheme || 'grading';
+    const latestPath = this.pathFor(rollNumber, semester, scheme);
+    const dir = path.dirname(latestPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const fetchedAt = options.fetchedAt || new Date().toISOString();
+    const session = data.session || '';
+    let filePath = latestPath;
+
+    const current = this.readEntry(latestPath);
+    if (current && current.key.session && session && current.key.session !== session) {
+      if (current.fetchedAt > fetchedAt) {
+        // An older session arriving late, e.g. from --reparse
+        filePath = this.pathFor(rollNumber, semester, scheme, session);
+      } else {
+        const previousPath = this.pathFor(rollNumber, semester, scheme, current.key.session);
+        fs.renameSync(latestPath, previousPath);
+        if (this.debug) console.log(`Kept session ${current.key.session} in ${previousPath}`);
+      }
+    }
+
+    const entry = {
+      key: {
+        rollNumber,
+        semester: String(semester),
+        scheme,
+        session,
+        ...key
+      },
+      fetchedAt,
+      data
+    };
+
+    fs.writeFileSync(filePath, JSON.stringify(entry, null, 2));
+    if (this.debug) console.log(`Result data saved to ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * List every cached entry, the latest session of each result only
+   * @param {Object} filter - Optional filter
+   * @param {string} filter.semester - Only entries for this semester
+   * @returns {Array<Object>} - Cache envelopes
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.dir)) return [];
+
+    const entries = [];
+    for (const rollNumber of fs.readdirSync(this.dir)) {
+      const rollDir = path.join(this.dir, rollNumber);
+      if (!fs.statSync(rollDir).isDirectory()) continue;
+
+      for (const file of fs.readdirSync(rollDir)) {
+        if (!/^sem\d+(\.\w+)?\.json$/.test(file)) continue;
+
+        try {
+          const entry = JSON.parse(fs.readFileSync(path.join(rollDir, file), 'utf8'));
+          if (!filter.semester || entry.key.semester === String(filter.semester)) {
+            entries.push(entry);
+          }
+        } catch (error) {
+          console.error(`Error reading cached result ${file}:`, error.message);
+        }
+      }
+    }
+    return entries;
+  }
+}
+
+export default ResultCache;
@@ -1,14 +1,36 @@
-import fetch from 'node-fetch';
-import * as cheerio from 'cheerio';
 import fs from 'fs';
 import path from 'path';
+import { getProgram, SCHEMES } from './programs.js';
+import { parseResultForm } from './FormFetcher.js';
+import HttpClient from './HttpClient.js';
+import { isMaintenancePage } from './SiteHealth.js';
+import { parseResultPage } from './resultParser.js';
+import { validateResult, RESULT_SCHEMA_VERSION } from './resultSchema.js';
+import { OUTCOMES, isRetryable } from './outcomes.js';
+
+/**
+ * Build a submission result
+ * @param {string} outcome - One of OUTCOMES
+ * @param {Object} fields - Extra fields such as error, data and nextForm
+ * @returns {Object} - `{ success, outcome, retryable, ...fields }`
+ */
+function submission(outcome, fields = {}) {
+  return { success: outcome === OUTCOMES.OK, outcome, retryable: isRetryable(outcome), ...fields };
+}
 
 /**
  * Class responsible for submitting forms with solved CAPTCHAs and processing the results
  */
 class ResultSubmitter {
-  constructor(debug = false) {
+  /**
+   * @param {boolean} debug - Enable debug mode
+   * @param {Object} options - Submitter options
+   * @param {HttpClient} options.httpClient - Shared HTTP client (default: a new client for options.baseUrl)
+   * @param {string} options.baseUrl - Result portal root (default: https://result.rgpv.ac.in/Result/)
+   */
+  constructor(debug = false, options = {}) {
     this.debug = debug;
+    this.http = options.httpClient || new HttpClient({ baseUrl: options.baseUrl });
   }
 
   /**
@@ -16,19 +38,31 @@ class ResultSubmitter {
    * @param {string} rollNumber - Student's roll number
    * @param {string} semester - Semester number
    * @param {Object} captchaData - Solved CAPTCHA data
-   * @returns {Promise<Object|boolean>} - The result data or false if failed
+   * @param {string} scheme - Result scheme to request: 'grading' or 'marks'
+   * @returns {Promise<Object>} - `{ success, outcome, retryable, error, data, nextForm, html }` with one of OUTCOMES;
+   *   `html` is the page for result pages and responses that could not be understood, for archiving
    */
-  async submitFormWithCaptcha(rollNumber, semester, captchaData) {
+  async submitFormWithCaptcha(rollNumber, semester, captchaData, scheme = 'grading') {
+    // A bad scheme is a caller's mistake, not something the portal said about the student
+    if (!SCHEMES[scheme]) {
+      throw new Error(`Unknown result scheme: ${scheme}`);
+    }
+    
     try {
-      if (this.debug) console.log(`Submitting form for roll number: ${rollNumber}, semester: ${semester}`);
+      if (this.debug) console.log(`Submitting form for roll number: ${rollNumber}, semester: ${semester}, scheme: ${scheme}`);
       
       if (!captchaData) {
         console.error('No CAPTCHA data provided');
-        return { success: false, error: 'No CAPTCHA data provided' };
+        return submission(OUTCOMES.INVALID_CAPTCHA, { error: 'No CAPTCHA data provided' });
       }
       
       if (this.debug) console.log(`Using CAPTCHA solution: ${captchaData.captchaText}`);
       
+      // The form was fetched for a specific program, submit it to the same result page
+      const program = getProgram(captchaData.jsonData.program);
+      const { fields } = program;
+      const resultUrl = this.http.url(program.resultPage);
+      
       // Create the request body with the solved CAPTCHA
       const requestBody = {
         "__EVENTTARGET": "",
@@ -36,63 +70,59 @@ class ResultSubmitter {
         "__VIEWSTATE": captchaData.jsonData.inputs.__VIEWSTATE,
         "__VIEWSTATEGENERATOR": captchaData.jsonData.inputs.__VIEWSTATEGENERATOR, 
         "__EVENTVALIDATION": captchaData.jsonData.inputs.__EVENTVALIDATION,
-        "ctl00$ContentPlaceHolder1$txtrollno": rollNumber,
-        "ctl00$ContentPlaceHolder1$drpSemester": semester,
-        "ctl00$ContentPlaceHolder1$rbtnlstSType": "G", // G for Grading
-        "ctl00$ContentPlaceHolder1$TextBox1": captchaData.captchaText,
-        "ctl00$ContentPlaceHolder1$btnviewresult": "View Result"
+        [fields.rollNumber]: rollNumber,
+        [fields.semester]: semester,
+        [fields.schemeType]: SCHEMES[scheme],
+        [fields.captcha]: captchaData.captchaText,
+        [fields.submit]: "View Result"
       };
       
-      // Convert to URL-encoded format
-      const formBody = Object.entries(requestBody)
-        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
-        .join('&');
-      
       if (this.debug) console.log('Sending request with solved CAPTCHA...');
       
-      // Send the request
-      const response = await fetch("https://result.rgpv.ac.in/Result/BErslt.aspx", {
-        "headers": {
-          "accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
-          "accept-language": "en-US,en;q=0.9",
-          "cache-control": "no-cache",
-          "content-type": "application/x-www-form-urlencoded",
-          "pragma": "no-cache",
-          "sec-ch-ua": "\"Brave\";v=\"135\", \"Not-A.Brand\";v=\"8\", \"Chromium\";v=\"135\"",
-          "sec-ch-ua-mobile": "?0",
-          "sec-ch-ua-platform": "\"Windows\"",
-          "sec-fetch-dest": "document",
-          "sec-fetch-mode": "navigate",
-          "sec-fetch-site": "same-origin",
-          "sec-fetch-user": "?1",
-          "upgrade-insecure-requests": "1",
-          "cookie": `ASP.NET_SessionId=${captchaData.jsonData.sessionId}`,
-          "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36"
-        },
-        "referrer": "https://result.rgpv.ac.in/Result/BErslt.aspx",
-        "referrerPolicy": "strict-origin-when-cross-origin",
-        "body": formBody,
-        "method": "POST"
+      // Send the request with the cookies of the session the form came from
+      const session = captchaData.jsonData.session;
+      const response = await this.http.request(resultUrl, {
+        method: 'POST',
+        referer: resultUrl,
+        jar: session,
+        redirect: 'manual',
+        body: new URLSearchParams(requestBody)
       });
       
+      // An expired session (or a VIEWSTATE it no longer accepts) sends us back to program selection
+      const location = response.headers.get('location') || '';
+      if (response.status >= 300 && response.status < 400 && location.includes('ProgramSelect')) {
+        if (this.debug) console.log(`Session ${session.getSessionId()} has expired`);
+        session.clear();
+        return submission(OUTCOMES.SESSION_EXPIRED, { error: "Session expired" });
+      }
+      
+      // Overload responses aren't retried for posts, the next attempt starts with a fresh form
+      if (response.status === 429 || response.status >= 500) {
+        return submission(OUTCOMES.NETWORK_ERROR, { error: `Portal answered ${response.status}` });
+      }
+      
       // Get and save the response
-      const html = await response.text();
+      const html = response.body;
       
       if (this.debug) {
         const debugDir = path.join(process.cwd(), 'db');
         if (!fs.existsSync(debugDir)) {
           fs.mkdirSync(debugDir, { recursive: true });
         }
-        fs.writeFileSync(path.join(debugDir, 'result.html'), html);
-        console.log('Result saved to db/result.html');
+        // One file per lookup, so concurrent lookups don't overwrite each other's pages
+        const debugName = `${rollNumber}_sem${semester}`;
+        fs.writeFileSync(path.join(debugDir, `result_${debugName}.html`), html);
+        console.log(`Result saved to db/result_${debugName}.html`);
         
         // Save debug information
         const debugInfo = {
           timestamp: new Date().toISOString(),
-          sessionId: captchaData.jsonData.sessionId,
+          sessionId: session.getSessionId(),
           captcha: captchaData.captchaText,
           rollNumber,
           semester,
+          scheme,
           responseSize: html.length,
           containsInvalidCaptcha: html.includes("Invalid Captcha Code"),
           containsNoRollNumber: html.includes("Roll No does not exist"),
@@ -100,47 +130,40 @@ class ResultSubmitter {
           headers: response.headers.raw()
         };
         
-        fs.writeFileSync(path.join(debugDir, 'debug_info.json'), JSON.stringify(debugInfo, null, 2));
-        console.log('Debug info saved to db/debug_info.json');
+        fs.writeFileSync(path.join(debugDir, `debug_info_${debugName}.json`), JSON.stringify(debugInfo, null, 2));
+        console.log(`Debug info saved to db/debug_info_${debugName}.json`);
       }
       
+      // The postback page carries a fresh VIEWSTATE and captcha for the same session,
+      // so the next submission can skip the ProgramSelect handshake
+      const nextForm = parseResultForm(html, session, program.key);
+      
       // Check if response contains error message or success indicators
       if (html.includes("Invalid Captcha Code")) {
-        return { success: false, error: "Invalid CAPTCHA code entered" };
+        return submission(OUTCOMES.INVALID_CAPTCHA, { error: "Invalid CAPTCHA code entered", nextForm });
       } else if (html.includes("Roll No does not exist")) {
-        return { success: false, error: "Roll number does not exist" };
-      } else if (html.includes("Site Under Construction") || html.includes("under maintenance")) {
-        return { success: false, error: "Site is under maintenance" };
-      } else if (html.includes("Result") && html.includes("Grade")) {
-        // Success! Process and save the result data as JSON
-        if (this.debug) console.log("Success! Found result data for student");
+        return submission(OUTCOMES.ROLL_NOT_FOUND, { error: "Roll number does not exist", nextForm });
+      } else if (/alert\(['"][^'"]*not\s+(yet\s+)?declared/i.test(html)) {
+        return submission(OUTCOMES.RESULT_NOT_DECLARED, { error: "Result not declared yet", nextForm });
+      } else if (/alert\(['"][^'"]*with\s*-?held/i.test(html)) {
+        return submission(OUTCOMES.RESULT_WITHHELD, { error: "Result withheld", nextForm });
+      } else if (isMaintenancePage(html)) {
+        return submission(OUTCOMES.MAINTENANCE, { error: "Site is under maintenance" });
+      } else if (html.includes("Result") && (html.includes("Grade") || html.includes("Marks"))) {
+        if (this.debug) console.log("Found a result page for the student");
         
-        // Extract and save the result data
+        // Extract the result data, caching it is up to the caller
         const resultData = this.extractResultData(html);
         
-        if (resultData) {
-          // Ensure results directory exists
-          const resultsDir = path.join(process.cwd(), 'results');
-          if (!fs.existsSync(resultsDir)) {
-            fs.mkdirSync(resultsDir, { recursive: true });
-          }
-          
-          // Save JSON file
-          const jsonPath = path.join(resultsDir, `${rollNumber}.json`);
-          fs.writeFileSync(jsonPath, JSON.stringify(resultData, null, 2));
-          if (this.debug) console.log(`Result data saved to ${jsonPath}`);
-          
-          return {
-            success: true,
-            data: resultData
-          };
+        if (!resultData) {
+          return submission(OUTCOMES.PARSE_ERROR, { error: "Result found but could not extract data", nextForm, html });
+        }
+        if (resultData.results.withheld) {
+          return submission(OUTCOMES.RESULT_WITHHELD, { error: "Result withheld", data: resultData, nextForm, html });
         }
         
-        return {
-          success: true,
-          data: null,
-          message: "Result found but could not extract data"
-        };
+        if (this.debug) console.log("Success! Extracted the result data");
+        return submission(OUTCOMES.OK, { data: resultData, nextForm, html });
       } else {
         if (this.debug) {
           console.log("Response received, but cannot determine success/failure");
@@ -148,81 +171,29 @@ class ResultSubmitter {
           console.log("HTML contains 'Name': " + html.includes("Name"));
           console.log("HTML contains 'Error': " + html.includes("Error"));
         }
-        return { 
-          success: false, 
-          error: "Unexpected response from server" 
-        };
+        return submission(OUTCOMES.PARSE_ERROR, { error: "Unexpected response from server", nextForm, html });
       }
       
     } catch (error) {
       console.error('Error in submitting form:', error);
-      return { 
-        success: false, 
-        error: error.message || String(error)
-      };
+      return submission(OUTCOMES.NETWORK_ERROR, { error: error.message || String(error) });
     }
   }
 
   /**
-   * Extract data from result HTML and save as JSON
+   * Extract data from result HTML and validate it against the result schema
    * @param {string} html - HTML response from the server
-   * @returns {Object|null} - Extracted data or null if failed
+   * @returns {Object|null} - Extracted data or null if the page could not be parsed
    */
   extractResultData(html) {
     try {
-      const $ = cheerio.load(html);
-      
-      // Create result object
-      const result = {
-        university: $('.resultheader').text().trim(),
-        session: $('#ctl00_ContentPlaceHolder1_lblSession').text().trim(),
-        student: {
-          name: $('#ctl00_ContentPlaceHolder1_lblNameGrading').text().trim(),
-          roll_no: $('#ctl00_ContentPlaceHolder1_lblRollNoGrading').text().trim(),
-          course: $('#ctl00_ContentPlaceHolder1_lblProgramGrading').text().trim(),
-          branch: $('#ctl00_ContentPlaceHolder1_lblBranchGrading').text().trim(),
-          semester: $('#ctl00_ContentPlaceHolder1_lblSemesterGrading').text().trim(),
-          status: $('#ctl00_ContentPlaceHolder1_lblStatusGrading').text().trim(),
-        },
-        subjects: [],
-        results: {
-          description: $('#ctl00_ContentPlaceHolder1_lblResultNewGrading').text().trim(),
-          sgpa: $('#ctl00_ContentPlaceHolder1_lblSGPA').text().trim(),
-          cgpa: $('#ctl00_ContentPlaceHolder1_lblcgpa').text().trim(),
-        },
-        revaluationDates: {
-          normal: $('#ctl00_ContentPlaceHolder1_Label4NewGrading').text().trim(),
-          late: $('#ctl00_ContentPlaceHolder1_Label5NewGrading').text().trim()
-        }
-      };
-      
-      // Collecting marks details from subject tables
-      const marksTables = $('.gridtable');
-      marksTables.each((index, table) => {
-        // Skip first table and last three tables (as per original logic)
-        if (index > 0 && index < marksTables.length - 3) {
-          $(table).find('tr').each((rowIndex, row) => {
-            const cells = $(row).find('td');
-            if (cells.length > 0) { // Avoid headers
-              const subject = {
-                subject: $(cells[0]).text().trim(),
-                total_credit: $(cells[1]).text().trim(),
-                earned_credit: $(cells[2]).text().trim(),
-                grade: $(cells[3]).text().trim(),
-              };
-              
-              // Skip the student data rows that get mistakenly picked up as subjects
-              if (subject.subject !== 'Name' && 
-                  subject.subject !== 'Course' && 
-                  subject.subject !== 'Semester') {
-                result.subjects.push(subject);
-              }
-            }
-          });
-        }
-      });
-      
-      return result;
+      const data = parseResultPage(html);
+      const errors = validateResult(data);
+      if (errors.length > 0) {
+        console.error(`Result page does not match result schema v${RESULT_SCHEMA_VERSION}: ${errors.slice(0, 5).join('; ')}`);
+        return null;
+      }
+      return data;
     } catch (error) {
       console.error('Error extracting result data:', error);
       return null;
@@ -0,0 +1,118 @@
+import { OUTCOMES } from './outcomes.js';
+
+/**
+ * Polls a sentinel roll number until a semester's result is declared.
+ *
+ * Each poll is classified so a "not declared yet" page is never confused
+ * with captcha or network trouble, and a roll number the portal doesn't know
+ * is reported as a bad sentinel instead of being polled silently forever.
+ * The captcha solver is started for every poll with a single worker and shut
+ * down again afterwards.
+ */
+class ResultWatcher {
+  /**
+   * @param {RGPVScraper} scraper - Scraper used for the polls
+   * @param {Object} options - Watch options
+   * @param {string} options.sentinel - Roll number to poll
+   * @param {string} options.semester - Semester to wait for
+   * @param {string} options.program - Program key (default: the scraper's program)
+   * @param {number} options.interval - Time between polls in milliseconds (default: 5 minutes)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(scraper, options = {}) {
+    if (!options.sentinel || !options.semester) {
+      throw new Error('Watch mode needs a sentinel roll number and a semester');
+    }
+
+    this.scraper = scraper;
+    this.sentinel = options.sentinel;
+    this.semester = String(options.semester);
+    this.program = options.program;
+    this.interval = options.interval || 5 * 60 * 1000;
+    this.debug = options.debug || false;
+    this.polls = 0;
+    this.stopped = false;
+    this.timer = null;
+    this.wakeUp = null;
+  }
+
+  /**
+   * Poll the sentinel once
+   * @returns {Promise<Object>} - `{ status, result, error }` where status is 'declared', 'not-declared', 'not-found' or 'error'
+   */
+  async check() {
+    this.polls++;
+    const result = await this.scraper.getResult(this.sentinel, this.semester, {
+      program: this.program,
+      forceRefresh: true
+    });
+    const error = result.error || null;
+
+    let status = 'error';
+    if (result.success || result.outcome === OUTCOMES.RESULT_WITHHELD) {
+      // A withheld result has been declared, just not for this student
+      status = 'declared';
+    } else if (result.outcome === OUTCOMES.RESULT_NOT_DECLARED) {
+      status = 'not-declared';
+    } else if (result.outcome === OUTCOMES.ROLL_NOT_FOUND) {
+      status = 'not-found';
+    }
+
+    return { status, result, error };
+  }
+
+  /**
+   * Poll until the result is declared
+   * @param {Function} onPoll - Called with the outcome of every poll
+   * @returns {Promise<Object|null>} - The sentinel's result, or null if the watcher was stopped
+   */
+  async watch(onPoll = null) {
+    while (!this.stopped) {
+      // Don't count portal outages as polls
+      await this.scraper.siteHealth.waitUntilUp();
+      if (this.stopped) break;
+
+      // Polls are minutes apart, so OCR workers only live for the poll itself
+      let outcome;
+      await this.scraper.captchaSolver.initWorkerPool(1);
+      try {
+        outcome = await this.check();
+      } finally {
+        await this.scraper.captchaSolver.cleanup();
+      }
+      if (typeof onPoll === 'function') {
+        onPoll({ ...outcome, poll: this.polls, at: new Date().toISOString() });
+      }
+
+      if (outcome.status === 'declared') {
+        return outcome.result;
+      }
+
+      await this.sleep(this.interval);
+    }
+    return null;
+  }
+
+  /**
+   * Wait for the next poll, cut short by stop()
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      this.wakeUp = resolve;
+      this.timer = setTimeout(resolve, ms);
+    });
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.wakeUp) this.wakeUp();
+  }
+}
+
+export default ResultWatcher;
@@ -0,0 +1,217 @@
+import fs from 'fs';
+import path from 'path';
+import { OUTCOMES } from './outcomes.js';
+
+/**
+ * Finds the end of a class's roll number range by probing the portal.
+ *
+ * A serial counts as "inside" the range if it, or one of the next
+ * `gapTolerance - 1` serials, exists. That predicate is true up to the last
+ * student and false after it, so the upper bound is found with an
+ * exponential search followed by a binary search instead of scraping every
+ * serial up to 9999.
+ *
+ * Probes that fail for captcha or network reasons are tried again a few
+ * times. One that stays inconclusive keeps the search going past it, so no
+ * students are missed, but only serials the portal confirmed can end a range.
+ */
+class RollDiscovery {
+  /**
+   * @param {RGPVScraper} scraper - Scraper used for the probes
+   * @param {Object} options - Discovery options
+   * @param {number} options.gapTolerance - Consecutive not-found serials that end a range (default: 5)
+   * @param {number} options.probeRetries - Extra lookups for a probe that failed with a retryable outcome (default: 2)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(scraper, options = {}) {
+    this.scraper = scraper;
+    this.gapTolerance = options.gapTolerance || 5;
+    this.probeRetries = options.probeRetries !== undefined ? options.probeRetries : 2;
+    this.debug = options.debug || false;
+    this.probes = new Map();
+  }
+
+  /**
+   * Check whether a roll number exists
+   * @param {string} rollNumber - The roll number to probe
+   * @param {string} semester - The semester to probe
+   * @returns {Promise<boolean>} - Whether the roll number exists (true when the probe was inconclusive)
+   */
+  async probe(rollNumber, semester) {
+    if (this.probes.has(rollNumber)) {
+      return this.probes.get(rollNumber) !== 'not-found';
+    }
+
+    let status;
+    for (let attempt = 0; attempt <= this.probeRetries; attempt++) {
+      const result = await this.scraper.getResult(rollNumber, semester);
+      status = 'found';
+      if (result.outcome === OUTCOMES.ROLL_NOT_FOUND) {
+        status = 'not-found';
+      } else if (!result.success && result.outcome !== OUTCOMES.RESULT_WITHHELD) {
+        // Captcha or network trouble doesn't prove the roll number is missing, so keep searching past it
+        status = 'unknown';
+      }
+      if (status !== 'unknown' || !result.retryable) break;
+      if (this.debug && attempt < this.probeRetries) console.log(`Probe ${rollNumber} was inconclusive (${result.outcome}), trying again`);
+    }
+
+    this.probes.set(rollNumber, status);
+    if (this.debug) console.log(`Probe ${rollNumber}: ${status}`);
+    return status !== 'not-found';
+  }
+
+  /**
+   * Check whether any of the `gapTolerance` serials starting at `serial` exists
+   * @param {Object} series - Series being searched
+   * @param {number} serial - First serial of the window
+   * @returns {Promise<boolean>} - Whether the window contains a student
+   */
+  async windowHasStudent(series, serial) {
+    for (let i = 0; i < this.gapTolerance && serial + i <= series.maxSerial; i++) {
+      if (await this.probe(this.rollNumberFor(series, serial + i), series.semester)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Build a roll number from a series and serial
+   * @param {Object} series - Series with prefix and width
+   * @param {number} serial - The serial number
+   * @returns {string} - The roll number
+   */
+  rollNumberFor(series, serial) {
+    return `${series.prefix}${serial.toString().padStart(series.width, '0')}`;
+  }
+
+  /**
+   * Find the last existing serial of a series
+   * @param {string} prefix - Roll number prefix (e.g. '0818CS23' or '0818CS23D')
+   * @param {string} start - First serial, its length sets the serial width (e.g. '1001' or '001')
+   * @param {string} semester - Semester used for the probes
+   * @returns {Promise<Object>} - The series with its upper bound (the last serial the portal confirmed),
+   *   `rollNumbers` up to it minus the ones the portal said don't exist, and the `verified` and `unknown` ones among them
+   */
+  async discoverSeries(prefix, start, semester) {
+    const series = {
+      prefix,
+      semester,
+      width: start.length,
+      start: parseInt(start),
+      maxSerial: Math.pow(10, start.length) - 1,
+      end: null,
+      rollNumbers: [],
+      verified: [],
+      unknown: []
+    };
+
+    if (!await this.windowHasStudent(series, series.start)) {
+      if (this.debug) console.log(`No students found at the start of ${prefix}${start}`);
+      return series;
+    }
+
+    // Exponential search for a window without students
+    let low = series.start;
+    let step = this.gapTolerance;
+    let high = Math.min(series.start + step, series.maxSerial);
+    while (high < series.maxSerial && await this.windowHasStudent(series, high)) {
+      low = high;
+      step *= 2;
+      high = Math.min(series.start + step, series.maxSerial);
+    }
+    if (high === series.maxSerial && await this.windowHasStudent(series, high)) {
+      low = high;
+    }
+
+    // Binary search for the last window that still has a student
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (await this.windowHasStudent(series, mid)) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    // The last student is the last confirmed one in or before the last window that has one.
+    // An inconclusive probe there only kept the search going, so walk back until the portal confirms one.
+    for (let serial = Math.min(low + this.gapTolerance - 1, series.maxSerial); serial >= series.start; serial--) {
+      const rollNumber = this.rollNumberFor(series, serial);
+      if (!this.probes.has(rollNumber)) {
+        await this.probe(rollNumber, semester);
+      }
+      if (this.probes.get(rollNumber) === 'found') {
+        series.end = serial;
+        break;
+      }
+    }
+    if (series.end === null) {
+      if (this.debug) console.log(`No student of ${prefix} could be confirmed`);
+      return series;
+    }
+
+    // Everything up to the bound, minus the serials the portal said don't exist
+    for (let serial = series.start; serial <= series.end; serial++) {
+      const rollNumber = this.rollNumberFor(series, serial);
+      const status = this.probes.get(rollNumber);
+      if (status === 'not-found') continue;
+
+      series.rollNumbers.push(rollNumber);
+      if (status === 'found') series.verified.push(rollNumber);
+      if (status === 'unknown') series.unknown.push(rollNumber);
+    }
+
+    if (this.debug) console.log(`Series ${prefix} ends at ${this.rollNumberFor(series, series.end)} (${this.probes.size} probes)`);
+    return series;
+  }
+
+  /**
+   * Discover the regular series and optionally the lateral-entry series of a class
+   * @param {string} prefix - Roll number prefix (e.g. '0818CS23')
+   * @param {string} semester - Semester used for the probes
+   * @param {Object} options - Discovery options
+   * @param {string} options.start - First regular serial (default: '1001')
+   * @param {boolean} options.lateral - Also search `<prefix>D001` onwards
+   * @returns {Promise<Object>} - The discovered series and the combined roll list, including serials that weren't probed
+   */
+  async discover(prefix, semester, options = {}) {
+    const series = [await this.discoverSeries(prefix, options.start || '1001', semester)];
+    if (options.lateral) {
+      series.push(await this.discoverSeries(`${prefix}D`, '001', semester));
+    }
+
+    return {
+      prefix,
+      semester,
+      probes: this.probes.size,
+      series,
+      rollNumbers: series.flatMap(s => s.rollNumbers)
+    };
+  }
+
+  /**
+   * Save a discovered roll list in the .txt format accepted by --input
+   * @param {Object} discovery - Result of discover()
+   * @param {string} filePath - Output file
+   */
+  saveRollList(discovery, filePath) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const lines = [
+      `# Discovered ${new Date().toISOString()} for ${discovery.prefix}, semester ${discovery.semester} (${discovery.probes} probes)`,
+      ...discovery.series.map(s => `# ${s.prefix}: ${s.end !== null
+        ? `${s.rollNumbers.length} roll numbers up to serial ${s.end}, ${s.verified.length} verified, ${s.unknown.length} inconclusive, the rest not probed`
+        : 'no students found'}`),
+      ...discovery.rollNumbers.map(rollNumber => `${rollNumber} ${discovery.semester}`)
+    ];
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    if (this.debug) console.log(`Roll list saved to ${filePath}`);
+  }
+}
+
+export default RollDiscovery;
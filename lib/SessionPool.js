@@ -0,0 +1,82 @@
+/**
+ * Idle portal sessions ready for their next submission.
+ *
+ * Every postback to a result page comes back with a fresh VIEWSTATE and
+ * captcha for the same session, so instead of redoing the ProgramSelect
+ * handshake for every roll number, the form from one submission is parked
+ * here and the next lookup for the same program submits from it. Each form
+ * can only be submitted once, so a form is handed out to a single caller.
+ */
+class SessionPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.maxIdle - Maximum idle sessions kept per program (default: 16)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.maxIdle = options.maxIdle || 16;
+    this.debug = options.debug || false;
+    this.forms = new Map();
+    this.stats = { reused: 0, released: 0, expired: 0 };
+  }
+
+  /**
+   * Take an idle session form for a program
+   * @param {string} program - Program key
+   * @returns {Object|null} - A form from an earlier postback or null if none is available
+   */
+  acquire(program) {
+    const forms = this.forms.get(program) || [];
+    while (forms.length > 0) {
+      // Most recently used first, it is the least likely to have expired
+      const form = forms.pop();
+      if (form.session.isExpired()) {
+        this.stats.expired++;
+        continue;
+      }
+
+      this.stats.reused++;
+      if (this.debug) console.log(`Reusing session ${form.session.getSessionId()} for ${program} (${forms.length} idle)`);
+      return form;
+    }
+    return null;
+  }
+
+  /**
+   * Park a form from a postback so another lookup can submit from it
+   * @param {Object} form - The `nextForm` of a submission
+   */
+  release(form) {
+    if (!form || !form.session || form.session.isExpired()) return;
+
+    const forms = this.forms.get(form.program) || [];
+    forms.push(form);
+    // Drop the oldest sessions beyond the limit
+    if (forms.length > this.maxIdle) {
+      forms.shift();
+    }
+    this.forms.set(form.program, forms);
+    this.stats.released++;
+  }
+
+  /**
+   * Count idle sessions
+   * @param {string} program - Only count sessions for this program
+   * @returns {number} - Number of idle sessions
+   */
+  size(program) {
+    if (program) {
+      return (this.forms.get(program) || []).length;
+    }
+    return [...this.forms.values()].reduce((total, forms) => total + forms.length, 0);
+  }
+
+  /**
+   * Drop every idle session
+   */
+  clear() {
+    this.forms.clear();
+  }
+}
+
+export default SessionPool;
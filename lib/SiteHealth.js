@@ -0,0 +1,194 @@
+import fs from 'fs';
+import path from 'path';
+
+export const SITE_STATES = {
+  UP: 'up',
+  MAINTENANCE: 'maintenance',
+  UNREACHABLE: 'unreachable'
+};
+
+/**
+ * Check whether a page is the portal's maintenance notice
+ * @param {string} html - Page HTML
+ * @returns {boolean} - Whether the portal is under maintenance
+ */
+export function isMaintenancePage(html) {
+  return typeof html === 'string' && (html.includes('Site Under Construction') || html.includes('under maintenance'));
+}
+
+/**
+ * Tracks whether the portal is usable, based on every response the shared HTTP client sees.
+ *
+ * up → maintenance: a maintenance page was served
+ * up → unreachable: `failureThreshold` requests in a row failed with a network error or 5xx
+ * maintenance/unreachable → up: any normal page, usually one of the probes
+ *
+ * While the site is down, `waitUntilUp()` blocks callers (the batch workers)
+ * and ProgramSelect.aspx is probed every `probeInterval`. Each outage window
+ * is logged when it ends.
+ */
+class SiteHealth {
+  /**
+   * @param {HttpClient} httpClient - Client whose responses are observed and used for probes
+   * @param {Object} options - Health options
+   * @param {number} options.failureThreshold - Consecutive connection failures that mark the site unreachable (default: 5)
+   * @param {number} options.probeInterval - Time between probes while the site is down, in milliseconds (default: 60000)
+   * @param {string} options.logFile - JSON lines file outage windows are appended to (default: logs/outages.jsonl)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(httpClient, options = {}) {
+    this.http = httpClient;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.probeInterval = options.probeInterval || 60000;
+    this.logFile = options.logFile || path.join(process.cwd(), 'logs', 'outages.jsonl');
+    this.debug = options.debug || false;
+
+    this.state = SITE_STATES.UP;
+    this.consecutiveFailures = 0;
+    this.outage = null;
+    this.outages = [];
+    this.waiters = [];
+    this.probeTimer = null;
+
+    this.http.on('response', response => this.onResponse(response));
+    this.http.on('failure', error => this.onFailure(error));
+  }
+
+  /**
+   * Whether the portal is currently usable
+   * @returns {boolean}
+   */
+  isUp() {
+    return this.state === SITE_STATES.UP;
+  }
+
+  /**
+   * Observe a response from the portal
+   * @param {Object} response - Response from HttpClient
+   */
+  onResponse(response) {
+    if (isMaintenancePage(response.body)) {
+      this.markDown(SITE_STATES.MAINTENANCE, 'Site is under maintenance');
+    } else if (response.status >= 500) {
+      this.onFailure(new Error(`HTTP ${response.status}`));
+    } else {
+      this.consecutiveFailures = 0;
+      this.markUp();
+    }
+  }
+
+  /**
+   * Observe a failed request
+   * @param {Error} error - The network error or timeout
+   */
+  onFailure(error) {
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures >= this.failureThreshold) {
+      this.markDown(SITE_STATES.UNREACHABLE, error.message);
+    }
+  }
+
+  /**
+   * Enter a down state, opening an outage window
+   * @param {string} state - SITE_STATES.MAINTENANCE or SITE_STATES.UNREACHABLE
+   * @param {string} reason - What was seen
+   */
+  markDown(state, reason) {
+    if (this.outage) {
+      this.state = state;
+      this.outage.lastError = reason;
+      return;
+    }
+
+    this.state = state;
+    this.outage = { state, start: new Date().toISOString(), firstError: reason, lastError: reason, probes: 0 };
+    console.log(`⚠️ Portal is ${state === SITE_STATES.MAINTENANCE ? 'under maintenance' : 'unreachable'} (${reason}), pausing until it is back`);
+  }
+
+  /**
+   * Return to the up state, closing the outage window and releasing waiters
+   */
+  markUp() {
+    if (!this.outage) return;
+
+    const end = new Date();
+    const window = {
+      ...this.outage,
+      end: end.toISOString(),
+      durationMs: end.getTime() - new Date(this.outage.start).getTime()
+    };
+    this.outages.push(window);
+    this.logOutage(window);
+    console.log(`✅ Portal is back after ${Math.round(window.durationMs / 1000)}s (${window.state} since ${window.start})`);
+
+    this.state = SITE_STATES.UP;
+    this.outage = null;
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Wait until the portal is usable, probing it while it is down
+   * @returns {Promise<void>}
+   */
+  waitUntilUp() {
+    if (this.isUp()) return Promise.resolve();
+
+    if (!this.probeTimer) {
+      this.scheduleProbe();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * Probe ProgramSelect.aspx after the probe interval, and again until the portal is up
+   */
+  scheduleProbe() {
+    this.probeTimer = setTimeout(async () => {
+      this.outage.probes++;
+      if (this.debug) console.log(`Probing the portal (probe ${this.outage.probes})`);
+      try {
+        // The response listener decides whether the site is back
+        await this.http.request('ProgramSelect.aspx', { retries: 0 });
+      } catch (error) {
+        // Already counted by the failure listener
+      }
+      if (!this.isUp()) {
+        this.scheduleProbe();
+      }
+    }, this.probeInterval);
+  }
+
+  /**
+   * Append an outage window to the log file
+   * @param {Object} window - The outage window
+   */
+  logOutage(window) {
+    try {
+      const dir = path.dirname(this.logFile);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.appendFileSync(this.logFile, JSON.stringify(window) + '\n');
+    } catch (error) {
+      console.error('Error logging outage window:', error.message);
+    }
+  }
+
+  /**
+   * Stop probing and release anyone waiting, e.g. when shutting down
+   */
+  stop() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+export default SiteHealth;
@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import CaptchaPreprocessor from './CaptchaPreprocessor.js';
+
+// Side of the square grid every character is normalized to
+const GRID = 20;
+
+// Samples per grid cell side when normalizing
+const SUPERSAMPLE = 3;
+
+/**
+ * Normalize a character bitmap to a GRID x GRID map of ink coverage,
+ * keeping its aspect ratio and centering it
+ * @param {Object} segment - `{ width, height, data }` with 0 = ink
+ * @returns {Float32Array} - Coverage from 0 (blank) to 1 (ink) per cell
+ */
+function normalize(segment) {
+  const scale = GRID / Math.max(segment.width, segment.height);
+  const boxWidth = segment.width * scale;
+  const boxHeight = segment.height * scale;
+  const left = (GRID - boxWidth) / 2;
+  const top = (GRID - boxHeight) / 2;
+  const cells = new Float32Array(GRID * GRID);
+
+  for (let gy = 0; gy < GRID; gy++) {
+    for (let gx = 0; gx < GRID; gx++) {
+      let ink = 0;
+      for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+          const x = Math.floor((gx + (sx + 0.5) / SUPERSAMPLE - left) / scale);
+          const y = Math.floor((gy + (sy + 0.5) / SUPERSAMPLE - top) / scale);
+          if (x < 0 || y < 0 || x >= segment.width || y >= segment.height) continue;
+          if (segment.data[y * segment.width + x] < 128) ink++;
+        }
+      }
+      cells[gy * GRID + gx] = ink / (SUPERSAMPLE * SUPERSAMPLE);
+    }
+  }
+  return cells;
+}
+
+/**
+ * Compare two normalized characters
+ * @param {Float32Array} a - Normalized character
+ * @param {Float32Array|Array<number>} b - Normalized character
+ * @returns {number} - Similarity from 0 to 1 (overlap of the inked areas)
+ */
+function similarity(a, b) {
+  let difference = 0;
+  let union = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference += Math.abs(a[i] - b[i]);
+    union += Math.max(a[i], b[i]);
+  }
+  return union === 0 ? 0 : 1 - difference / union;
+}
+
+/**
+ * Captcha solver that matches segmented characters against templates of
+ * the portal's fixed font.
+ *
+ * Templates are learned from labelled captchas with `train()` or
+ * `trainDirectory()` and kept in a JSON file. Every template is the average
+ * of the normalized bitmaps it was trained on.
+ */
+class TemplateSolver {
+  /**
+   * @param {Object} options - Solver options
+   * @param {string} options.templates - Template file (default: captcha/templates.json)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.name = 'template';
+    this.file = options.templates || path.join(process.cwd(), 'captcha', 'templates.json');
+    this.debug = options.debug || false;
+    this.templates = {};
+    this.loaded = false;
+    // Segments characters when CaptchaSolver has not done so already
+    this.preprocessor = new CaptchaPreprocessor({ steps: ['grayscale', 'threshold', 'lines', 'segment'] });
+  }
+
+  /**
+   * Load the templates from disk
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (this.loaded) return;
+    this.load();
+  }
+
+  /**
+   * Read the template file if it exists
+   * @returns {number} - Number of characters with a template
+   */
+  load() {
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) {
+      if (this.debug) console.log(`No captcha templates at ${this.file}`);
+      return 0;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (saved.grid !== GRID) {
+      throw new Error(`Captcha templates in ${this.file} use a ${saved.grid}px grid, expected ${GRID}px; train them again`);
+    }
+    this.templates = saved.templates || {};
+
+    const count = Object.keys(this.templates).length;
+    if (this.debug) console.log(`Loaded captcha templates for ${count} characters from ${this.file}`);
+    return count;
+  }
+
+  /**
+   * Write the templates to disk
+   */
+  save() {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const templates = {};
+    for (const [char, template] of Object.entries(this.templates)) {
+      templates[char] = { samples: template.samples, cells: template.cells.map(value => Math.round(value * 1000) / 1000) };
+    }
+    fs.writeFileSync(this.file, JSON.stringify({ grid: GRID, updatedAt: new Date().toISOString(), templates }));
+  }
+
+  /**
+   * Split a captcha into characters
+   * @param {Buffer} imageBuffer - The captcha image
+   * @param {Array<Object>} segments - Segments already found by the caller, if any
+   * @returns {Array<Object>} - Character bitmaps, left to right
+   */
+  segment(imageBuffer, segments = null) {
+    if (segments && segments.length > 0) return segments;
+    return this.preprocessor.process(imageBuffer).segments;
+  }
+
+  /**
+   * Learn the characters of a labelled captcha
+   * @param {Buffer} imageBuffer - The captcha image
+   * @param {string} text - Its answer
+   * @returns {boolean} - False if the image did not split into as many characters as the answer has
+   */
+  train(imageBuffer, text) {
+    const chars = [...text.toUpperCase()];
+    const segments = this.segment(imageBuffer);
+    if (segments.length !== chars.length) {
+      if (this.debug) console.log(`Skipping ${text}: found ${segments.length} characters`);
+      return false;
+    }
+
+    chars.forEach((char, index) => {
+      const cells = normalize(segments[index]);
+      const template = this.templates[char];
+      if (!template) {
+        this.templates[char] = { samples: 1, cells: Array.from(cells) };
+        return;
+      }
+      // Running average of every sample seen
+      template.samples++;
+      template.cells = template.cells.map((value, i) => value + (cells[i] - value) / template.samples);
+    });
+    return true;
+  }
+
+  /**
+   * Learn from a directory of labelled captchas named `<answer>.png` or `<answer>_<anything>.png`
+   * @param {string} dir - Directory with the images
+   * @returns {Object} - `{ trained, skipped }` image counts
+   */
+  trainDirectory(dir) {
+    let trained = 0;
+    let skipped = 0;
+
+    for (const file of fs.readdirSync(dir)) {
+      if (path.extname(file).toLowerCase() !== '.png') continue;
+      const label = path.basename(file, path.extname(file)).split('_')[0].toUpperCase();
+      if (!/^[A-Z0-9]+$/.test(label)) {
+        skipped++;
+        continue;
+      }
+
+      if (this.train(fs.readFileSync(path.join(dir, file)), label)) {
+        trained++;
+      } else {
+        skipped++;
+      }
+    }
+
+    return { trained, skipped };
+  }
+
+  /**
+   * Recognize a captcha
+   * @param {Buffer} imageBuffer - The captcha image
+   * @param {Object} hints - Extra information from CaptchaSolver
+   * @param {Array<Object>} hints.segments - Characters found by the preprocessing step
+   * @returns {Promise<Object>} - `{ text, confidence, characters }`; confidence is that of the least certain character
+   */
+  async solve(imageBuffer, hints = {}) {
+    if (!this.loaded) this.load();
+    const entries = Object.entries(this.templates);
+    if (entries.length === 0) {
+      throw new Error(`No captcha templates, train them first (${this.file})`);
+    }
+
+    const characters = this.segment(imageBuffer, hints.segments).map(segment => {
+      const cells = normalize(segment);
+      let best = { char: '', confidence: 0 };
+      for (const [char, template] of entries) {
+        const score = similarity(cells, template.cells);
+        if (score > best.confidence) {
+          best = { char, confidence: score };
+        }
+      }
+      return best;
+    });
+
+    const text = characters.map(c => c.char).join('');
+    const confidence = characters.length > 0 ? Math.min(...characters.map(c => c.confidence)) : 0;
+    if (this.debug) console.log(`Template match: ${text} (confidence ${confidence.toFixed(2)})`);
+    return { text, confidence, characters };
+  }
+
+  /**
+   * Nothing to release, templates stay in memory
+   * @returns {Promise<void>}
+   */
+  async terminate() {}
+}
+
+export default TemplateSolver;
@@ -0,0 +1,146 @@
+import { createWorker } from 'tesseract.js';
+import WorkerPool from './WorkerPool.js';
+import { encodePng } from './png.js';
+
+// Blank image recognized to check that a worker still responds
+const HEALTH_CHECK_IMAGE = encodePng(16, 16, new Uint8Array(16 * 16).fill(255));
+
+/**
+ * Captcha solver backed by a pool of tesseract.js workers.
+ *
+ * Implements the solver interface: `solve(imageBuffer) → { text, confidence }`
+ * with `confidence` between 0 and 1, plus `init()` and `terminate()`.
+ * Hung or crashed workers are replaced and every worker is recycled after
+ * `recycleAfter` captchas, see WorkerPool.
+ */
+class TesseractSolver {
+  /**
+   * @param {Object} options - Solver options
+   * @param {number} options.poolSize - Number of Tesseract workers (default: 2)
+   * @param {number} options.jobTimeout - Time limit for one captcha in milliseconds (default: 30000)
+   * @param {number} options.recycleAfter - Captchas after which a worker is replaced by a fresh one (default: 200)
+   * @param {string} options.alphabet - Characters Tesseract may read (default: A-Z and 0-9)
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.poolSize = options.poolSize || 2;
+    this.jobTimeout = options.jobTimeout || 30000;
+    this.recycleAfter = options.recycleAfter !== undefined ? options.recycleAfter : 200;
+    this.alphabet = options.alphabet || 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    this.debug = options.debug || false;
+    this.pool = null;
+  }
+
+  /**
+   * Start the worker pool
+   * @param {Object} options - Init options
+   * @param {number} options.poolSize - Number of workers (default: the constructor's poolSize)
+   * @returns {Promise<void>}
+   */
+  async init(options = {}) {
+    if (!this.pool) {
+      this.pool = new WorkerPool({
+        name: 'Tesseract worker',
+        size: options.poolSize || this.poolSize,
+        jobTimeout: this.jobTimeout,
+        maxJobs: this.recycleAfter,
+        create: () => this.createWorker(),
+        destroy: worker => worker.terminate(),
+        check: async worker => {
+          await worker.recognize(HEALTH_CHECK_IMAGE);
+          return true;
+        },
+        debug: this.debug
+      });
+    }
+
+    if (this.debug) console.log(`Initializing Tesseract worker pool with ${this.pool.size} workers...`);
+    await this.pool.start();
+  }
+
+  /**
+   * Create and configure one Tesseract worker, retrying a few times
+   * @returns {Promise<Object>} - The worker
+   */
+  async createWorker() {
+    let lastError = null;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      let worker = null;
+      try {
+        worker = await createWorker();
+        await worker.loadLanguage('eng');
+        await worker.initialize('eng');
+
+        // Set options for better accuracy with captchas
+        await worker.setParameters({
+          tessedit_char_whitelist: this.alphabet,
+          preserve_interword_spaces: '0',
+          tessedit_pageseg_mode: '8', // Treat the image as a single word
+        });
+
+        if (this.debug) console.log('Tesseract worker initialized successfully');
+        return worker;
+      } catch (error) {
+        lastError = error;
+        console.error(`Error initializing Tesseract worker (attempt ${attempt}/3):`, error.message || error);
+        // Try to terminate the worker if initialization failed
+        if (worker) {
+          try {
+            await worker.terminate();
+          } catch (termError) {
+            // Ignore termination errors
+          }
+        }
+
+        // Wait a bit before retrying
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Recognize a captcha
+   * @param {Buffer} imageBuffer - The captcha image
+   * @returns {Promise<Object>} - `{ text, confidence, characters }` with the confidence of every recognized symbol
+   */
+  async solve(imageBuffer) {
+    if (!this.pool) {
+      await this.init();
+    }
+
+    return this.pool.run(async worker => {
+      const { data } = await worker.recognize(imageBuffer);
+
+      if (this.debug) console.log('OCR result:', data.text);
+
+      // Clean up the result - remove spaces and non-alphanumeric chars
+      const text = data.text.replace(/[^A-Z0-9]/g, '').trim();
+      const characters = (data.symbols || [])
+        .filter(symbol => /^[A-Z0-9]$/.test(symbol.text))
+        .map(symbol => ({ char: symbol.text, confidence: (symbol.confidence || 0) / 100 }));
+      return { text, confidence: (data.confidence || 0) / 100, characters };
+    });
+  }
+
+  /**
+   * Terminate all workers in the pool
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    if (!this.pool) return;
+    await this.pool.stop();
+    this.pool = null;
+  }
+
+  /**
+   * Pool statistics
+   * @returns {Object} - Jobs, failures, timeouts, replaced and recycled workers, longest queue
+   */
+  getStats() {
+    return this.pool ? { workers: this.pool.slots.length, ...this.pool.stats } : { workers: 0 };
+  }
+}
+
+export default TesseractSolver;
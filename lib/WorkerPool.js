@@ -0,0 +1,247 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Reject if a promise takes longer than `ms`
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<*>} - What the promise resolved to
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fixed-size pool of long-lived workers, e.g. Tesseract instances.
+ *
+ * Jobs wait in a FIFO queue and are handed to the next idle worker as soon
+ * as one is released, with no polling. Every job has a time limit; a worker
+ * whose job times out is considered hung and is replaced, and so is one
+ * that fails its health check after a job error. Workers are also recycled
+ * after `maxJobs` jobs so long batches don't accumulate memory.
+ *
+ * Events: 'replaced' (worker id, reason: 'hung' or 'crashed'), 'recycled' (worker id)
+ */
+class WorkerPool extends EventEmitter {
+  /**
+   * @param {Object} options - Pool options
+   * @param {Function} options.create - Async function creating a worker
+   * @param {Function} options.destroy - Async function shutting a worker down
+   * @param {Function} options.check - Async health check run after a failed job, resolves true if the worker is fine (default: replace the worker)
+   * @param {number} options.size - Number of workers (default: 2)
+   * @param {number} options.jobTimeout - Time limit of a job in milliseconds (default: 30000)
+   * @param {number} options.maxJobs - Jobs after which a worker is replaced by a fresh one, 0 to never recycle (default: 200)
+   * @param {string} options.name - Name used in log messages (default: 'worker')
+   * @param {boolean} options.debug - Enable debug mode
+   */
+  constructor(options = {}) {
+    super();
+    if (typeof options.create !== 'function') {
+      throw new Error('A worker pool needs a create function');
+    }
+
+    this.create = options.create;
+    this.destroy = options.destroy || (async () => {});
+    this.check = options.check || null;
+    this.size = options.size || 2;
+    this.jobTimeout = options.jobTimeout || 30000;
+    this.maxJobs = options.maxJobs !== undefined ? options.maxJobs : 200;
+    this.name = options.name || 'worker';
+    this.debug = options.debug || false;
+
+    this.slots = [];
+    this.queue = [];
+    this.nextId = 1;
+    this.starting = null;
+    this.stopped = false;
+    this.stats = { jobs: 0, failed: 0, timeouts: 0, replaced: 0, recycled: 0, maxQueue: 0 };
+  }
+
+  /**
+   * Create the workers, one after another
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this.starting) {
+      this.stopped = false;
+      this.starting = (async () => {
+        for (let i = 0; i < this.size; i++) {
+          try {
+            await this.addWorker();
+          } catch (error) {
+            console.error(`Error creating ${this.name} ${i + 1}/${this.size}:`, error.message || error);
+          }
+        }
+        if (this.slots.length === 0) {
+          this.starting = null;
+          throw new Error(`Failed to start any ${this.name}s`);
+        }
+        if (this.debug) console.log(`${this.name} pool started with ${this.slots.length} workers`);
+      })();
+    }
+    return this.starting;
+  }
+
+  /**
+   * Create a worker and put it to work on the queue
+   * @returns {Promise<void>}
+   */
+  async addWorker() {
+    const worker = await this.create();
+    if (this.stopped) {
+      await this.destroy(worker);
+      return;
+    }
+    this.slots.push({ id: this.nextId++, worker, busy: false, jobs: 0 });
+    this.dispatch();
+  }
+
+  /**
+   * Run a job on the next free worker
+   * @param {Function} fn - Async function called with the worker
+   * @returns {Promise<*>} - What the job returned
+   */
+  async run(fn) {
+    if (this.stopped) {
+      throw new Error(`The ${this.name} pool has been stopped`);
+    }
+    await this.start();
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, resolve, reject });
+      this.stats.maxQueue = Math.max(this.stats.maxQueue, this.queue.length);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle workers, oldest job first
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const slot = this.slots.find(s => !s.busy);
+      if (!slot) return;
+      this.execute(slot, this.queue.shift());
+    }
+  }
+
+  /**
+   * Run one job on a worker, enforcing the time limit
+   * @param {Object} slot - The worker's slot
+   * @param {Object} job - `{ fn, resolve, reject }`
+   */
+  execute(slot, job) {
+    slot.busy = true;
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      this.stats.timeouts++;
+      job.reject(new Error(`${this.name} job timed out after ${this.jobTimeout}ms`));
+      this.replace(slot, 'hung');
+    }, this.jobTimeout);
+
+    Promise.resolve()
+      .then(() => job.fn(slot.worker))
+      .then(result => {
+        if (timedOut) return;
+        clearTimeout(timer);
+        this.stats.jobs++;
+        slot.jobs++;
+        job.resolve(result);
+        this.release(slot);
+      }, async error => {
+        if (timedOut) return;
+        clearTimeout(timer);
+        this.stats.failed++;
+        slot.jobs++;
+        job.reject(error);
+
+        const healthy = this.check
+          ? await withTimeout(Promise.resolve().then(() => this.check(slot.worker)), this.jobTimeout, 'Health check timed out').catch(() => false)
+          : false;
+        if (healthy) {
+          this.release(slot);
+        } else {
+          this.replace(slot, 'crashed');
+        }
+      });
+  }
+
+  /**
+   * Return a worker to the pool after a job, recycling it if it has done enough
+   * @param {Object} slot - The worker's slot
+   */
+  release(slot) {
+    if (this.maxJobs > 0 && slot.jobs >= this.maxJobs) {
+      this.replace(slot, 'recycled');
+      return;
+    }
+    slot.busy = false;
+    this.dispatch();
+  }
+
+  /**
+   * Shut a worker down and start a fresh one in its place
+   * @param {Object} slot - The worker's slot
+   * @param {string} reason - 'hung', 'crashed' or 'recycled'
+   */
+  replace(slot, reason) {
+    this.slots = this.slots.filter(s => s !== slot);
+    if (reason === 'recycled') {
+      this.stats.recycled++;
+      this.emit('recycled', slot.id);
+      if (this.debug) console.log(`Recycling ${this.name} ${slot.id} after ${slot.jobs} jobs`);
+    } else {
+      this.stats.replaced++;
+      this.emit('replaced', slot.id, reason);
+      console.error(`Replacing ${reason} ${this.name} ${slot.id}`);
+    }
+
+    // A hung worker may never finish shutting down, so don't wait for it
+    Promise.resolve()
+      .then(() => this.destroy(slot.worker))
+      .catch(error => console.error(`Error shutting down ${this.name} ${slot.id}:`, error.message || error));
+
+    if (this.stopped) return;
+    this.addWorker().catch(error => {
+      console.error(`Error starting a replacement ${this.name}:`, error.message || error);
+      // Nobody is left to run the queue, fail it rather than leave callers waiting
+      if (this.slots.length === 0) {
+        this.queue.splice(0).forEach(job => job.reject(new Error(`No ${this.name}s available`)));
+      }
+      // Try to get back to full size later
+      setTimeout(() => {
+        if (!this.stopped && this.slots.length < this.size) {
+          this.addWorker().catch(() => {});
+        }
+      }, 5000).unref();
+    });
+  }
+
+  /**
+   * Shut every worker down and fail queued jobs
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    this.starting = null;
+    this.queue.splice(0).forEach(job => job.reject(new Error(`The ${this.name} pool has been stopped`)));
+
+    const slots = this.slots;
+    this.slots = [];
+    for (const slot of slots) {
+      try {
+        await this.destroy(slot.worker);
+      } catch (error) {
+        console.error(`Error shutting down ${this.name} ${slot.id}:`, error.message || error);
+      }
+    }
+  }
+}
+
+export default WorkerPool;
@@ -1,13 +1,93 @@
 import FormFetcher from './FormFetcher.js';
-import CaptchaSolver from './CaptchaSolver.js';
+import CaptchaSolver, { CAPTCHA_ALPHABET } from './CaptchaSolver.js';
 import ResultSubmitter from './ResultSubmitter.js';
 import RGPVScraper from './RGPVScraper.js';
+import JobStore, { JOB_STATES } from './JobStore.js';
+import ResultCache from './ResultCache.js';
+import ResultArchive from './ResultArchive.js';
+import RollDiscovery from './RollDiscovery.js';
+import ResultWatcher from './ResultWatcher.js';
+import { notify } from './notify.js';
+import MockRGPVServer from './MockRGPVServer.js';
+import SessionPool from './SessionPool.js';
+import TesseractSolver from './TesseractSolver.js';
+import TemplateSolver from './TemplateSolver.js';
+import ManualSolver from './ManualSolver.js';
+import ChainSolver from './ChainSolver.js';
+import { SOLVERS, createSolver } from './solvers.js';
+import CaptchaDataset, { VERDICTS } from './CaptchaDataset.js';
+import CaptchaBenchmark from './CaptchaBenchmark.js';
+import CaptchaPreprocessor, { PREPROCESS_STEPS, parsePreprocessSteps } from './CaptchaPreprocessor.js';
+import RateLimiter from './RateLimiter.js';
+import SiteHealth, { SITE_STATES, isMaintenancePage } from './SiteHealth.js';
+import CookieJar, { SESSION_COOKIE } from './CookieJar.js';
+import HttpClient, { DEFAULT_BASE_URL, USER_AGENT_PROFILES } from './HttpClient.js';
+import { buildTranscript, parseSemesterList } from './transcript.js';
+import { parseResultPage, parseNumber, splitSubject, GRADE_POINTS } from './resultParser.js';
+import { RESULT_SCHEMA, RESULT_SCHEMA_VERSION, validateResult } from './resultSchema.js';
+import { OUTCOMES, isRetryable, countOutcomes } from './outcomes.js';
+import { ROLL_NUMBER_PATTERN, parseRangeSpec, loadRollList, validateStudents } from './rollList.js';
+import { PROGRAMS, SCHEMES, DEFAULT_PROGRAM, getProgram, checkScheme, listPrograms, matchProgram } from './programs.js';
 
 export {
   FormFetcher,
   CaptchaSolver,
+  CAPTCHA_ALPHABET,
   ResultSubmitter,
-  RGPVScraper
+  RGPVScraper,
+  JobStore,
+  JOB_STATES,
+  ResultCache,
+  ResultArchive,
+  RollDiscovery,
+  ResultWatcher,
+  notify,
+  MockRGPVServer,
+  HttpClient,
+  CookieJar,
+  SessionPool,
+  CaptchaPreprocessor,
+  TesseractSolver,
+  TemplateSolver,
+  ManualSolver,
+  ChainSolver,
+  SOLVERS,
+  createSolver,
+  CaptchaDataset,
+  CaptchaBenchmark,
+  VERDICTS,
+  PREPROCESS_STEPS,
+  parsePreprocessSteps,
+  RateLimiter,
+  SiteHealth,
+  SITE_STATES,
+  isMaintenancePage,
+  SESSION_COOKIE,
+  DEFAULT_BASE_URL,
+  USER_AGENT_PROFILES,
+  buildTranscript,
+  parseSemesterList,
+  parseResultPage,
+  parseNumber,
+  splitSubject,
+  GRADE_POINTS,
+  RESULT_SCHEMA,
+  RESULT_SCHEMA_VERSION,
+  validateResult,
+  OUTCOMES,
+  isRetryable,
+  countOutcomes,
+  ROLL_NUMBER_PATTERN,
+  parseRangeSpec,
+  loadRollList,
+  validateStudents,
+  PROGRAMS,
+  SCHEMES,
+  DEFAULT_PROGRAM,
+  getProgram,
+  checkScheme,
+  listPrograms,
+  matchProgram
 };
 
 export default RGPVScraper; 
\ No newline at end of file
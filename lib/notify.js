@@ -0,0 +1,68 @@
+import fetch from 'node-fetch';
+import { exec } from 'child_process';
+
+/**
+ * Fire a notification hook
+ *
+ * An http(s) URL receives the payload as a JSON POST (e.g. a Slack, Discord
+ * or ntfy webhook). Anything else is run as a shell command with the payload
+ * in environment variables: RGPV_EVENT, RGPV_SEMESTER, RGPV_SENTINEL and the
+ * whole payload as JSON in RGPV_PAYLOAD. Failures are logged, never thrown,
+ * so a broken hook can't stop a batch.
+ *
+ * @param {string} hook - Webhook URL or shell command
+ * @param {Object} payload - Event data, must include `event`
+ * @param {Object} options - Hook options
+ * @param {number} options.timeout - Time limit in milliseconds (default: 15000)
+ * @param {boolean} options.debug - Enable debug mode
+ * @returns {Promise<boolean>} - Whether the hook succeeded
+ */
+export async function notify(hook, payload, options = {}) {
+  if (!hook) return false;
+  const timeout = options.timeout || 15000;
+
+  if (/^https?:\/\//i.test(hook)) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(hook, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        console.error(`Notification hook answered ${response.status}`);
+        return false;
+      }
+      if (options.debug) console.log(`Notification sent to ${hook}`);
+      return true;
+    } catch (error) {
+      console.error('Error sending notification:', error.message);
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return new Promise(resolve => {
+    const env = {
+      ...process.env,
+      RGPV_EVENT: payload.event,
+      RGPV_SEMESTER: payload.semester !== undefined ? String(payload.semester) : '',
+      RGPV_SENTINEL: payload.sentinel || '',
+      RGPV_PAYLOAD: JSON.stringify(payload)
+    };
+
+    exec(hook, { env, timeout }, (error, stdout, stderr) => {
+      if (error) {
+        console.error(`Notification command failed: ${error.message}`);
+        resolve(false);
+        return;
+      }
+      if (options.debug && stdout.trim()) console.log(stdout.trim());
+      if (stderr.trim()) console.error(stderr.trim());
+      resolve(true);
+    });
+  });
+}
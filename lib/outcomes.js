@@ -0,0 +1,60 @@
+/**
+ * What a result lookup ended with.
+ *
+ * Every submission and every `getResult` call reports one of these as
+ * `outcome`, along with whether trying again could change it (`retryable`).
+ */
+export const OUTCOMES = {
+  // The result was fetched and parsed
+  OK: 'ok',
+  // The portal doesn't know the roll number for this semester and scheme
+  ROLL_NOT_FOUND: 'roll-not-found',
+  // The semester's result hasn't been published yet
+  RESULT_NOT_DECLARED: 'result-not-declared',
+  // The result exists but the university is holding it back
+  RESULT_WITHHELD: 'result-withheld',
+  // The portal rejected the captcha answer, or no answer could be read
+  INVALID_CAPTCHA: 'invalid-captcha',
+  // The portal dropped the session or its VIEWSTATE
+  SESSION_EXPIRED: 'session-expired',
+  // The portal served its maintenance notice
+  MAINTENANCE: 'maintenance',
+  // A result page came back but didn't match the result schema, or the response was not understood
+  PARSE_ERROR: 'parse-error',
+  // The portal couldn't be reached or the request failed
+  NETWORK_ERROR: 'network-error'
+};
+
+// Outcomes that may turn out differently on another attempt
+const RETRYABLE = new Set([
+  OUTCOMES.INVALID_CAPTCHA,
+  OUTCOMES.SESSION_EXPIRED,
+  OUTCOMES.MAINTENANCE,
+  OUTCOMES.NETWORK_ERROR
+]);
+
+/**
+ * Whether trying again could change an outcome
+ * @param {string} outcome - One of OUTCOMES
+ * @returns {boolean}
+ */
+export function isRetryable(outcome) {
+  return RETRYABLE.has(outcome);
+}
+
+/**
+ * Count results by outcome
+ * @param {Array<Object>} results - Results from RGPVScraper.getResult or batchProcess
+ * @returns {Object} - Counts keyed by outcome, every outcome present
+ */
+export function countOutcomes(results) {
+  const counts = {};
+  for (const outcome of Object.values(OUTCOMES)) {
+    counts[outcome] = 0;
+  }
+  for (const result of results) {
+    const outcome = result.outcome || (result.success ? OUTCOMES.OK : OUTCOMES.NETWORK_ERROR);
+    counts[outcome] = (counts[outcome] || 0) + 1;
+  }
+  return counts;
+}
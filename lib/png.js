@@ -0,0 +1,246 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal PNG support, enough for captchas: non-interlaced images of any
+ * color type are decoded to RGB, and grayscale images are encoded.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// CRC-32 lookup table used by PNG chunks
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - The data
+ * @returns {number} - The checksum
+ */
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} - The encoded chunk
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a grayscale image as PNG
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Uint8Array} pixels - One byte per pixel (0 = black, 255 = white), row by row
+ * @returns {Buffer} - The PNG file
+ */
+export function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // Bit depth
+  header[9] = 0;  // Color type: grayscale
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+
+  // Every scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width + 1)] = 0;
+    for (let x = 0; x < width; x++) {
+      raw[y * (width + 1) + 1 + x] = pixels[y * width + x];
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Check whether a buffer holds a PNG file
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} - Whether the PNG signature is present
+ */
+export function isPng(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Undo the per-scanline filter of PNG data in place
+ * @param {Buffer} raw - Inflated image data, one filter byte before every scanline
+ * @param {number} height - Number of scanlines
+ * @param {number} stride - Bytes per scanline without the filter byte
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ * @returns {Buffer} - The unfiltered scanlines without filter bytes
+ */
+function unfilter(raw, height, stride, bpp) {
+  const out = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+
+    for (let x = 0; x < stride; x++) {
+      const value = raw[line + x];
+      const left = x >= bpp ? out[row + x - bpp] : 0;
+      const up = y > 0 ? out[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+
+      let predictor;
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: {
+          // Paeth
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+          break;
+        }
+        default:
+          throw new Error(`Unsupported PNG filter type ${filter}`);
+      }
+      out[row + x] = (value + predictor) & 0xFF;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Decode a PNG into RGB pixels
+ *
+ * Supports every color type and bit depth (16-bit samples are reduced to
+ * their high byte). Transparent pixels are composited on white.
+ *
+ * @param {Buffer} buffer - The PNG file
+ * @returns {Object} - `{ width, height, rgb }` with three bytes per pixel, row by row
+ */
+export function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      idat.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG has no IHDR chunk');
+  }
+  if (header.interlace !== 0) {
+    throw new Error('Interlaced PNGs are not supported');
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type ${colorType}`);
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil(width * bitsPerPixel / 8);
+  const pixels = unfilter(zlib.inflateSync(Buffer.concat(idat)), height, stride, Math.max(1, bitsPerPixel >> 3));
+
+  // Read sample `index` of a row, scaled to 0-255 (palette indices are left unscaled)
+  const sample = (row, index) => {
+    if (bitDepth === 8) return pixels[row + index];
+    if (bitDepth === 16) return pixels[row + index * 2];
+    const bit = index * bitDepth;
+    const value = (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+    return colorType === 3 ? value : Math.round(value * 255 / ((1 << bitDepth) - 1));
+  };
+
+  const rgb = new Uint8Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    for (let x = 0; x < width; x++) {
+      let r, g, b, a = 255;
+      const i = x * channels;
+
+      if (colorType === 0) {
+        r = g = b = sample(row, i);
+      } else if (colorType === 4) {
+        r = g = b = sample(row, i);
+        a = sample(row, i + 1);
+      } else if (colorType === 3) {
+        const index = sample(row, i);
+        r = palette[index * 3];
+        g = palette[index * 3 + 1];
+        b = palette[index * 3 + 2];
+        if (transparency && index < transparency.length) a = transparency[index];
+      } else {
+        r = sample(row, i);
+        g = sample(row, i + 1);
+        b = sample(row, i + 2);
+        if (colorType === 6) a = sample(row, i + 3);
+      }
+
+      // Composite on white
+      const offset = (y * width + x) * 3;
+      rgb[offset] = Math.round(r * a / 255 + 255 - a);
+      rgb[offset + 1] = Math.round(g * a / 255 + 255 - a);
+      rgb[offset + 2] = Math.round(b * a / 255 + 255 - a);
+    }
+  }
+
+  return { width, height, rgb };
+}
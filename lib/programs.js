@@ -0,0 +1,132 @@
+/**
+ * Registry of RGPV programs supported by the scraper.
+ *
+ * Each entry describes how to select the program on ProgramSelect.aspx
+ * (radio value and index) and how to talk to its result page
+ * (page name and form field names). The codes and indexes are the last
+ * known values; `labelPattern` is used to find the program again in the
+ * live radio list when the portal renumbers it.
+ */
+
+// Form field names shared by the ASP.NET result pages
+const DEFAULT_FIELDS = {
+  rollNumber: 'ctl00$ContentPlaceHolder1$txtrollno',
+  semester: 'ctl00$ContentPlaceHolder1$drpSemester',
+  schemeType: 'ctl00$ContentPlaceHolder1$rbtnlstSType',
+  captcha: 'ctl00$ContentPlaceHolder1$TextBox1',
+  submit: 'ctl00$ContentPlaceHolder1$btnviewresult'
+};
+
+// Values of the rbtnlstSType radio list on the result pages
+export const SCHEMES = {
+  grading: 'G',
+  marks: 'N'
+};
+
+export const PROGRAMS = {
+  be: {
+    name: 'B.E.',
+    code: '24',
+    radioIndex: 1,
+    resultPage: 'BErslt.aspx',
+    labelPattern: /^B\.?\s*E\.?$/i
+  },
+  btech: {
+    name: 'B.Tech (New Scheme)',
+    code: '28',
+    radioIndex: 12,
+    resultPage: 'BTechrslt.aspx',
+    labelPattern: /^B\.?\s*Tech/i
+  },
+  mtech: {
+    name: 'M.Tech',
+    code: '10',
+    radioIndex: 4,
+    resultPage: 'MErslt.aspx',
+    labelPattern: /^M\.?\s*(Tech|E\.?$)/i
+  },
+  mca: {
+    name: 'MCA',
+    code: '3',
+    radioIndex: 3,
+    resultPage: 'MCArslt.aspx',
+    labelPattern: /^M\.?\s*C\.?\s*A/i
+  },
+  mba: {
+    name: 'MBA',
+    code: '6',
+    radioIndex: 6,
+    resultPage: 'MBArslt.aspx',
+    labelPattern: /^M\.?\s*B\.?\s*A/i
+  },
+  bpharm: {
+    name: 'B.Pharmacy',
+    code: '2',
+    radioIndex: 2,
+    resultPage: 'BPharmrslt.aspx',
+    labelPattern: /^B\.?\s*Pharm/i
+  },
+  diploma: {
+    name: 'Diploma',
+    code: '5',
+    radioIndex: 8,
+    resultPage: 'Diplomarslt.aspx',
+    labelPattern: /^Diploma/i
+  }
+};
+
+export const DEFAULT_PROGRAM = 'be';
+
+/**
+ * Check a result scheme name
+ * @param {string} scheme - 'grading', 'marks' or 'auto' (grading, falling back to marks)
+ * @returns {string} - The scheme
+ */
+export function checkScheme(scheme) {
+  if (scheme !== 'auto' && !SCHEMES[scheme]) {
+    throw new Error(`Unknown result scheme "${scheme}". Available schemes: ${Object.keys(SCHEMES).join(', ')}, auto`);
+  }
+  return scheme;
+}
+
+/**
+ * Resolve a program from the registry
+ * @param {string|Object} program - Program key (e.g. 'mtech') or an already resolved program
+ * @returns {Object} - The program definition including its key and form field names
+ */
+export function getProgram(program = DEFAULT_PROGRAM) {
+  if (program && typeof program === 'object') {
+    return program;
+  }
+
+  const key = String(program).toLowerCase();
+  const definition = PROGRAMS[key];
+  if (!definition) {
+    throw new Error(`Unknown program "${program}". Available programs: ${Object.keys(PROGRAMS).join(', ')}`);
+  }
+
+  return {
+    key,
+    ...definition,
+    fields: { ...DEFAULT_FIELDS, ...definition.fields }
+  };
+}
+
+/**
+ * List all registered programs
+ * @returns {Array<Object>} - Resolved program definitions
+ */
+export function listPrograms() {
+  return Object.keys(PROGRAMS).map(key => getProgram(key));
+}
+
+/**
+ * Find the registry key for a program label shown on ProgramSelect.aspx
+ * @param {string} label - The radio button label (e.g. 'M.Tech.')
+ * @returns {string|null} - The matching program key or null if unknown
+ */
+export function matchProgram(label) {
+  const text = (label || '').trim();
+  const key = Object.keys(PROGRAMS).find(k => PROGRAMS[k].labelPattern.test(text));
+  return key || null;
+}
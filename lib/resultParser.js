@@ -0,0 +1,235 @@
+import * as cheerio from 'cheerio';
+import { RESULT_SCHEMA_VERSION } from './resultSchema.js';
+
+/**
+ * Grade points of the grading scheme
+ */
+export const GRADE_POINTS = { 'A+': 10, 'A': 9, 'B+': 8, 'B': 7, 'C+': 6, 'C': 5, 'D': 4, 'F': 0 };
+
+// Subject table columns, recognized by their header text
+const COLUMNS = [
+  ['subject', /^subject/],
+  ['total_credit', /total\s*credit/],
+  ['earned_credit', /earn\w*\s*credit/],
+  ['grade', /^grade/],
+  ['theory_max', /theory\s*max/],
+  ['theory_obtained', /theory\s*(obt|secured)/],
+  ['practical_max', /practical\s*max/],
+  ['practical_obtained', /practical\s*(obt|secured)/],
+  ['total', /^total/]
+];
+
+/**
+ * Read a number from a result cell
+ * @param {string} text - Cell text such as "4", "7.25" or "-"
+ * @returns {number|null} - The number, null for blanks, dashes and markers like "AB"
+ */
+export function parseNumber(text) {
+  const match = String(text || '').trim().match(/^(-?\d+(?:\.\d+)?)\s*\*?$/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Split a subject cell into code, name and type
+ *
+ * The portal prints subjects as "CS301- [T]", "CS301-Data Structures [T]"
+ * or "BT 101 Engineering Chemistry (P)".
+ *
+ * @param {string} text - Subject cell text
+ * @returns {Object} - `{ code, name, type }`, type is 'theory', 'practical' or null
+ */
+export function splitSubject(text) {
+  let rest = String(text || '').replace(/\s+/g, ' ').trim();
+  let type = null;
+
+  const marker = rest.match(/[[(]\s*([TP])\s*[\])]$/i);
+  if (marker) {
+    type = marker[1].toUpperCase() === 'T' ? 'theory' : 'practical';
+    rest = rest.slice(0, marker.index).trim();
+  }
+
+  const code = rest.match(/^([A-Z]{2,5}[- ]?\d{3}[A-Z]?)\b\s*-?\s*/i);
+  if (!code) {
+    return { code: '', name: rest.replace(/-$/, '').trim(), type };
+  }
+  return {
+    code: code[1].toUpperCase().replace(/[- ]/g, ''),
+    name: rest.slice(code[0].length).trim(),
+    type
+  };
+}
+
+/**
+ * Whether a grade or marks cell says the student was absent
+ * @param {string} text - Cell text such as "F (ABS)" or "AB"
+ * @returns {boolean}
+ */
+function isAbsent(text) {
+  return /\bABS?\b/i.test(text);
+}
+
+/**
+ * Whether a grade or result description says the result is withheld
+ * @param {string} text - Cell text such as "WH" or "RESULT WITHHELD"
+ * @returns {boolean}
+ */
+function isWithheld(text) {
+  return /with\s*-?\s*held|^\s*WH?\s*$/i.test(text);
+}
+
+/**
+ * Find subject rows by their tables' header rows
+ *
+ * A header row starts with a "Subject" cell followed by grade, credit or
+ * marks columns; the rows after it in the same table are subjects. Student
+ * details and result summary tables have no such header and are skipped.
+ *
+ * @param {Function} $ - Cheerio instance loaded with the result page
+ * @returns {Array<Object>} - One `{ column: cell text }` object per subject row
+ */
+function findSubjectRows($) {
+  const rows = [];
+
+  $('table').each((tableIndex, table) => {
+    let columns = null;
+    // Rows of nested tables are visited with their own table
+    const ownRows = $(table).find('tr').filter((i, row) => $(row).closest('table')[0] === table);
+    ownRows.each((rowIndex, row) => {
+      const cells = $(row).children('th, td');
+      const texts = cells.map((i, cell) => $(cell).text().replace(/\s+/g, ' ').trim()).get();
+
+      const roles = texts.map(text => {
+        const column = COLUMNS.find(([, pattern]) => pattern.test(text.toLowerCase()));
+        return column ? column[0] : null;
+      });
+      if (roles[0] === 'subject' && roles.filter(Boolean).length >= 2) {
+        columns = roles;
+        return;
+      }
+
+      if (!columns || $(row).children('td').length < columns.filter(Boolean).length || !texts[0]) {
+        return;
+      }
+      const values = {};
+      columns.forEach((role, i) => {
+        if (role) values[role] = texts[i] || '';
+      });
+      rows.push(values);
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Turn a grading scheme subject row into a subject
+ * @param {Object} row - Cell texts by column
+ * @returns {Object} - The subject
+ */
+function gradingSubject(row) {
+  const grade = (row.grade || '').toUpperCase();
+  const withheld = isWithheld(grade);
+  const baseGrade = grade.replace(/\s*\(.*\)\s*$/, '').trim();
+  return {
+    subject: row.subject,
+    ...splitSubject(row.subject),
+    total_credit: parseNumber(row.total_credit),
+    earned_credit: parseNumber(row.earned_credit),
+    grade,
+    grade_point: !withheld && baseGrade in GRADE_POINTS ? GRADE_POINTS[baseGrade] : null,
+    absent: isAbsent(grade),
+    withheld
+  };
+}
+
+/**
+ * Turn a marks scheme subject row into a subject
+ * @param {Object} row - Cell texts by column
+ * @returns {Object} - The subject
+ */
+function marksSubject(row) {
+  const cells = [row.theory_obtained, row.practical_obtained, row.total].map(text => text || '');
+  return {
+    subject: row.subject,
+    ...splitSubject(row.subject),
+    theory: { max: parseNumber(row.theory_max), obtained: parseNumber(row.theory_obtained) },
+    practical: { max: parseNumber(row.practical_max), obtained: parseNumber(row.practical_obtained) },
+    total: parseNumber(row.total),
+    grade: (row.grade || '').toUpperCase(),
+    absent: cells.some(isAbsent),
+    withheld: cells.some(isWithheld)
+  };
+}
+
+/**
+ * Parse a result page
+ *
+ * Grading pages suffix their label IDs with "Grading". Numbers are parsed
+ * into numbers, with null where the page has none. Validate the output
+ * with validateResult before trusting it.
+ *
+ * @param {string} html - Result page HTML
+ * @returns {Object} - Result data following RESULT_SCHEMA
+ */
+export function parseResultPage(html) {
+  const $ = cheerio.load(html);
+  const scheme = $('#ctl00_ContentPlaceHolder1_lblNameGrading').length > 0 ? 'grading' : 'marks';
+  const suffix = scheme === 'grading' ? 'Grading' : '';
+  const label = (id) => $(`#ctl00_ContentPlaceHolder1_${id}`).text().replace(/\s+/g, ' ').trim();
+
+  const subjects = findSubjectRows($).map(scheme === 'grading' ? gradingSubject : marksSubject);
+  const description = label(`lblResultNew${suffix}`);
+
+  // "FAIL IN CS301,CS305" names the backlogs, failed subjects fill in the rest
+  const backlogs = [];
+  const failIn = description.match(/fail\w*\s+in\s+(.+)$/i);
+  if (failIn) {
+    backlogs.push(...failIn[1].split(/[\s,]+/).filter(Boolean).map(code => code.toUpperCase()));
+  }
+  for (const subject of subjects) {
+    const failed = subject.grade.startsWith('F') || subject.absent;
+    if (failed && subject.code && !backlogs.includes(subject.code)) {
+      backlogs.push(subject.code);
+    }
+  }
+
+  const withheld = isWithheld(description) || subjects.some(s => s.withheld);
+  let passed = null;
+  if (!withheld && /^pass/i.test(description)) {
+    passed = true;
+  } else if (!withheld && (/fail|atkt|supp|backlog/i.test(description) || backlogs.length > 0)) {
+    passed = false;
+  }
+
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    scheme,
+    university: $('.resultheader').text().replace(/\s+/g, ' ').trim(),
+    session: label('lblSession'),
+    student: {
+      name: label(`lblName${suffix}`),
+      roll_no: label(`lblRollNo${suffix}`),
+      course: label(`lblProgram${suffix}`),
+      branch: label(`lblBranch${suffix}`),
+      semester: label(`lblSemester${suffix}`),
+      status: label(`lblStatus${suffix}`)
+    },
+    subjects,
+    results: {
+      description,
+      passed,
+      withheld,
+      backlogs,
+      sgpa: scheme === 'grading' ? parseNumber(label('lblSGPA')) : null,
+      cgpa: scheme === 'grading' ? parseNumber(label('lblcgpa')) : null,
+      total_marks: scheme === 'marks' ? parseNumber(label('lblTotalMarks')) : null,
+      max_marks: scheme === 'marks' ? parseNumber(label('lblMaxMarks')) : null,
+      percentage: scheme === 'marks' ? parseNumber(label('lblPercentage')) : null,
+      division: scheme === 'marks' ? label('lblDivision') : ''
+    },
+    revaluationDates: {
+      normal: label(`Label4New${suffix}`),
+      late: label(`Label5New${suffix}`)
+    }
+  };
+}
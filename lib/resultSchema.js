@@ -0,0 +1,156 @@
+/**
+ * JSON schema of parsed results, as produced by parseResultPage.
+ *
+ * Bump RESULT_SCHEMA_VERSION whenever the shape of the data changes, so
+ * cached results and exports can tell which parser wrote them.
+ * Results cached before versioning have no `schemaVersion` and hold every
+ * value as a string.
+ */
+
+export const RESULT_SCHEMA_VERSION = 2;
+
+const nullableNumber = { type: ['number', 'null'] };
+
+const marksPart = {
+  type: 'object',
+  required: ['max', 'obtained'],
+  properties: {
+    max: nullableNumber,
+    obtained: nullableNumber
+  }
+};
+
+export const RESULT_SCHEMA = {
+  $id: `rgpv-result-v${RESULT_SCHEMA_VERSION}`,
+  type: 'object',
+  required: ['schemaVersion', 'scheme', 'university', 'session', 'student', 'subjects', 'results', 'revaluationDates'],
+  properties: {
+    schemaVersion: { type: 'number', enum: [RESULT_SCHEMA_VERSION] },
+    scheme: { type: 'string', enum: ['grading', 'marks'] },
+    university: { type: 'string' },
+    session: { type: 'string' },
+    student: {
+      type: 'object',
+      required: ['name', 'roll_no', 'course', 'branch', 'semester', 'status'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        roll_no: { type: 'string', minLength: 1 },
+        course: { type: 'string' },
+        branch: { type: 'string' },
+        semester: { type: 'string' },
+        status: { type: 'string' }
+      }
+    },
+    subjects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['subject', 'code', 'name', 'type', 'grade', 'absent', 'withheld'],
+        properties: {
+          // The subject cell as printed, e.g. "CS301- [T]"
+          subject: { type: 'string', minLength: 1 },
+          code: { type: 'string' },
+          name: { type: 'string' },
+          type: { type: ['string', 'null'], enum: ['theory', 'practical', null] },
+          grade: { type: 'string' },
+          absent: { type: 'boolean' },
+          withheld: { type: 'boolean' },
+          // Grading scheme
+          total_credit: nullableNumber,
+          earned_credit: nullableNumber,
+          grade_point: nullableNumber,
+          // Marks scheme
+          theory: marksPart,
+          practical: marksPart,
+          total: nullableNumber
+        }
+      }
+    },
+    results: {
+      type: 'object',
+      required: ['description', 'passed', 'withheld', 'backlogs', 'sgpa', 'cgpa', 'total_marks', 'max_marks', 'percentage', 'division'],
+      properties: {
+        description: { type: 'string' },
+        passed: { type: ['boolean', 'null'] },
+        withheld: { type: 'boolean' },
+        backlogs: { type: 'array', items: { type: 'string' } },
+        sgpa: nullableNumber,
+        cgpa: nullableNumber,
+        total_marks: nullableNumber,
+        max_marks: nullableNumber,
+        percentage: nullableNumber,
+        division: { type: 'string' }
+      }
+    },
+    revaluationDates: {
+      type: 'object',
+      required: ['normal', 'late'],
+      properties: {
+        normal: { type: 'string' },
+        late: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Get the JSON type of a value
+ * @param {*} value - Any value
+ * @returns {string} - 'null', 'array', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema node, collecting every violation
+ * @param {*} value - The value
+ * @param {Object} schema - Schema node using type, enum, minLength, required, properties and items
+ * @param {string} at - Path of the value, used in messages
+ * @param {Array<string>} errors - Where violations are added
+ */
+function check(value, schema, at, errors) {
+  const types = [].concat(schema.type || []);
+  const type = typeOf(value);
+  if (types.length > 0 && !types.includes(type) && !(type === 'number' && types.includes('integer'))) {
+    errors.push(`${at} should be ${types.join(' or ')}, got ${type}`);
+    return;
+  }
+  if (type === 'number' && !Number.isFinite(value)) {
+    errors.push(`${at} should be a finite number`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.minLength && type === 'string' && value.length < schema.minLength) {
+    errors.push(`${at} should not be empty`);
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${at}.${key} is missing`);
+      }
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        check(value[key], child, `${at}.${key}`, errors);
+      }
+    }
+  } else if (type === 'array' && schema.items) {
+    value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`, errors));
+  }
+}
+
+/**
+ * Validate parsed result data against RESULT_SCHEMA
+ * @param {Object} data - Result data from parseResultPage
+ * @returns {Array<string>} - Violations, empty if the data is valid
+ */
+export function validateResult(data) {
+  const errors = [];
+  check(data, RESULT_SCHEMA, 'result', errors);
+  return errors;
+}
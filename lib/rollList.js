@@ -0,0 +1,166 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Helpers for building batch student lists from roll-list files and range specs.
+ *
+ * A student entry is `{ rollNumber, semester, label? }`, the same shape
+ * RGPVScraper.batchProcess takes.
+ */
+
+// College code, branch, admission year, then a 4-digit serial or a lateral-entry serial (e.g. D001)
+export const ROLL_NUMBER_PATTERN = /^\d{4}[A-Z]{2,4}\d{2}[0-9A-Z]\d{3}$/;
+
+/**
+ * Expand a range spec into students
+ *
+ * Format: `<prefix>:<start>-<end>[@<semester>]`, e.g. `0818CS23:1001-1078`
+ * or `0818CS23D:001-020@4`. The serial keeps the width of `start`.
+ *
+ * @param {string} spec - The range spec
+ * @param {string} defaultSemester - Semester used when the spec has none
+ * @returns {Array<Object>} - Student entries
+ */
+export function parseRangeSpec(spec, defaultSemester) {
+  const match = String(spec).trim().match(/^([0-9A-Za-z]+):(\d+)-(\d+)(?:@(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid range "${spec}", expected <prefix>:<start>-<end>[@<semester>] (e.g. 0818CS23:1001-1078)`);
+  }
+
+  const [, prefix, start, end, semester] = match;
+  if (parseInt(end) < parseInt(start)) {
+    throw new Error(`Invalid range "${spec}", end is before start`);
+  }
+
+  const students = [];
+  for (let i = parseInt(start); i <= parseInt(end); i++) {
+    students.push({
+      rollNumber: `${prefix.toUpperCase()}${i.toString().padStart(start.length, '0')}`,
+      semester: semester || defaultSemester,
+      source: `range ${spec}`
+    });
+  }
+  return students;
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ * @param {string} line - The CSV line
+ * @returns {Array<string>} - The fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Load a roll list file
+ *
+ * - `.csv`: `rollNumber,semester,label` per row, header row optional
+ * - `.txt`: one roll number per line, optionally followed by semester and label; `#` starts a comment
+ * - `.json`: array of roll number strings or `{ rollNumber, semester, label }` objects
+ *
+ * @param {string} filePath - Path of the roll list
+ * @param {string} defaultSemester - Semester used for rows without one
+ * @returns {Array<Object>} - Student entries with the line they came from
+ */
+export function loadRollList(filePath, defaultSemester) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Roll list not found: ${filePath}`);
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  const content = fs.readFileSync(filePath, 'utf8');
+  const fileName = path.basename(filePath);
+  const students = [];
+
+  if (ext === '.json') {
+    const rows = JSON.parse(content);
+    if (!Array.isArray(rows)) {
+      throw new Error(`${fileName} must contain an array of roll numbers or students`);
+    }
+
+    rows.forEach((row, index) => {
+      const entry = typeof row === 'string' ? { rollNumber: row } : row;
+      students.push({
+        rollNumber: String(entry.rollNumber || '').trim().toUpperCase(),
+        semester: entry.semester ? String(entry.semester) : defaultSemester,
+        label: entry.label,
+        source: `${fileName}[${index}]`
+      });
+    });
+    return students;
+  }
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const fields = ext === '.csv' ? splitCsvLine(line) : line.split(/\s+/);
+    const [rollNumber, semester, ...label] = fields;
+
+    // Skip a CSV header row
+    if (ext === '.csv' && index === 0 && /roll/i.test(rollNumber)) return;
+
+    students.push({
+      rollNumber: rollNumber.toUpperCase(),
+      semester: semester || defaultSemester,
+      label: label.length > 0 ? label.join(ext === '.csv' ? ',' : ' ') : undefined,
+      source: `${fileName}:${index + 1}`
+    });
+  });
+
+  return students;
+}
+
+/**
+ * Validate student entries before any network work starts
+ * @param {Array<Object>} students - Student entries
+ * @returns {Object} - `{ students, errors }` with duplicates removed and a message per invalid entry
+ */
+export function validateStudents(students) {
+  const errors = [];
+  const seen = new Set();
+  const valid = [];
+
+  for (const student of students) {
+    const where = student.source ? ` (${student.source})` : '';
+
+    if (!ROLL_NUMBER_PATTERN.test(student.rollNumber)) {
+      errors.push(`Invalid roll number "${student.rollNumber}"${where}`);
+      continue;
+    }
+    if (!/^\d+$/.test(String(student.semester || ''))) {
+      errors.push(`Invalid semester "${student.semester}" for ${student.rollNumber}${where}`);
+      continue;
+    }
+
+    const key = `${student.rollNumber}:${student.semester}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const { source, ...entry } = student;
+    if (entry.label === undefined) delete entry.label;
+    valid.push(entry);
+  }
+
+  return { students: valid, errors };
+}
@@ -0,0 +1,55 @@
+import TesseractSolver from './TesseractSolver.js';
+import TemplateSolver from './TemplateSolver.js';
+import ManualSolver from './ManualSolver.js';
+import ChainSolver from './ChainSolver.js';
+
+/**
+ * Built-in captcha solver backends
+ */
+export const SOLVERS = {
+  tesseract: TesseractSolver,
+  template: TemplateSolver,
+  manual: ManualSolver
+};
+
+/**
+ * Build a captcha solver backend
+ *
+ * A solver is any object with `solve(imageBuffer, hints) → Promise<{ text, confidence }>`
+ * (confidence from 0 to 1) and optionally `init(options)`, `terminate()` and `name`.
+ * Solvers that can should also return `characters: [{ char, confidence }]` so
+ * samples can be voted on character by character.
+ *
+ * @param {string|Array|Object} spec - A solver object, a built-in name, a comma separated
+ *   fallback order such as 'template,tesseract,manual', or an array of any of these
+ * @param {Object} options - Options for the built-in solvers and the chain
+ * @param {number} options.poolSize - Tesseract workers
+ * @param {number} options.jobTimeout - Time limit of one Tesseract job in milliseconds
+ * @param {number} options.recycleAfter - Jobs after which a Tesseract worker is replaced
+ * @param {string} options.alphabet - Characters a captcha can contain
+ * @param {string} options.templates - Template file of the template solver
+ * @param {number} options.minConfidence - Confidence needed to stop at a solver in a chain
+ * @param {boolean} options.debug - Enable debug mode
+ * @returns {Object} - The solver
+ */
+export function createSolver(spec = 'tesseract', options = {}) {
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    if (typeof spec.solve !== 'function') {
+      throw new Error('A captcha solver must have a solve(imageBuffer) method');
+    }
+    return spec;
+  }
+
+  const parts = Array.isArray(spec) ? spec : String(spec).split(',').map(name => name.trim()).filter(Boolean);
+  const solvers = parts.map(part => {
+    if (typeof part !== 'string') return createSolver(part, options);
+
+    const Solver = SOLVERS[part.toLowerCase()];
+    if (!Solver) {
+      throw new Error(`Unknown captcha solver: ${part} (expected ${Object.keys(SOLVERS).join(', ')})`);
+    }
+    return new Solver(options);
+  });
+
+  return solvers.length === 1 ? solvers[0] : new ChainSolver(solvers, options);
+}
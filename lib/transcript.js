@@ -0,0 +1,162 @@
+/**
+ * Helpers for merging per-semester results into a single transcript.
+ */
+
+import { splitSubject } from './resultParser.js';
+
+// Grades that mean the subject has to be cleared again, for results cached
+// before schema version 2 which have no backlog list
+const LEGACY_FAIL_GRADES = ['F', 'F (ABS)'];
+
+/**
+ * Parse a number out of a result field
+ * @param {string|number} value - Value from the result page
+ * @returns {number|null} - The number or null if not numeric
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Get the code identifying a subject across semesters
+ * @param {Object} subject - Subject from a result
+ * @returns {string} - The subject code, or the subject cell if it has none
+ */
+function subjectCode(subject) {
+  if (subject.code !== undefined) {
+    return subject.code || subject.subject;
+  }
+  // Results cached before schema version 2 only have the subject cell
+  return splitSubject(subject.subject).code || subject.subject;
+}
+
+/**
+ * Get the subjects a semester's result leaves to be cleared
+ * @param {Object} data - Result data
+ * @returns {Array<string>} - Subject codes
+ */
+function semesterBacklogs(data) {
+  if (Array.isArray(data.results.backlogs)) {
+    return data.results.backlogs;
+  }
+
+  const backlogs = [];
+  for (const subject of data.subjects) {
+    const code = subjectCode(subject);
+    if (LEGACY_FAIL_GRADES.includes(subject.grade) && !backlogs.includes(code)) {
+      backlogs.push(code);
+    }
+  }
+  return backlogs;
+}
+
+/**
+ * Expand a semester list such as "1-6" or "1,3,5-6"
+ * @param {string} spec - Semester specification
+ * @returns {Array<string>} - Semester numbers in order
+ */
+export function parseSemesterList(spec) {
+  const semesters = [];
+  for (const part of String(spec).split(',')) {
+    const range = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!range) {
+      throw new Error(`Invalid semester list: ${spec}`);
+    }
+
+    const from = parseInt(range[1]);
+    const to = range[2] ? parseInt(range[2]) : from;
+    for (let semester = from; semester <= to; semester++) {
+      if (!semesters.includes(String(semester))) {
+        semesters.push(String(semester));
+      }
+    }
+  }
+  return semesters;
+}
+
+/**
+ * Merge per-semester results into a transcript
+ * @param {string} rollNumber - The student's roll number
+ * @param {Array<Object>} results - Results from RGPVScraper.getResult, in semester order
+ * @returns {Object} - Transcript with per-semester SGPA, running CGPA, credits and backlogs by subject code
+ */
+export function buildTranscript(rollNumber, results) {
+  const transcript = {
+    rollNumber,
+    name: '',
+    program: '',
+    branch: '',
+    semesters: [],
+    missingSemesters: [],
+    cgpa: null,
+    cumulativeCredits: 0,
+    backlogHistory: [],
+    activeBacklogs: 0
+  };
+
+  let weightedPoints = 0;
+  let gradedCredits = 0;
+
+  for (const result of results) {
+    if (!result.success || !result.data) {
+      transcript.missingSemesters.push(result.semester);
+      continue;
+    }
+
+    const data = result.data;
+    transcript.name = transcript.name || data.student.name;
+    transcript.program = transcript.program || data.student.course;
+    transcript.branch = transcript.branch || data.student.branch;
+
+    let totalCredits = 0;
+    let earnedCredits = 0;
+    for (const subject of data.subjects) {
+      totalCredits += toNumber(subject.total_credit) || 0;
+      earnedCredits += toNumber(subject.earned_credit) || 0;
+    }
+    const backlogs = semesterBacklogs(data);
+
+    // Running CGPA weighted by the credits of each semester
+    const sgpa = toNumber(data.results.sgpa);
+    if (sgpa !== null && totalCredits > 0) {
+      weightedPoints += sgpa * totalCredits;
+      gradedCredits += totalCredits;
+    }
+    transcript.cumulativeCredits += earnedCredits;
+
+    // A subject failed earlier is cleared once it shows up again and isn't a backlog any more
+    for (const backlog of transcript.backlogHistory) {
+      const retakes = data.subjects.filter(s => subjectCode(s) === backlog.subject);
+      const passed = retakes.length > 0 && retakes.every(s => !s.absent && !s.withheld);
+      if (!backlog.clearedIn && passed && !backlogs.includes(backlog.subject)) {
+        backlog.clearedIn = result.semester;
+      }
+    }
+    for (const subject of backlogs) {
+      if (!transcript.backlogHistory.some(b => b.subject === subject && !b.clearedIn)) {
+        transcript.backlogHistory.push({ subject, semester: result.semester, clearedIn: null });
+      }
+    }
+
+    transcript.semesters.push({
+      semester: result.semester,
+      session: data.session,
+      scheme: data.scheme || 'grading',
+      sgpa,
+      reportedCgpa: toNumber(data.results.cgpa),
+      runningCgpa: gradedCredits > 0 ? Number((weightedPoints / gradedCredits).toFixed(2)) : null,
+      totalCredits,
+      earnedCredits,
+      cumulativeCredits: transcript.cumulativeCredits,
+      result: data.results.description,
+      backlogs
+    });
+  }
+
+  const last = transcript.semesters[transcript.semesters.length - 1];
+  transcript.cgpa = last ? last.runningCgpa : null;
+  transcript.activeBacklogs = transcript.backlogHistory.filter(b => !b.clearedIn).length;
+
+  return transcript;
+}
@@ -0,0 +1,94 @@
+import { MockRGPVServer } from './lib/index.js';
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = {
+    port: 8080,
+    mode: 'normal',
+    captchaAnswers: null,
+    undeclaredSemesters: [],
+    declareAfter: 0,
+    debug: false
+  };
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (arg === '--port' && i + 1 < args.length) {
+      config.port = parseInt(args[++i]);
+    } else if (arg === '--maintenance') {
+      config.mode = 'maintenance';
+    } else if (arg === '--overloaded') {
+      config.mode = 'overloaded';
+    } else if (arg === '--undeclared' && i + 1 < args.length) {
+      // Comma separated semesters whose results are not declared yet
+      config.undeclaredSemesters = args[++i].split(',').map(s => s.trim());
+    } else if (arg === '--declare-after' && i + 1 < args.length) {
+      config.declareAfter = parseFloat(args[++i]) * 1000;
+    } else if (arg === '--captcha' && i + 1 < args.length) {
+      // Comma separated captcha answers handed out in order
+      config.captchaAnswers = args[++i].split(',').map(s => s.trim().toUpperCase());
+    } else if (arg === '--debug') {
+      config.debug = true;
+    } else if (arg === '--help') {
+      printHelp();
+      process.exit(0);
+    }
+  }
+  
+  return config;
+}
+
+// Print help message
+function printHelp() {
+  console.log(`
+Mock RGPV Result Server
+
+Usage: node mock-server.js [options]
+
+Options:
+  --port <number>        Port to listen on (default: 8080)
+  --maintenance          Serve the "Site Under Construction" page for every request
+  --overloaded           Answer every request with 503 and Retry-After
+  --undeclared <list>    Comma separated semesters whose results are not declared yet
+  --declare-after <sec>  Declare the --undeclared semesters after this many seconds
+  --captcha <list>       Comma separated captcha answers handed out in order (default: random)
+  --debug                Log every request
+  --help                 Show this help message
+
+Point the scraper at it with:
+  node index.js --base-url http://127.0.0.1:8080/Result/ --rollno 0818CS231001 --semester 3
+  `);
+}
+
+async function main() {
+  const config = parseArgs();
+  const server = new MockRGPVServer({
+    mode: config.mode,
+    captchaAnswers: config.captchaAnswers,
+    undeclaredSemesters: config.undeclaredSemesters,
+    debug: config.debug
+  });
+  
+  const baseUrl = await server.start(config.port);
+  console.log(`Mock RGPV server running at ${baseUrl}`);
+  console.log('Sample students: 0818CS231001-0818CS231060, 0818CS23D001-0818CS23D005 (semesters 1-8), 0818CS161001 (marks scheme, semester 8)');
+  
+  if (config.declareAfter > 0 && config.undeclaredSemesters.length > 0) {
+    setTimeout(() => {
+      config.undeclaredSemesters.forEach(semester => server.declare(semester));
+      console.log(`Results declared for semesters ${config.undeclaredSemesters.join(', ')}`);
+    }, config.declareAfter);
+  }
+  
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CaptchaPreprocessor from '../lib/CaptchaPreprocessor.js';
+import { encodePng } from '../lib/png.js';
+
+const GIF = Buffer.concat([Buffer.from('GIF89a', 'latin1'), Buffer.alloc(120)]);
+const JPEG = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]), Buffer.alloc(120)]);
+
+/**
+ * Draw a white captcha with a black bar across it
+ * @returns {Buffer} - PNG image
+ */
+function barCaptcha() {
+  const width = 60;
+  const height = 20;
+  const pixels = new Uint8Array(width * height).fill(255);
+  for (let y = 6; y < 14; y++) {
+    for (let x = 10; x < 50; x++) pixels[y * width + x] = 0;
+  }
+  return encodePng(width, height, pixels);
+}
+
+test('PNG captchas are preprocessed', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const processed = new CaptchaPreprocessor().process(barCaptcha());
+
+  assert.equal(processed.skipped, false);
+  assert.ok(processed.steps.includes('threshold'));
+  assert.equal(log.mock.callCount(), 0);
+});
+
+test('other formats are passed on with a warning outside debug mode, once per format', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const preprocessor = new CaptchaPreprocessor();
+
+  for (const buffer of [GIF, GIF, JPEG]) {
+    const processed = preprocessor.process(buffer);
+    assert.equal(processed.skipped, true);
+    assert.equal(processed.buffer, buffer);
+  }
+
+  assert.deepEqual(log.mock.calls.map(call => call.arguments[0]), [
+    "⚠️ Captcha preprocessing skipped, the solver gets the raw image: GIF captchas can't be preprocessed, only PNG",
+    "⚠️ Captcha preprocessing skipped, the solver gets the raw image: JPEG captchas can't be preprocessed, only PNG"
+  ]);
+});
+
+test('turning preprocessing off is not warned about', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const processed = new CaptchaPreprocessor({ steps: 'none' }).process(GIF);
+
+  assert.equal(processed.skipped, true);
+  assert.equal(log.mock.callCount(), 0);
+});
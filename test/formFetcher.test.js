@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FormFetcher from '../lib/FormFetcher.js';
+
+/**
+ * Create a fetcher for a stand-in portal whose ProgramSelect.aspx lists one program
+ * @param {string} baseUrl - Portal root
+ * @param {string} label - Label of the listed program
+ * @param {string} metadataFile - Metadata cache file
+ * @returns {Object} - `{ fetcher, requests }`; requests counts the pages fetched
+ */
+function createFetcher(baseUrl, label, metadataFile) {
+  const requests = [];
+  const httpClient = {
+    baseUrl,
+    request: async (page) => {
+      requests.push(page);
+      return {
+        status: 200,
+        headers: new Map(),
+        body: `<form><input id="radlstProgram_0" type="radio" name="radlstProgram" value="24" /><label for="radlstProgram_0">${label}</label></form>`
+      };
+    }
+  };
+  return { fetcher: new FormFetcher(false, { httpClient, metadataFile }), requests };
+}
+
+test('cached program lists are kept per portal', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rgpv-metadata-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const metadataFile = path.join(dir, 'portal_metadata.json');
+
+  const mock = createFetcher('http://127.0.0.1:8080/Result/', 'MOCK B.E.', metadataFile);
+  const portal = createFetcher('https://result.rgpv.ac.in/Result/', 'B.E.', metadataFile);
+
+  assert.equal((await mock.fetcher.discoverPrograms())[0].label, 'MOCK B.E.');
+  assert.equal((await portal.fetcher.discoverPrograms())[0].label, 'B.E.');
+  assert.equal(portal.requests.length, 1);
+
+  // Both portals answer from the cache now
+  assert.equal((await mock.fetcher.discoverPrograms())[0].label, 'MOCK B.E.');
+  assert.equal((await portal.fetcher.discoverPrograms())[0].label, 'B.E.');
+  assert.equal(mock.requests.length, 1);
+  assert.equal(portal.requests.length, 1);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(metadataFile, 'utf8'))), [
+    'http://127.0.0.1:8080/Result/',
+    'https://result.rgpv.ac.in/Result/'
+  ]);
+});
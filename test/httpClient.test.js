@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import HttpClient from '../lib/HttpClient.js';
+
+// Requests received per method, and the status the next responses get
+const received = { GET: 0, POST: 0 };
+let status = 200;
+
+const server = http.createServer((req, res) => {
+  received[req.method]++;
+  req.resume();
+  req.on('end', () => {
+    // Retry-After of 0 keeps the shared pause short
+    res.writeHead(status, { 'content-type': 'text/plain', 'retry-after': '0' });
+    res.end(String(status));
+  });
+});
+let client;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  client = new HttpClient({ baseUrl: `http://127.0.0.1:${server.address().port}/`, rps: 0, retries: 2 });
+});
+
+after(async () => {
+  client.destroy();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Reset the request counters and set the response status
+ * @param {number} nextStatus - Status to answer with
+ */
+function answer(nextStatus) {
+  status = nextStatus;
+  received.GET = 0;
+  received.POST = 0;
+}
+
+test('GET is retried while the portal is overloaded', async () => {
+  answer(503);
+  const response = await client.request('page');
+
+  assert.equal(response.status, 503);
+  assert.equal(received.GET, 3);
+});
+
+test('POST is sent once, its captcha and VIEWSTATE may already be used up', async () => {
+  answer(503);
+  const response = await client.request('page', { method: 'POST', body: new URLSearchParams({ a: '1' }) });
+
+  assert.equal(response.status, 503);
+  assert.equal(received.POST, 1);
+});
+
+test('POST retries can be asked for explicitly', async () => {
+  answer(503);
+  await client.request('page', { method: 'POST', body: 'a=1', retries: 1 });
+
+  assert.equal(received.POST, 2);
+});
+
+test('POST network errors are not retried', async () => {
+  const closed = new HttpClient({ baseUrl: 'http://127.0.0.1:1/', rps: 0, retries: 2 });
+  const failures = [];
+  closed.on('failure', error => failures.push(error));
+
+  await assert.rejects(closed.request('page', { method: 'POST', body: 'a=1' }));
+  assert.equal(failures.length, 1);
+  closed.destroy();
+});
+
+test('successful responses are returned as they are', async () => {
+  answer(200);
+  const response = await client.request('page', { method: 'POST', body: 'a=1' });
+
+  assert.equal(response.body, '200');
+  assert.equal(received.POST, 1);
+});
@@ -0,0 +1,66 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JobStore, { JOB_STATES } from '../lib/JobStore.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rgpv-jobs-'));
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('retryable failures are queued again up to the attempt limit', () => {
+  const job = JobStore.create([{ rollNumber: '0818CS231001', semester: '3' }], { dir });
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    const { key } = job.next();
+    const requeued = job.markFailed(key, 'Invalid CAPTCHA code entered (invalid-captcha)', 3, true);
+    assert.equal(requeued, attempt < 3);
+  }
+  assert.equal(job.getSummary()[JOB_STATES.FAILED], 1);
+  assert.equal(job.next(), null);
+});
+
+test('resuming a job retries retryable failures only', () => {
+  const job = JobStore.create([
+    { rollNumber: '0818CS231001', semester: '3' },
+    { rollNumber: '0818CS231002', semester: '3' },
+    { rollNumber: '0818CS231003', semester: '3' }
+  ], { dir });
+  job.markFailed(job.next().key, 'Invalid CAPTCHA code entered (invalid-captcha)', 1, true);
+  job.markFailed(job.next().key, 'Result not declared yet (result-not-declared)');
+  job.markNotFound(job.next().key, 'Roll number does not exist');
+
+  const resumed = JobStore.load(job.jobId, { dir });
+  assert.deepEqual(resumed.getEntries(JOB_STATES.PENDING).map(e => [e.student.rollNumber, e.attempts]), [['0818CS231001', 0]]);
+  assert.deepEqual(resumed.getEntries(JOB_STATES.FAILED).map(e => e.student.rollNumber), ['0818CS231002']);
+  assert.equal(resumed.getSummary()[JOB_STATES.NOT_FOUND], 1);
+});
+
+test('the same roll number is kept once per program and scheme', () => {
+  const job = JobStore.create([
+    { rollNumber: '0818CS231001', semester: '3' },
+    { rollNumber: '0818CS231001', semester: '3' },
+    { rollNumber: '0818CS231001', semester: '3', scheme: 'marks' },
+    { rollNumber: '0818CS231001', semester: '3', program: 'mtech' },
+    { rollNumber: '0818CS231001', semester: '3', program: 'mtech', scheme: 'marks' }
+  ], { dir });
+
+  assert.deepEqual([...job.entries.keys()], [
+    '0818CS231001:3',
+    '0818CS231001:3::marks',
+    '0818CS231001:3:mtech:',
+    '0818CS231001:3:mtech:marks'
+  ]);
+});
+
+test('job IDs that could leave the jobs directory are rejected', () => {
+  const job = JobStore.create([{ rollNumber: '0818CS231001', semester: '3' }], { dir });
+  assert.equal(JobStore.load(job.jobId, { dir }).jobId, job.jobId);
+
+  for (const jobId of ['../x', 'job_20250406-101500_a1b2/../../x', `${job.jobId}.jsonl`, '']) {
+    assert.throws(() => JobStore.load(jobId, { dir }), /Invalid job ID/);
+  }
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimiter from '../lib/RateLimiter.js';
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise<void>}
+ */
+const flush = () => new Promise(resolve => process.nextTick(resolve));
+
+/**
+ * Queue callers and record when each one gets its slot
+ * @param {RateLimiter} limiter - The limiter to acquire from
+ * @param {number} count - Number of callers
+ * @returns {Object} - `{ granted, releases }`; granted holds the caller numbers in order
+ */
+function acquireMany(limiter, count) {
+  const granted = [];
+  const releases = [];
+  for (let i = 0; i < count; i++) {
+    limiter.acquire().then(release => {
+      granted.push(i);
+      releases.push(release);
+    });
+  }
+  return { granted, releases };
+}
+
+/**
+ * Release a slot right away with the given outcome, `count` times
+ * @param {RateLimiter} limiter - The limiter to acquire from
+ * @param {number} count - Number of requests
+ * @param {Object} outcome - `{ ok, latency }`
+ */
+async function finish(limiter, count, outcome) {
+  for (let i = 0; i < count; i++) {
+    const release = await limiter.acquire();
+    release(outcome);
+  }
+}
+
+test('the token bucket allows a burst, then one request per interval', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const limiter = new RateLimiter({ rps: 10, burst: 2, adaptive: false });
+  const { granted } = acquireMany(limiter, 4);
+
+  await flush();
+  assert.deepEqual(granted, [0, 1]);
+
+  t.mock.timers.tick(99);
+  await flush();
+  assert.deepEqual(granted, [0, 1]);
+
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(granted, [0, 1, 2]);
+
+  t.mock.timers.tick(100);
+  await flush();
+  assert.deepEqual(granted, [0, 1, 2, 3]);
+});
+
+test('requests beyond the in-flight limit wait for a release', async () => {
+  const limiter = new RateLimiter({ rps: 0, maxInFlight: 2, adaptive: false });
+  const { granted, releases } = acquireMany(limiter, 3);
+
+  await flush();
+  assert.deepEqual(granted, [0, 1]);
+  assert.equal(limiter.inFlight, 2);
+
+  releases[0]();
+  // Releasing twice frees only one slot
+  releases[0]();
+  await flush();
+  assert.deepEqual(granted, [0, 1, 2]);
+  assert.equal(limiter.inFlight, 2);
+});
+
+test('a pause holds every caller until it ends', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const limiter = new RateLimiter({ rps: 0, adaptive: false });
+  limiter.pause(2000);
+  const { granted } = acquireMany(limiter, 2);
+
+  t.mock.timers.tick(1999);
+  await flush();
+  assert.deepEqual(granted, []);
+
+  t.mock.timers.tick(1);
+  await flush();
+  assert.deepEqual(granted, [0, 1]);
+  assert.equal(limiter.stats.throttled, 1);
+});
+
+test('overload responses halve the in-flight limit, at most once a second', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const limiter = new RateLimiter({ rps: 0, maxInFlight: 8 });
+
+  await finish(limiter, 5, { ok: false, latency: 100 });
+  assert.equal(limiter.limit, 4);
+
+  // Errors right after a decrease don't collapse the limit any further
+  await finish(limiter, 5, { ok: false, latency: 100 });
+  assert.equal(limiter.limit, 4);
+
+  t.mock.timers.tick(1001);
+  await finish(limiter, 1, { ok: false, latency: 100 });
+  assert.equal(limiter.limit, 2);
+  assert.equal(limiter.stats.decreases, 2);
+  assert.equal(limiter.stats.errors, 11);
+});
+
+test('slow responses halve the in-flight limit', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const limiter = new RateLimiter({ rps: 0, maxInFlight: 8, latencyThreshold: 1000 });
+
+  await finish(limiter, 4, { ok: true, latency: 3000 });
+  assert.equal(limiter.limit, 8);
+  await finish(limiter, 1, { ok: true, latency: 3000 });
+  assert.equal(limiter.limit, 4);
+});
+
+test('healthy responses raise the limit again, one step per run of `limit` successes', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 });
+  const limiter = new RateLimiter({ rps: 0, maxInFlight: 6 });
+
+  await finish(limiter, 5, { ok: false, latency: 100 });
+  assert.equal(limiter.limit, 3);
+
+  await finish(limiter, 2, { ok: true, latency: 100 });
+  assert.equal(limiter.limit, 3);
+  await finish(limiter, 1, { ok: true, latency: 100 });
+  assert.equal(limiter.limit, 4);
+  await finish(limiter, 4, { ok: true, latency: 100 });
+  assert.equal(limiter.limit, 5);
+
+  // Never above maxInFlight
+  await finish(limiter, 20, { ok: true, latency: 100 });
+  assert.equal(limiter.limit, 6);
+});
+
+test('the limit stays put when adaptation is off', async () => {
+  const limiter = new RateLimiter({ rps: 0, maxInFlight: 4, adaptive: false });
+
+  await finish(limiter, 10, { ok: false, latency: 100 });
+  assert.equal(limiter.limit, 4);
+  assert.equal(limiter.stats.errors, 10);
+});
+
+test('backoff grows exponentially with jitter and a ceiling', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepEqual([1, 2, 3, 4].map(attempt => RateLimiter.backoff(attempt, 500, 3000)), [250, 500, 1000, 1500]);
+
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.deepEqual([1, 2, 3, 4].map(attempt => RateLimiter.backoff(attempt, 500, 3000)), [500, 1000, 2000, 3000]);
+});
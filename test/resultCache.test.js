@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ResultCache from '../lib/ResultCache.js';
+
+/**
+ * Create a cache in a fresh temp folder
+ * @param {Object} t - Test context, removes the folder afterwards
+ * @returns {ResultCache}
+ */
+function createCache(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rgpv-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new ResultCache({ dir });
+}
+
+/**
+ * Minimal result of one exam session
+ * @param {string} session - Exam session
+ * @param {number} sgpa - SGPA of the result
+ * @returns {Object}
+ */
+function result(session, sgpa) {
+  return { scheme: 'grading', session, student: { roll_no: '0818CS231001' }, results: { sgpa } };
+}
+
+test('a new session keeps the previous one', (t) => {
+  const cache = createCache(t);
+  cache.set('0818CS231001', '5', result('DEC-2024', 6.1), {}, { fetchedAt: '2025-01-10T00:00:00.000Z' });
+  cache.set('0818CS231001', '5', result('REVAL-DEC-2024', 6.8), {}, { fetchedAt: '2025-03-02T00:00:00.000Z' });
+
+  assert.equal(cache.get('0818CS231001', '5').results.sgpa, 6.8);
+  assert.equal(cache.get('0818CS231001', '5', { session: 'REVAL-DEC-2024' }).results.sgpa, 6.8);
+  assert.equal(cache.get('0818CS231001', '5', { session: 'DEC-2024' }).results.sgpa, 6.1);
+  assert.equal(cache.get('0818CS231001', '5', { session: 'JUNE-2025' }), null);
+  assert.ok(fs.existsSync(path.join(cache.dir, '0818CS231001', 'sem5@DEC-2024.json')));
+
+  // Only the latest session is listed
+  assert.deepEqual(cache.list().map(entry => entry.key.session), ['REVAL-DEC-2024']);
+});
+
+test('an older session written later does not replace the latest one', (t) => {
+  const cache = createCache(t);
+  cache.set('0818CS231001', '5', result('REVAL-DEC-2024', 6.8), {}, { fetchedAt: '2025-03-02T00:00:00.000Z' });
+  cache.set('0818CS231001', '5', result('DEC-2024', 6.1), {}, { fetchedAt: '2025-01-10T00:00:00.000Z' });
+
+  assert.equal(cache.get('0818CS231001', '5').results.sgpa, 6.8);
+  assert.equal(cache.get('0818CS231001', '5', { session: 'DEC-2024' }).results.sgpa, 6.1);
+});
+
+test('the same session is overwritten in place', (t) => {
+  const cache = createCache(t);
+  cache.set('0818CS231001', '5', result('DEC-2024', 6.1));
+  cache.set('0818CS231001', '5', result('DEC-2024', 6.2));
+
+  assert.equal(cache.get('0818CS231001', '5').results.sgpa, 6.2);
+  assert.deepEqual(fs.readdirSync(path.join(cache.dir, '0818CS231001')), ['sem5.json']);
+});
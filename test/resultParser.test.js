@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseResultPage, splitSubject, parseNumber } from '../lib/resultParser.js';
+import { validateResult, RESULT_SCHEMA_VERSION } from '../lib/resultSchema.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Parse a saved result page and check it against the schema
+ * @param {string} name - Fixture file name
+ * @returns {Object} - The parsed result
+ */
+function parseFixture(name) {
+  const data = parseResultPage(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+  assert.deepEqual(validateResult(data), [], `${name} should match the result schema`);
+  return data;
+}
+
+/**
+ * Reduce grading subjects to the fields the tests compare
+ * @param {Array<Object>} subjects - Parsed subjects
+ * @returns {Array<Array>} - `[code, type, total_credit, earned_credit, grade, grade_point, absent, withheld]` per subject
+ */
+function gradingRows(subjects) {
+  return subjects.map(s => [s.code, s.type, s.total_credit, s.earned_credit, s.grade, s.grade_point, s.absent, s.withheld]);
+}
+
+test('backlog page lists failed subjects as backlogs', () => {
+  const data = parseFixture('result-backlog.html');
+
+  assert.equal(data.schemaVersion, RESULT_SCHEMA_VERSION);
+  assert.equal(data.scheme, 'grading');
+  assert.equal(data.session, 'DEC-2024');
+  assert.equal(data.student.roll_no, '0818CS231012');
+  assert.equal(data.student.branch, 'COMPUTER SCIENCE & ENGINEERING');
+  assert.deepEqual(gradingRows(data.subjects), [
+    ['ES301', 'theory', 4, 4, 'B+', 8, false, false],
+    ['CS302', 'theory', 4, 0, 'F', 0, false, false],
+    ['CS303', 'theory', 4, 4, 'C+', 6, false, false],
+    ['CS303', 'practical', 1, 1, 'A', 9, false, false],
+    ['CS304', 'theory', 3, 0, 'F', 0, false, false]
+  ]);
+  assert.equal(data.subjects[1].name, 'Discrete Structure');
+  assert.deepEqual(data.results, {
+    description: 'FAIL IN CS302,CS304',
+    passed: false,
+    withheld: false,
+    backlogs: ['CS302', 'CS304'],
+    sgpa: 4.56,
+    cgpa: 6.21,
+    total_marks: null,
+    max_marks: null,
+    percentage: null,
+    division: ''
+  });
+});
+
+test('absent subject is flagged and counted as a backlog', () => {
+  const data = parseFixture('result-absent.html');
+
+  assert.deepEqual(gradingRows(data.subjects), [
+    ['BT401', 'theory', 4, 0, 'F (ABS)', 0, true, false],
+    ['IT402', 'theory', 4, 4, 'A+', 10, false, false],
+    ['IT402', 'practical', 1, 1, 'A', 9, false, false],
+    ['IT403', 'theory', 3, 3, 'B', 7, false, false]
+  ]);
+  assert.equal(data.results.passed, false);
+  assert.deepEqual(data.results.backlogs, ['BT401']);
+  assert.equal(data.results.sgpa, null);
+  assert.equal(data.results.cgpa, 7.04);
+});
+
+test('withheld page has no pass verdict or grade points', () => {
+  const data = parseFixture('result-withheld.html');
+
+  assert.deepEqual(gradingRows(data.subjects), [
+    ['ES301', 'theory', 4, null, 'WH', null, false, true],
+    ['CS302', 'theory', 4, null, 'WH', null, false, true]
+  ]);
+  assert.equal(data.results.withheld, true);
+  assert.equal(data.results.passed, null);
+  assert.deepEqual(data.results.backlogs, []);
+  assert.equal(data.results.sgpa, null);
+});
+
+test('marks scheme page parses theory, practical and totals', () => {
+  const data = parseFixture('result-marks.html');
+
+  assert.equal(data.scheme, 'marks');
+  assert.equal(data.student.name, 'SNEHA GUPTA');
+  assert.deepEqual(data.subjects.map(s => [s.code, s.theory, s.practical, s.total]), [
+    ['CS801', { max: 100, obtained: 71 }, { max: 50, obtained: 42 }, 113],
+    ['CS802', { max: 100, obtained: 64 }, { max: null, obtained: null }, 64],
+    ['CS803', { max: null, obtained: null }, { max: 200, obtained: 168 }, 168]
+  ]);
+  assert.deepEqual(data.results, {
+    description: 'PASS',
+    passed: true,
+    withheld: false,
+    backlogs: [],
+    sgpa: null,
+    cgpa: null,
+    total_marks: 345,
+    max_marks: 450,
+    percentage: 76.67,
+    division: 'FIRST'
+  });
+});
+
+test('page without a result fails validation', () => {
+  const data = parseResultPage('<html><body><form><input name="__VIEWSTATE" value="x" /></form></body></html>');
+  const errors = validateResult(data);
+
+  assert.ok(errors.includes('result.student.name should not be empty'));
+  assert.ok(errors.includes('result.student.roll_no should not be empty'));
+});
+
+test('validateResult reports wrong types', () => {
+  const data = parseFixture('result-backlog.html');
+  data.results.sgpa = '4.56';
+  data.subjects[0].grade_point = Infinity;
+
+  assert.deepEqual(validateResult(data), [
+    'result.subjects[0].grade_point should be a finite number',
+    'result.results.sgpa should be number or null, got string'
+  ]);
+});
+
+test('splitSubject and parseNumber read the portal formats', () => {
+  assert.deepEqual(splitSubject('CS301- [T]'), { code: 'CS301', name: '', type: 'theory' });
+  assert.deepEqual(splitSubject('BT 101 Engineering Chemistry (P)'), { code: 'BT101', name: 'Engineering Chemistry', type: 'practical' });
+  assert.deepEqual(splitSubject('Seminar'), { code: '', name: 'Seminar', type: null });
+  assert.equal(parseNumber('7.25'), 7.25);
+  assert.equal(parseNumber('42*'), 42);
+  assert.equal(parseNumber('-'), null);
+  assert.equal(parseNumber('AB'), null);
+});
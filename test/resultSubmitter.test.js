@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ResultSubmitter from '../lib/ResultSubmitter.js';
+import CookieJar from '../lib/CookieJar.js';
+import { OUTCOMES } from '../lib/outcomes.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Submit a captcha to a stand-in portal that answers with a fixed page
+ * @param {string} html - Page the portal answers with
+ * @param {string} scheme - Result scheme to request
+ * @returns {Promise<Object>} - The submission result
+ */
+function submit(html, scheme = 'grading') {
+  const httpClient = {
+    url: page => `http://127.0.0.1/Result/${page}`,
+    request: async () => ({ status: 200, headers: new Map(), body: html })
+  };
+  const submitter = new ResultSubmitter(false, { httpClient });
+  const captchaData = {
+    captchaText: 'AB12C',
+    jsonData: { program: 'be', inputs: { __VIEWSTATE: 'x' }, session: new CookieJar() }
+  };
+  return submitter.submitFormWithCaptcha('0818CS231012', '3', captchaData, scheme);
+}
+
+test('a result page mentioning undeclared results elsewhere is still a result', async () => {
+  const html = fs.readFileSync(path.join(fixturesDir, 'result-backlog.html'), 'utf8');
+  assert.match(html, /not declared/);
+  const result = await submit(html);
+
+  assert.equal(result.outcome, OUTCOMES.OK);
+  assert.deepEqual(result.data.results.backlogs, ['CS302', 'CS304']);
+});
+
+test('the not declared alert is reported as result-not-declared', async () => {
+  const result = await submit(`<html><body><form><input name="__VIEWSTATE" value="x" /></form>
+    <script>alert('Result for this semester is not declared yet');</script></body></html>`);
+
+  assert.equal(result.outcome, OUTCOMES.RESULT_NOT_DECLARED);
+  assert.equal(result.retryable, false);
+});
+
+test('an unknown scheme is rejected instead of reported as a missing roll number', async () => {
+  await assert.rejects(submit('<html></html>', 'gradng'), /Unknown result scheme: gradng/);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RollDiscovery from '../lib/RollDiscovery.js';
+import { OUTCOMES, isRetryable } from '../lib/outcomes.js';
+
+/**
+ * Stand-in for RGPVScraper.getResult answering from a table of serials
+ * @param {Object} answers - Outcomes by serial, or arrays of outcomes handed out in turn; missing serials don't exist
+ * @returns {Object} - Scraper with a `lookups` counter per roll number
+ */
+function fakeScraper(answers) {
+  const lookups = {};
+  return {
+    lookups,
+    async getResult(rollNumber) {
+      lookups[rollNumber] = (lookups[rollNumber] || 0) + 1;
+      const answer = answers[parseInt(rollNumber.slice(-4))];
+      const outcome = Array.isArray(answer) ? answer[Math.min(lookups[rollNumber], answer.length) - 1] : answer || OUTCOMES.ROLL_NOT_FOUND;
+      return { success: outcome === OUTCOMES.OK, outcome, retryable: isRetryable(outcome) };
+    }
+  };
+}
+
+/**
+ * Serials from `from` to `to` that exist
+ * @returns {Object} - Outcomes by serial
+ */
+function students(from, to) {
+  const answers = {};
+  for (let serial = from; serial <= to; serial++) answers[serial] = OUTCOMES.OK;
+  return answers;
+}
+
+test('the range ends at the last existing serial', async () => {
+  const answers = students(1001, 1037);
+  delete answers[1012];
+  const discovery = new RollDiscovery(fakeScraper(answers));
+  const series = await discovery.discoverSeries('0818CS23', '1001', '3');
+
+  assert.equal(series.end, 1037);
+  // Serials that weren't probed are listed, the ones the portal denied are not
+  const denied = [...discovery.probes].filter(([, status]) => status === 'not-found').map(([rollNumber]) => rollNumber);
+  assert.equal(series.rollNumbers.length, 37 - denied.filter(r => r <= '0818CS231037').length);
+  assert.ok(denied.every(rollNumber => !series.rollNumbers.includes(rollNumber)));
+  assert.ok(series.verified.length < series.rollNumbers.length);
+  assert.ok(series.verified.every(rollNumber => discovery.probes.get(rollNumber) === 'found'));
+});
+
+test('inconclusive probes are tried again', async () => {
+  const answers = students(1001, 1020);
+  answers[1020] = [OUTCOMES.INVALID_CAPTCHA, OUTCOMES.NETWORK_ERROR, OUTCOMES.OK];
+  const scraper = fakeScraper(answers);
+  const series = await new RollDiscovery(scraper).discoverSeries('0818CS23', '1001', '3');
+
+  assert.equal(scraper.lookups['0818CS231020'], 3);
+  assert.equal(series.end, 1020);
+  assert.deepEqual(series.unknown, []);
+});
+
+test('a probe that stays inconclusive does not end the range', async () => {
+  const answers = students(1001, 1020);
+  answers[1023] = OUTCOMES.NETWORK_ERROR;
+  const scraper = fakeScraper(answers);
+  const series = await new RollDiscovery(scraper, { probeRetries: 1 }).discoverSeries('0818CS23', '1001', '3');
+
+  assert.equal(scraper.lookups['0818CS231023'], 2);
+  assert.equal(series.end, 1020);
+  assert.equal(series.rollNumbers[series.rollNumbers.length - 1], '0818CS231020');
+});
+
+test('outcomes that cannot change are not retried', async () => {
+  const answers = students(1001, 1010);
+  answers[1003] = OUTCOMES.RESULT_NOT_DECLARED;
+  const scraper = fakeScraper(answers);
+  await new RollDiscovery(scraper).discoverSeries('0818CS23', '1001', '3');
+
+  assert.ok(!scraper.lookups['0818CS231003'] || scraper.lookups['0818CS231003'] === 1);
+});
+
+test('a series of only inconclusive probes has no end', async () => {
+  const series = await new RollDiscovery(fakeScraper({ 1001: OUTCOMES.NETWORK_ERROR }), { probeRetries: 0 })
+    .discoverSeries('0818CS23', '1001', '3');
+
+  assert.equal(series.end, null);
+  assert.deepEqual(series.rollNumbers, []);
+});
@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MockRGPVServer from '../lib/MockRGPVServer.js';
+import RGPVScraper from '../lib/RGPVScraper.js';
+import ResultWatcher from '../lib/ResultWatcher.js';
+import { OUTCOMES } from '../lib/outcomes.js';
+
+// Every captcha the mock hands out shows this text
+const CAPTCHA = 'AB12C';
+
+const mock = new MockRGPVServer({ captchaAnswers: [CAPTCHA], undeclaredSemesters: ['7', '8'] });
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rgpv-e2e-'));
+let baseUrl;
+const scrapers = [];
+
+/**
+ * Create a scraper against the mock with a solver that always answers the same
+ * @param {Function} answer - Returns the solver's answer, called once per captcha
+ * @returns {RGPVScraper}
+ */
+function createScraper(answer = () => CAPTCHA) {
+  const solver = {
+    name: 'fixed',
+    async solve() {
+      return { text: answer(), confidence: 1 };
+    }
+  };
+  const scraper = new RGPVScraper({ baseUrl, solver, cacheDir, rps: 0, reuseSessions: false });
+  scrapers.push(scraper);
+  return scraper;
+}
+
+before(async () => {
+  baseUrl = await mock.start();
+});
+
+after(async () => {
+  for (const scraper of scrapers) {
+    scraper.siteHealth.stop();
+    await scraper.captchaSolver.cleanup();
+    scraper.httpClient.destroy();
+  }
+  await mock.stop();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('ok: fetches, parses and caches a result', async () => {
+  const scraper = createScraper();
+  const result = await scraper.getResult('0818CS231001', '3');
+
+  assert.equal(result.outcome, OUTCOMES.OK);
+  assert.equal(result.success, true);
+  assert.equal(result.data.student.roll_no, '0818CS231001');
+  assert.equal(result.data.scheme, 'grading');
+  assert.equal(typeof result.data.results.sgpa, 'number');
+  assert.ok(fs.existsSync(path.join(cacheDir, '0818CS231001', 'sem3.json')));
+
+  // The second lookup is served from the cache without a request
+  const requests = mock.getRequestCount();
+  const cached = await scraper.getResult('0818CS231001', '3');
+  assert.equal(cached.outcome, OUTCOMES.OK);
+  assert.equal(mock.getRequestCount(), requests);
+});
+
+test('invalid-captcha: retried until the attempts run out', async () => {
+  const scraper = createScraper(() => 'ZZZZZ');
+  const result = await scraper.getResult('0818CS231002', '3');
+
+  assert.equal(result.outcome, OUTCOMES.INVALID_CAPTCHA);
+  assert.equal(result.success, false);
+  assert.equal(result.retryable, true);
+  assert.equal(result.attempts, scraper.maxRetries);
+});
+
+test('roll-not-found: not retried', async () => {
+  const scraper = createScraper();
+  const result = await scraper.getResult('0818CS239999', '3');
+
+  assert.equal(result.outcome, OUTCOMES.ROLL_NOT_FOUND);
+  assert.equal(result.retryable, false);
+  assert.equal(result.attempts, 1);
+});
+
+test('result-not-declared: not retried', async () => {
+  const scraper = createScraper();
+  const result = await scraper.getResult('0818CS231001', '7');
+
+  assert.equal(result.outcome, OUTCOMES.RESULT_NOT_DECLARED);
+  assert.equal(result.retryable, false);
+  assert.equal(result.attempts, 1);
+});
+
+test('setScheme rejects an unknown scheme', () => {
+  const scraper = createScraper();
+  assert.throws(() => scraper.setScheme('gradng'), /Unknown result scheme "gradng"/);
+  assert.equal(scraper.scheme, 'grading');
+});
+
+test('maintenance: stops attempting and reports a retryable outcome', async (t) => {
+  // The portal goes down between fetching the form and submitting it
+  const scraper = createScraper(() => {
+    mock.setMode('maintenance');
+    return CAPTCHA;
+  });
+  t.after(() => mock.setMode('normal'));
+  const result = await scraper.getResult('0818CS231003', '3');
+
+  assert.equal(result.outcome, OUTCOMES.MAINTENANCE);
+  assert.equal(result.retryable, true);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.siteErrors.length, 1);
+});
+
+test('watch: OCR workers only run during polls', async () => {
+  const scraper = createScraper();
+  const pools = [];
+  scraper.captchaSolver.solver.init = async ({ poolSize }) => pools.push(poolSize);
+  scraper.captchaSolver.solver.terminate = async () => pools.push('terminated');
+  const watcher = new ResultWatcher(scraper, { sentinel: '0818CS231001', semester: '8', interval: 10 });
+
+  const statuses = [];
+  const result = await watcher.watch(({ status }) => {
+    statuses.push(status);
+    mock.declare('8');
+  });
+
+  assert.deepEqual(statuses, ['not-declared', 'declared']);
+  assert.equal(result.outcome, OUTCOMES.OK);
+  assert.deepEqual(pools, [1, 'terminated', 1, 'terminated']);
+  assert.equal(scraper.captchaSolver.isPoolInitialized, false);
+});
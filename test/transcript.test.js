@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildTranscript, parseSemesterList } from '../lib/transcript.js';
+import { parseResultPage } from '../lib/resultParser.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const backlogPage = parseResultPage(fs.readFileSync(path.join(fixturesDir, 'result-backlog.html'), 'utf8'));
+
+/**
+ * Build a semester result the way getResult returns it
+ * @param {string} semester - The semester number
+ * @param {Object} data - Result data
+ * @returns {Object} - A successful result
+ */
+function semesterResult(semester, data) {
+  return { success: true, semester, data };
+}
+
+/**
+ * Build a passing semester with the given subjects
+ * @param {Array<Array>} subjects - `[cell, credits, grade, gradePoint]` per subject
+ * @returns {Object} - Result data
+ */
+function passingSemester(subjects) {
+  return {
+    ...backlogPage,
+    subjects: subjects.map(([cell, credits, grade, gradePoint]) => ({
+      subject: cell, code: cell.slice(0, 5), name: '', type: 'theory',
+      total_credit: credits, earned_credit: credits, grade, grade_point: gradePoint, absent: false, withheld: false
+    })),
+    results: { ...backlogPage.results, description: 'PASS', passed: true, backlogs: [], sgpa: 8, cgpa: 7 }
+  };
+}
+
+test('backlogs follow the result and clear by subject code', () => {
+  const transcript = buildTranscript('0818CS231012', [
+    semesterResult('3', backlogPage),
+    // The retake is printed differently from the original subject cell
+    semesterResult('4', passingSemester([['CS302 Discrete Structure (T)', 4, 'C', 5], ['CS401- [T]', 4, 'A', 9]]))
+  ]);
+
+  assert.deepEqual(transcript.semesters.map(s => s.backlogs), [['CS302', 'CS304'], []]);
+  assert.deepEqual(transcript.backlogHistory, [
+    { subject: 'CS302', semester: '3', clearedIn: '4' },
+    { subject: 'CS304', semester: '3', clearedIn: null }
+  ]);
+  assert.equal(transcript.activeBacklogs, 1);
+  assert.equal(transcript.semesters[0].totalCredits, 16);
+  assert.equal(transcript.semesters[0].earnedCredits, 9);
+});
+
+test('an absent retake does not clear a backlog', () => {
+  const absent = passingSemester([['CS304- [T]', 3, 'F (ABS)', 0]]);
+  absent.subjects[0].absent = true;
+  absent.results = { ...absent.results, passed: false, backlogs: ['CS304'] };
+  const transcript = buildTranscript('0818CS231012', [semesterResult('3', backlogPage), semesterResult('5', absent)]);
+
+  assert.deepEqual(transcript.backlogHistory.map(b => [b.subject, b.clearedIn]), [['CS302', null], ['CS304', null]]);
+});
+
+test('results cached before schema version 2 are read by grade', () => {
+  const legacy = {
+    scheme: 'grading',
+    student: { name: 'RAHUL SHARMA', course: 'B.E.', branch: 'CSE' },
+    subjects: [
+      { subject: 'CS302- [T]', total_credit: '4', earned_credit: '0', grade: 'F' },
+      { subject: 'CS303- [T]', total_credit: '4', earned_credit: '4', grade: 'A' }
+    ],
+    results: { description: 'FAIL IN CS302', sgpa: '4.50', cgpa: '6.00' }
+  };
+  const transcript = buildTranscript('0818CS231012', [semesterResult('3', legacy)]);
+
+  assert.deepEqual(transcript.semesters[0].backlogs, ['CS302']);
+  assert.equal(transcript.semesters[0].sgpa, 4.5);
+});
+
+test('parseSemesterList expands ranges', () => {
+  assert.deepEqual(parseSemesterList('1,3-5,4'), ['1', '3', '4', '5']);
+  assert.throws(() => parseSemesterList('1-x'), /Invalid semester list/);
+});
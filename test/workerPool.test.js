@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WorkerPool from '../lib/WorkerPool.js';
+
+/**
+ * Create a pool of fake workers, numbered in creation order
+ * @param {Object} t - Test context, stops the pool afterwards and silences its error log
+ * @param {Object} options - Extra pool options
+ * @returns {Object} - `{ pool, created, destroyed }` with the numbers of created and destroyed workers
+ */
+function createPool(t, options = {}) {
+  t.mock.method(console, 'error', () => {});
+  const created = [];
+  const destroyed = [];
+  const pool = new WorkerPool({
+    size: 1,
+    jobTimeout: 50,
+    create: async () => {
+      const worker = { number: created.length + 1 };
+      created.push(worker.number);
+      return worker;
+    },
+    destroy: async worker => destroyed.push(worker.number),
+    ...options
+  });
+  t.after(() => pool.stop());
+  return { pool, created, destroyed };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a hung job times out and its worker is replaced', async (t) => {
+  const { pool, created, destroyed } = createPool(t);
+  const replaced = [];
+  pool.on('replaced', (id, reason) => replaced.push(reason));
+
+  await assert.rejects(pool.run(() => new Promise(() => {})), /worker job timed out after 50ms/);
+  assert.deepEqual(replaced, ['hung']);
+  assert.equal(await pool.run(worker => worker.number), 2);
+  assert.deepEqual(created, [1, 2]);
+  assert.deepEqual(destroyed, [1]);
+  assert.equal(pool.stats.timeouts, 1);
+});
+
+test('a job finishing after its time limit does not settle it again', async (t) => {
+  const { pool } = createPool(t);
+
+  await assert.rejects(pool.run(() => wait(80).then(() => 'late')), /timed out/);
+  await wait(50);
+  assert.equal(pool.stats.jobs, 0);
+  assert.equal(pool.stats.timeouts, 1);
+  assert.equal(pool.slots.length, 1);
+  assert.equal(pool.slots[0].busy, false);
+});
+
+test('a failed job replaces its worker without a health check', async (t) => {
+  const { pool, created } = createPool(t);
+  const replaced = [];
+  pool.on('replaced', (id, reason) => replaced.push(reason));
+
+  await assert.rejects(pool.run(() => { throw new Error('boom'); }), /boom/);
+  assert.equal(await pool.run(worker => worker.number), 2);
+  assert.deepEqual(replaced, ['crashed']);
+  assert.deepEqual(created, [1, 2]);
+  assert.equal(pool.stats.failed, 1);
+});
+
+test('a failed job keeps a worker that passes its health check', async (t) => {
+  const checked = [];
+  const { pool, created } = createPool(t, {
+    check: async worker => {
+      checked.push(worker.number);
+      return true;
+    }
+  });
+
+  await assert.rejects(pool.run(() => { throw new Error('boom'); }), /boom/);
+  assert.equal(await pool.run(worker => worker.number), 1);
+  assert.deepEqual(checked, [1]);
+  assert.deepEqual(created, [1]);
+  assert.equal(pool.stats.replaced, 0);
+});
+
+test('a worker failing its health check is replaced', async (t) => {
+  const { pool, created } = createPool(t, { check: async () => false });
+
+  await assert.rejects(pool.run(() => { throw new Error('boom'); }), /boom/);
+  assert.equal(await pool.run(worker => worker.number), 2);
+  assert.deepEqual(created, [1, 2]);
+  assert.equal(pool.stats.replaced, 1);
+});
+
+test('workers are recycled after maxJobs jobs', async (t) => {
+  const { pool, destroyed } = createPool(t, { maxJobs: 2 });
+  const recycled = [];
+  pool.on('recycled', id => recycled.push(id));
+
+  const workers = [];
+  for (let i = 0; i < 5; i++) {
+    workers.push(await pool.run(worker => worker.number));
+  }
+
+  assert.deepEqual(workers, [1, 1, 2, 2, 3]);
+  assert.deepEqual(recycled, [1, 2]);
+  assert.deepEqual(destroyed, [1, 2]);
+  assert.equal(pool.stats.recycled, 2);
+});
+
+test('queued jobs fail when no replacement worker can be started', async (t) => {
+  let creates = 0;
+  const { pool } = createPool(t, {
+    create: async () => {
+      if (++creates > 1) throw new Error('out of memory');
+      return { number: creates };
+    }
+  });
+
+  const hung = pool.run(() => new Promise(() => {}));
+  const queued = pool.run(worker => worker.number);
+
+  await assert.rejects(hung, /timed out/);
+  await assert.rejects(queued, /No workers available/);
+  assert.equal(pool.slots.length, 0);
+});